@@ -2,16 +2,26 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
 
 import "./lib/ITemplate.sol";
+import "./lib/InstanceProxy.sol";
+import "./lib/TemplateBeacon.sol";
 
 /**
  * @title Factory
  * @notice Contract for managing contract templates, their implementations and deploying and calling template instances.
- * Uses {Clones} to deploy https://eips.ethereum.org/EIPS/eip-1167[EIP 1167] compliant proxy contracts
+ * Uses {Clones} to deploy https://eips.ethereum.org/EIPS/eip-1167[EIP 1167] compliant proxy contracts, optionally
+ * to deterministic addresses that can be computed ahead of time with {predictInstanceAddress}. Salts are bound to
+ * the deploying address, so nobody else can deploy to a predicted address first
+ *
+ * Instances can also be deployed as upgradeable {InstanceProxy} contracts that get their implementation from a
+ * per-template {TemplateBeacon}. Such instances stay on the deployed version until they opt into a newer one
+ * with {upgradeInstance}
  *
  * Upgradable contract, meaning it does not make use of a constructor but rather uses `initialize` with `initializer`
  * modifier, see {Initializable}
@@ -21,21 +31,139 @@ import "./lib/ITemplate.sol";
  *
  * Proxies can be deployed with a signature from an address with `SIGNER_ROLE` or by paying `deploymentFee`
  * Proxies can be called with a signature from an address with `SIGNER_ROLE` or by paying `callFee`
+ *
+ * Signatures are accepted either as https://eips.ethereum.org/EIPS/eip-712[EIP 712] typed data ({DeployRequest},
+ * {CallRequest}, {MulticallRequest}) or in the legacy format of a packed payload signed as a personal message. Typed data signatures are
+ * bound to the chain, expire and can only be used once thanks to per-caller `nonces`. Legacy signatures can be replayed
+ * and can be disabled with {setLegacySignaturesDisabled} once they are no longer needed.
  */
 contract Factory is AccessControlUpgradeable {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
     /*************
      * Constants *
      *************/
 
     /// Contract code version
     /// @dev Should follow semver-like format of `MAJOR_MINOR_PATCH`
-    uint256 public constant CODE_VERSION = 1_01_00;
+    uint256 public constant CODE_VERSION = 1_02_00;
 
     /// Contract administrator role
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     /// Transaction signer role
     bytes32 public constant SIGNER_ROLE = keccak256("SIGNER_ROLE");
 
+    /// EIP-712 domain type hash
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    /// EIP-712 type hash for deployment requests, `caller` is the address sending the transaction
+    bytes32 public constant DEPLOY_REQUEST_TYPEHASH =
+        keccak256(
+            "DeployRequest(address caller,string templateName,uint256 templateVersion,bytes initdata,bytes32 salt,bool upgradeable,uint256 nonce,uint256 deadline)"
+        );
+    /// EIP-712 type hash for call requests, `caller` is the address sending the transaction
+    bytes32 public constant CALL_REQUEST_TYPEHASH =
+        keccak256(
+            "CallRequest(address caller,address instance,bytes data,uint256 nonce,uint256 deadline)"
+        );
+    /// EIP-712 type hash for a single call in a batch
+    bytes32 public constant CALL_TYPEHASH =
+        keccak256("Call(address instance,bytes data)");
+    /// EIP-712 type hash for batched call requests, `caller` is the address sending the transaction
+    bytes32 public constant MULTICALL_REQUEST_TYPEHASH =
+        keccak256(
+            "MulticallRequest(address caller,Call[] calls,uint256 nonce,uint256 deadline)Call(address instance,bytes data)"
+        );
+
+    /***********
+     * Structs *
+     ***********/
+
+    /// Lifecycle status of a template version
+    enum TemplateStatus {
+        // Can be deployed
+        Active,
+        // Can still be deployed but should no longer be used for new instances
+        Deprecated,
+        // Cannot be deployed
+        Disabled
+    }
+
+    /// Template instance deployment authorized with a typed data signature
+    struct DeployRequest {
+        // Name of the template to be deployed
+        string templateName;
+        // Version to be deployed
+        uint256 templateVersion;
+        // Payload for initializing the instance
+        bytes initdata;
+        // Salt for deploying to a deterministic address, a zero salt deploys to a regular non-deterministic address.
+        // Combined with the caller address, see {predictInstanceAddress}
+        bytes32 salt;
+        // If true, deploys an upgradeable instance that uses the template beacon, see {upgradeInstance}
+        bool upgradeable;
+        // Current nonce of the caller, see {nonces}
+        uint256 nonce;
+        // Timestamp after which the signature is no longer valid
+        uint256 deadline;
+    }
+
+    /// Template instance call authorized with a typed data signature
+    struct CallRequest {
+        // Address of the contract we want to call
+        address instance;
+        // Call data to be forwarded to the target contract
+        bytes data;
+        // Current nonce of the caller, see {nonces}
+        uint256 nonce;
+        // Timestamp after which the signature is no longer valid
+        uint256 deadline;
+    }
+
+    /// Details of a template instance deployed via the Factory
+    struct InstanceInfo {
+        // Name of the deployed template
+        string templateName;
+        // Version of the template implementation
+        uint256 templateVersion;
+        // Address that deployed the instance
+        address deployer;
+        // If true, the instance uses the template beacon and can be upgraded with {upgradeInstance}
+        bool upgradeable;
+    }
+
+    /// Template instances deployed via the Factory
+    struct InstanceRegistry {
+        // Details of each instance
+        mapping(address => InstanceInfo) info;
+        // Instances of each template, in order of deployment
+        mapping(string => address[]) byTemplate;
+        // Instances that each address is currently an operator of
+        mapping(address => EnumerableSetUpgradeable.AddressSet) byOperator;
+        // Instances by their operator role, for keeping `byOperator` in sync with role changes
+        mapping(bytes32 => address) byOperatorRole;
+    }
+
+    /// Single template instance call in a batch
+    struct Call {
+        // Address of the contract we want to call
+        address instance;
+        // Call data to be forwarded to the target contract
+        bytes data;
+    }
+
+    /// Batch of template instance calls authorized with a single typed data signature
+    struct MulticallRequest {
+        // Calls to be executed in order
+        Call[] calls;
+        // Current nonce of the caller, see {nonces}
+        uint256 nonce;
+        // Timestamp after which the signature is no longer valid
+        uint256 deadline;
+    }
+
     /**********
      * Events *
      **********/
@@ -49,6 +177,16 @@ contract Factory is AccessControlUpgradeable {
     /// Permissions for address `operator` to operate contract `instance` have changed to `allowed`
     event OperatorChanged(address instance, address operator, bool allowed);
 
+    /// Upgradeable template instance `instance` has been upgraded to template version `version`
+    event InstanceUpgraded(address instance, uint256 version);
+
+    /// The status of a template version has been changed by an admin
+    event TemplateStatusChanged(
+        string name,
+        uint256 version,
+        TemplateStatus status
+    );
+
     /***********
      * Storage *
      ***********/
@@ -81,6 +219,21 @@ contract Factory is AccessControlUpgradeable {
     mapping(string => mapping(uint256 => address))
         private _templateImplementations;
 
+    /// Nonces of callers, each typed data signature has to use the current nonce of the caller
+    mapping(address => uint256) public nonces;
+
+    /// If true, signatures in the legacy packed format are no longer accepted
+    bool public legacySignaturesDisabled;
+
+    /// Statuses of all template versions, versions are active unless changed by an admin
+    mapping(string => mapping(uint256 => TemplateStatus)) public templateStatus;
+
+    /// Registry of deployed template instances
+    InstanceRegistry private _instances;
+
+    /// Beacons of upgradeable instances for `_templateNames`, deployed with the first upgradeable instance
+    mapping(string => address) public templateBeacons;
+
     /****************************
      * Contract init & upgrades *
      ****************************/
@@ -110,6 +263,9 @@ contract Factory is AccessControlUpgradeable {
     /**
      * Perform any necessary state migrations between Factory versions
      * @dev Callable by anyone but in practice will get called atomically when the Factory implementation is updated.
+     * Instances deployed before the instance registry was added are not backfilled: {instanceInfo}, {instancesOf}
+     * and {instancesOperatedBy} only cover instances deployed since, while {isOperator} and proxy calls keep working
+     * for all instances.
      */
     function upgrade() external {
         require(version < CODE_VERSION, "Already upgraded");
@@ -177,7 +333,8 @@ contract Factory is AccessControlUpgradeable {
 
     /**
      * Deploy a specific version of the specified template
-     * @dev Requires a signature of the deployment payload (caller, template name and initialization data) by a `SIGNER_ROLE` wallet
+     * @dev Requires a legacy signature of the deployment payload (caller, template name and initialization data) by a `SIGNER_ROLE` wallet.
+     * Legacy signatures can be replayed, prefer {deploy} with a {DeployRequest}.
      * @param templateName Name of the template to be deployed
      * @param templateVersion Version to be deployed
      * @param initdata Payload for initializing the instance
@@ -206,7 +363,8 @@ contract Factory is AccessControlUpgradeable {
 
     /**
      * Call a deployed template instance
-     * @dev Requires a signature of the call payload (caller, instance address and call data) by a `SIGNER_ROLE` wallet
+     * @dev Requires a legacy signature of the call payload (caller, instance address and call data) by a `SIGNER_ROLE` wallet.
+     * Legacy signatures can be replayed, prefer {call} with a {CallRequest}.
      * @param instance Address of the contract we want to call
      * @param data Call data to be forwarded to the target contract
      * @param signature Signature for authorizing the contract call
@@ -224,6 +382,141 @@ contract Factory is AccessControlUpgradeable {
         _call(instance, data, msg.value);
     }
 
+    /**
+     * Deploy a template instance
+     * @dev Requires an EIP-712 signature of the request by a `SIGNER_ROLE` wallet, see {DEPLOY_REQUEST_TYPEHASH}
+     * @param request Deployment details
+     * @param signature Signature for authorizing the deployment
+     */
+    function deploy(DeployRequest calldata request, bytes calldata signature)
+        external
+        payable
+        typedSignedOnly(
+            _hashDeployRequest(request),
+            request.nonce,
+            request.deadline,
+            signature
+        )
+    {
+        if (request.upgradeable) {
+            _deployUpgradeable(
+                request.templateName,
+                request.templateVersion,
+                request.salt,
+                request.initdata
+            );
+        } else if (request.salt == bytes32(0)) {
+            _deploy(
+                request.templateName,
+                request.templateVersion,
+                request.initdata
+            );
+        } else {
+            _deployDeterministic(
+                request.templateName,
+                request.templateVersion,
+                request.salt,
+                request.initdata
+            );
+        }
+    }
+
+    /**
+     * Call a deployed template instance
+     * @dev Requires an EIP-712 signature of the request by a `SIGNER_ROLE` wallet, see {CALL_REQUEST_TYPEHASH}
+     * @param request Call details
+     * @param signature Signature for authorizing the contract call
+     */
+    function call(CallRequest calldata request, bytes calldata signature)
+        external
+        payable
+        operatorOnly(request.instance)
+        typedSignedOnly(
+            _hashCallRequest(request),
+            request.nonce,
+            request.deadline,
+            signature
+        )
+    {
+        _call(request.instance, request.data, msg.value);
+    }
+
+    /**
+     * Call several deployed template instances in one transaction
+     * @dev Requires an EIP-712 signature of the request by a `SIGNER_ROLE` wallet, see {MULTICALL_REQUEST_TYPEHASH}.
+     * The caller has to be an operator of every instance. If any of the calls fails, the whole batch is reverted.
+     * @param request Calls to be executed
+     * @param signature Signature for authorizing the contract calls
+     * @return results Return data of each call
+     */
+    function multicall(
+        MulticallRequest calldata request,
+        bytes calldata signature
+    )
+        external
+        typedSignedOnly(
+            _hashMulticallRequest(request),
+            request.nonce,
+            request.deadline,
+            signature
+        )
+        returns (bytes[] memory results)
+    {
+        uint256 count = request.calls.length;
+        require(count > 0, "No calls");
+
+        results = new bytes[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            Call calldata instanceCall = request.calls[i];
+
+            require(
+                isOperator(instanceCall.instance, msg.sender),
+                "Access denied"
+            );
+            require(
+                whitelisted[instanceCall.instance],
+                "Contract not whitelisted"
+            );
+
+            results[i] = Address.functionCall(
+                instanceCall.instance,
+                instanceCall.data
+            );
+        }
+    }
+
+    /**
+     * Upgrade an upgradeable template instance to a newer version of its template
+     * @dev Callable by operators of the instance and by its owner, if the template has an `owner()` function.
+     * Storage layouts of template versions have to stay compatible, see the storage layout tests.
+     * @param instance Address of the template instance
+     * @param templateVersion Version to upgrade to, has to be newer than the current one and not disabled
+     */
+    function upgradeInstance(address instance, uint256 templateVersion)
+        external
+    {
+        require(
+            isOperator(instance, msg.sender) || _isInstanceOwner(instance),
+            "Access denied"
+        );
+
+        InstanceInfo storage info = _instances.info[instance];
+        require(info.upgradeable, "Instance not upgradeable");
+        require(
+            templateVersion > info.templateVersion,
+            "Version must be newer"
+        );
+
+        info.templateVersion = templateVersion;
+        TemplateBeacon(templateBeacons[info.templateName]).setImplementation(
+            instance,
+            _getDeployableImplementation(info.templateName, templateVersion)
+        );
+
+        emit InstanceUpgraded(instance, templateVersion);
+    }
+
     /**
      * Update the operator status of `instance` for `operator`
      * @param instance The template instance that will be operated on
@@ -261,17 +554,23 @@ contract Factory is AccessControlUpgradeable {
      * Get a list of all registered versions of a template
      * @param templateName Name of the template
      * @return templateVersions List of all version numbers that have been registered for that template
+     * @return statuses Status of each version in `templateVersions`
      */
     function versions(string memory templateName)
         external
         view
-        returns (uint256[] memory templateVersions)
+        returns (
+            uint256[] memory templateVersions,
+            TemplateStatus[] memory statuses
+        )
     {
         uint256 count = _templateVersions[templateName].length;
         templateVersions = new uint256[](count);
+        statuses = new TemplateStatus[](count);
 
         for (uint256 i = 0; i < count; i++) {
             templateVersions[i] = _templateVersions[templateName][i];
+            statuses[i] = templateStatus[templateName][templateVersions[i]];
         }
     }
 
@@ -289,6 +588,143 @@ contract Factory is AccessControlUpgradeable {
         return _templateImplementations[templateName][templateVersion];
     }
 
+    /**
+     * Get the address an instance will be deployed to with a deterministic deployment
+     * @param templateName Name of the template
+     * @param templateVersion Version of the implementation
+     * @param deployer Address sending the deployment transaction
+     * @param salt Salt used for the deployment
+     * @return Address of the template instance
+     */
+    function predictInstanceAddress(
+        string memory templateName,
+        uint256 templateVersion,
+        address deployer,
+        bytes32 salt
+    ) external view returns (address) {
+        return
+            Clones.predictDeterministicAddress(
+                _getImplementation(templateName, templateVersion),
+                _instanceSalt(deployer, salt)
+            );
+    }
+
+    /**
+     * Get the address an upgradeable instance will be deployed to with a deterministic deployment
+     * @dev Works before the first upgradeable instance of the template deploys its beacon
+     * @param templateName Name of the template
+     * @param deployer Address sending the deployment transaction
+     * @param salt Salt used for the deployment
+     * @return Address of the template instance
+     */
+    function predictUpgradeableInstanceAddress(
+        string memory templateName,
+        address deployer,
+        bytes32 salt
+    ) external view returns (address) {
+        address beacon = Create2.computeAddress(
+            keccak256(bytes(templateName)),
+            keccak256(type(TemplateBeacon).creationCode)
+        );
+
+        return
+            Create2.computeAddress(
+                _instanceSalt(deployer, salt),
+                keccak256(
+                    abi.encodePacked(
+                        type(InstanceProxy).creationCode,
+                        abi.encode(beacon)
+                    )
+                )
+            );
+    }
+
+    /**
+     * Get the details of a template instance
+     * @dev Instances deployed before the instance registry was added to the Factory are unknown
+     * @param instance Address of the template instance
+     * @return Template name, version and deployer of the instance, empty if the instance is unknown
+     */
+    function instanceInfo(address instance)
+        external
+        view
+        returns (InstanceInfo memory)
+    {
+        return _instances.info[instance];
+    }
+
+    /**
+     * Get the number of deployed instances of a template
+     * @param templateName Name of the template
+     * @return Number of instances
+     */
+    function instanceCount(string calldata templateName)
+        external
+        view
+        returns (uint256)
+    {
+        return _instances.byTemplate[templateName].length;
+    }
+
+    /**
+     * Get a page of deployed instances of a template, in order of deployment
+     * @param templateName Name of the template
+     * @param offset Index of the first instance to return
+     * @param limit Maximum number of instances to return
+     * @return instances Addresses of the template instances
+     */
+    function instancesOf(
+        string calldata templateName,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory instances) {
+        address[] storage allInstances = _instances.byTemplate[templateName];
+        instances = new address[](
+            _pageSize(allInstances.length, offset, limit)
+        );
+
+        for (uint256 i = 0; i < instances.length; i++) {
+            instances[i] = allInstances[offset + i];
+        }
+    }
+
+    /**
+     * Get the number of instances an address is currently an operator of
+     * @param operator Address of the operator
+     * @return Number of instances
+     */
+    function operatedInstanceCount(address operator)
+        external
+        view
+        returns (uint256)
+    {
+        return _instances.byOperator[operator].length();
+    }
+
+    /**
+     * Get a page of instances an address is currently an operator of
+     * @dev The order of instances is not guaranteed and can change when operators are updated
+     * @param operator Address of the operator
+     * @param offset Index of the first instance to return
+     * @param limit Maximum number of instances to return
+     * @return instances Addresses of the template instances
+     */
+    function instancesOperatedBy(
+        address operator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory instances) {
+        EnumerableSetUpgradeable.AddressSet storage allInstances = _instances
+            .byOperator[operator];
+        instances = new address[](
+            _pageSize(allInstances.length(), offset, limit)
+        );
+
+        for (uint256 i = 0; i < instances.length; i++) {
+            instances[i] = allInstances.at(offset + i);
+        }
+    }
+
     /**
      * Check if the `operator` address is allowed to operate on template instance `instance`
      * @param instance Address of the template instance
@@ -302,6 +738,25 @@ contract Factory is AccessControlUpgradeable {
         return hasRole(OPERATOR_ROLE(instance), operator);
     }
 
+    /**
+     * Get the EIP-712 domain separator used for typed data signatures
+     * @dev Computed on every call so that it stays correct behind the proxy and after chain forks
+     * @return EIP-712 domain separator
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("Factory"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
     /**
      * Update template instance deployment fee
      * @dev Deprecated
@@ -356,6 +811,27 @@ contract Factory is AccessControlUpgradeable {
         _setTemplate(templateName, templateVersion, implementationAddress);
     }
 
+    /**
+     * Update the status of a template version
+     * @dev Intended for phasing out versions that turn out to be vulnerable. Deprecated versions can still be deployed,
+     * disabled versions can't. Does not affect instances that have already been deployed, see {setWhitelisted} for that.
+     * @param templateName Name of the template
+     * @param templateVersion Version of the template implementation
+     * @param status New status of the version
+     */
+    function setTemplateStatus(
+        string calldata templateName,
+        uint256 templateVersion,
+        TemplateStatus status
+    ) external onlyRole(ADMIN_ROLE) {
+        // Make sure that the version exists
+        _getImplementation(templateName, templateVersion);
+
+        templateStatus[templateName][templateVersion] = status;
+
+        emit TemplateStatusChanged(templateName, templateVersion, status);
+    }
+
     /**
      * Update contract whitelist status
      * @dev For security reasons, we don't allow arbitrary contracts to be called via Factory. Contracts deployed via the Factory will be automatically whitelisted. This function is intended to allow us to disable any contracts that turn out to be vulnerable or malicious.
@@ -369,6 +845,19 @@ contract Factory is AccessControlUpgradeable {
         _setWhitelisted(instance, newStatus);
     }
 
+    /**
+     * Enable or disable signatures in the legacy packed format
+     * @dev Legacy signatures are not bound to a chain and can be replayed, they should be disabled once all signers have
+     * migrated to typed data signatures
+     * @param disabled New status, true for rejecting legacy signatures
+     */
+    function setLegacySignaturesDisabled(bool disabled)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        legacySignaturesDisabled = disabled;
+    }
+
     /**
      * Withdraw all fees from the contract to an address
      * @dev Deprecated, originally intended for withdrawing deplyment and call fees.
@@ -453,6 +942,32 @@ contract Factory is AccessControlUpgradeable {
         emit OperatorChanged(instance, operator, allowed);
     }
 
+    /**
+     * @dev Grants `role` to `account` and adds registered instances to the instances operated by `account`,
+     * see {AccessControlUpgradeable-_grantRole}
+     */
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+
+        address instance = _instances.byOperatorRole[role];
+        if (instance != address(0)) {
+            _instances.byOperator[account].add(instance);
+        }
+    }
+
+    /**
+     * @dev Revokes `role` from `account` and removes registered instances from the instances operated by
+     * `account`, including renounced roles, see {AccessControlUpgradeable-_revokeRole}
+     */
+    function _revokeRole(bytes32 role, address account) internal override {
+        super._revokeRole(role, account);
+
+        address instance = _instances.byOperatorRole[role];
+        if (instance != address(0)) {
+            _instances.byOperator[account].remove(instance);
+        }
+    }
+
     /**
      * @dev Internal function for deploying a template instance
      * @param templateName Name of the template to be deployed
@@ -464,20 +979,288 @@ contract Factory is AccessControlUpgradeable {
         uint256 templateVersion,
         bytes calldata initdata
     ) internal {
-        address implementationAddress = _templateImplementations[templateName][
+        address clone = Clones.clone(
+            _getDeployableImplementation(templateName, templateVersion)
+        );
+
+        _setupInstance(templateName, templateVersion, clone, false, initdata);
+    }
+
+    /**
+     * @dev Internal function for deploying a template instance to a deterministic address
+     * @param templateName Name of the template to be deployed
+     * @param templateVersion Version of the template implementation
+     * @param salt Salt for deriving the instance address
+     * @param initdata Initialization data for the newly deployed instance
+     */
+    function _deployDeterministic(
+        string calldata templateName,
+        uint256 templateVersion,
+        bytes32 salt,
+        bytes calldata initdata
+    ) internal {
+        address clone = Clones.cloneDeterministic(
+            _getDeployableImplementation(templateName, templateVersion),
+            _instanceSalt(msg.sender, salt)
+        );
+
+        _setupInstance(templateName, templateVersion, clone, false, initdata);
+    }
+
+    /**
+     * @dev Internal function for deploying an upgradeable template instance, the template beacon is deployed if needed
+     * @param templateName Name of the template to be deployed
+     * @param templateVersion Version of the template implementation
+     * @param salt Salt for deriving the instance address, a zero salt deploys to a regular non-deterministic address
+     * @param initdata Initialization data for the newly deployed instance
+     */
+    function _deployUpgradeable(
+        string calldata templateName,
+        uint256 templateVersion,
+        bytes32 salt,
+        bytes calldata initdata
+    ) internal {
+        address implementationAddress = _getDeployableImplementation(
+            templateName,
             templateVersion
-        ];
-        require(implementationAddress != address(0), "Missing implementation");
+        );
+
+        address beacon = templateBeacons[templateName];
+        if (beacon == address(0)) {
+            beacon = address(
+                new TemplateBeacon{salt: keccak256(bytes(templateName))}()
+            );
+            templateBeacons[templateName] = beacon;
+        }
 
-        address clone = Clones.clone(implementationAddress);
+        address instance = salt == bytes32(0)
+            ? address(new InstanceProxy(beacon))
+            : address(
+                new InstanceProxy{salt: _instanceSalt(msg.sender, salt)}(beacon)
+            );
+        TemplateBeacon(beacon).setImplementation(
+            instance,
+            implementationAddress
+        );
+
+        _setupInstance(templateName, templateVersion, instance, true, initdata);
+    }
+
+    /**
+     * @dev Internal function for registering and initializing a freshly deployed template instance
+     * @param templateName Name of the deployed template
+     * @param templateVersion Version of the template implementation
+     * @param clone Address of the template instance
+     * @param upgradeable True if the instance uses the template beacon
+     * @param initdata Initialization data for the template instance
+     */
+    function _setupInstance(
+        string calldata templateName,
+        uint256 templateVersion,
+        address clone,
+        bool upgradeable,
+        bytes calldata initdata
+    ) internal {
         emit TemplateDeployed(templateName, templateVersion, clone);
 
+        _instances.info[clone] = InstanceInfo(
+            templateName,
+            templateVersion,
+            msg.sender,
+            upgradeable
+        );
+        _instances.byTemplate[templateName].push(clone);
+        _instances.byOperatorRole[OPERATOR_ROLE(clone)] = clone;
+
         _setOperator(clone, msg.sender, true);
         _setWhitelisted(clone, true);
 
         _call(clone, initdata, 0);
     }
 
+    /**
+     * @dev Internal function for binding a deployment salt to the deploying address, so that other callers can't
+     * deploy to a predicted address with the same salt
+     * @param deployer Address sending the deployment transaction
+     * @param salt Salt of the deployment request
+     * @return CREATE2 salt of the instance
+     */
+    function _instanceSalt(address deployer, bytes32 salt)
+        internal
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(deployer, salt));
+    }
+
+    /**
+     * @dev Internal function for checking if the caller is the owner of a template instance
+     * @param instance Address of the template instance
+     * @return True if the instance has an `owner()` function that returns the caller
+     */
+    function _isInstanceOwner(address instance) internal view returns (bool) {
+        (bool success, bytes memory result) = instance.staticcall(
+            abi.encodeWithSignature("owner()")
+        );
+
+        return
+            success &&
+            result.length == 32 &&
+            abi.decode(result, (address)) == msg.sender;
+    }
+
+    /**
+     * @dev Internal function for calculating the number of items on a page of a list
+     * @param total Total number of items in the list
+     * @param offset Index of the first item on the page
+     * @param limit Maximum number of items on the page
+     * @return Number of items on the page
+     */
+    function _pageSize(
+        uint256 total,
+        uint256 offset,
+        uint256 limit
+    ) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    /**
+     * @dev Internal function for looking up the implementation of a template version, reverts if it is missing
+     * @param templateName Name of the template
+     * @param templateVersion Version of the template implementation
+     * @return implementationAddress Address of the implementation contract
+     */
+    function _getImplementation(
+        string memory templateName,
+        uint256 templateVersion
+    ) internal view returns (address implementationAddress) {
+        implementationAddress = _templateImplementations[templateName][
+            templateVersion
+        ];
+        require(implementationAddress != address(0), "Missing implementation");
+    }
+
+    /**
+     * @dev Internal function for looking up the implementation of a template version for a new deployment,
+     * reverts if it is missing or disabled
+     * @param templateName Name of the template
+     * @param templateVersion Version of the template implementation
+     * @return Address of the implementation contract
+     */
+    function _getDeployableImplementation(
+        string memory templateName,
+        uint256 templateVersion
+    ) internal view returns (address) {
+        require(
+            templateStatus[templateName][templateVersion] !=
+                TemplateStatus.Disabled,
+            "Template version disabled"
+        );
+
+        return _getImplementation(templateName, templateVersion);
+    }
+
+    /**
+     * @dev Internal function for computing the EIP-712 struct hash of a deployment request signed for the caller
+     * @param request Deployment details
+     * @return EIP-712 struct hash
+     */
+    function _hashDeployRequest(DeployRequest calldata request)
+        internal
+        view
+        returns (bytes32)
+    {
+        return
+            keccak256(
+                abi.encode(
+                    DEPLOY_REQUEST_TYPEHASH,
+                    msg.sender,
+                    keccak256(bytes(request.templateName)),
+                    request.templateVersion,
+                    keccak256(request.initdata),
+                    request.salt,
+                    request.upgradeable,
+                    request.nonce,
+                    request.deadline
+                )
+            );
+    }
+
+    /**
+     * @dev Internal function for computing the EIP-712 struct hash of a call request signed for the caller
+     * @param request Call details
+     * @return EIP-712 struct hash
+     */
+    function _hashCallRequest(CallRequest calldata request)
+        internal
+        view
+        returns (bytes32)
+    {
+        return
+            keccak256(
+                abi.encode(
+                    CALL_REQUEST_TYPEHASH,
+                    msg.sender,
+                    request.instance,
+                    keccak256(request.data),
+                    request.nonce,
+                    request.deadline
+                )
+            );
+    }
+
+    /**
+     * @dev Internal function for computing the EIP-712 struct hash of a batched call request signed for the caller
+     * @param request Batched call details
+     * @return EIP-712 struct hash
+     */
+    function _hashMulticallRequest(MulticallRequest calldata request)
+        internal
+        view
+        returns (bytes32)
+    {
+        uint256 count = request.calls.length;
+        bytes32[] memory callHashes = new bytes32[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            callHashes[i] = keccak256(
+                abi.encode(
+                    CALL_TYPEHASH,
+                    request.calls[i].instance,
+                    keccak256(request.calls[i].data)
+                )
+            );
+        }
+
+        return
+            keccak256(
+                abi.encode(
+                    MULTICALL_REQUEST_TYPEHASH,
+                    msg.sender,
+                    keccak256(abi.encodePacked(callHashes)),
+                    request.nonce,
+                    request.deadline
+                )
+            );
+    }
+
+    /**
+     * @dev Internal function for checking that `digest` has been signed by a `SIGNER_ROLE` wallet
+     * @param digest Hash of the signed message
+     * @param signature Signature of the message
+     */
+    function _checkSignature(bytes32 digest, bytes calldata signature)
+        internal
+        view
+    {
+        // Gets the address that signed the message with signature
+        address messageSigner = ECDSA.recover(digest, signature);
+
+        require(hasRole(SIGNER_ROLE, messageSigner), "Signer not recognized");
+    }
+
     /**
      * @dev Internal function for calling a template instance
      * @param instance Address of the template instance
@@ -535,14 +1318,30 @@ contract Factory is AccessControlUpgradeable {
      * @dev Modifier for checking if `signature` is a valid signature of `message` by a `SIGNER_ROLE` wallet
      */
     modifier signedOnly(bytes memory message, bytes calldata signature) {
-        // Gets the address that signed the message with signature
-        address messageSigner = ECDSA.recover(
-            ECDSA.toEthSignedMessageHash(message),
+        require(!legacySignaturesDisabled, "Legacy signatures disabled");
+        _checkSignature(ECDSA.toEthSignedMessageHash(message), signature);
+        _;
+    }
+
+    /**
+     * @dev Modifier for checking if `signature` is a valid EIP-712 signature of `structHash` by a `SIGNER_ROLE` wallet,
+     * that it has not expired and that it uses the current nonce of the caller. Consumes the nonce.
+     */
+    modifier typedSignedOnly(
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) {
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp <= deadline, "Signature expired");
+        require(nonce == nonces[msg.sender], "Invalid nonce");
+        nonces[msg.sender] = nonce + 1;
+
+        _checkSignature(
+            ECDSA.toTypedDataHash(DOMAIN_SEPARATOR(), structHash),
             signature
         );
-
-        require(hasRole(SIGNER_ROLE, messageSigner), "Signer not recognized");
-
         _;
     }
 
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+import "./Base64.sol";
+import "./JSON.sol";
+
+/// Contract-level metadata returned by `contractURI()` of templates, see
+/// https://docs.opensea.io/docs/contract-level-metadata
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so they read and update the storage of the calling template
+library ContractMetadata {
+    using Strings for uint256;
+
+    /// Collection details displayed by marketplaces
+    struct Metadata {
+        // Collection name
+        string name;
+        // Collection description
+        string description;
+        // Collection image URI
+        string image;
+        // URI of the collection website
+        string externalLink;
+        // URI of externally hosted contract metadata, returned by `contractURI` instead of the other fields if set
+        string uri;
+    }
+
+    // Event emitted when the contract metadata is updated, see https://eips.ethereum.org/EIPS/eip-7572
+    event ContractURIUpdated();
+
+    /// Replace `metadata` with `newMetadata`
+    function update(Metadata storage metadata, Metadata calldata newMetadata)
+        public
+    {
+        metadata.name = newMetadata.name;
+        metadata.description = newMetadata.description;
+        metadata.image = newMetadata.image;
+        metadata.externalLink = newMetadata.externalLink;
+        metadata.uri = newMetadata.uri;
+
+        emit ContractURIUpdated();
+    }
+
+    /// Get `metadata.uri` if set, otherwise a base64 encoded JSON data URI containing the non-empty metadata fields,
+    /// royalties basis points and royalties address
+    function contractURI(
+        Metadata storage metadata,
+        uint256 royaltiesBps,
+        address royaltiesAddress
+    ) public view returns (string memory) {
+        if (bytes(metadata.uri).length != 0) {
+            return metadata.uri;
+        }
+
+        string memory json = Base64.encode(
+            abi.encodePacked(
+                "{",
+                _field("name", metadata.name),
+                _field("description", metadata.description),
+                _field("image", metadata.image),
+                _field("external_link", metadata.externalLink),
+                '"seller_fee_basis_points": ', // solhint-disable-line quotes
+                royaltiesBps.toString(),
+                ', "fee_recipient": "', // solhint-disable-line quotes
+                uint256(uint160(royaltiesAddress)).toHexString(20),
+                '"}' // solhint-disable-line quotes
+            )
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", json));
+    }
+
+    /// Encode a JSON string field followed by a comma, or nothing if `value` is empty
+    function _field(string memory key, string memory value)
+        private
+        pure
+        returns (bytes memory)
+    {
+        if (bytes(value).length == 0) {
+            return "";
+        }
+
+        return abi.encodePacked('"', key, '": "', JSON.escape(value), '", '); // solhint-disable-line quotes
+    }
+}
@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// Public sales with a descending price, where buyers can claim rebates down to the clearing price
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so they read and update the storage of the calling template
+library DutchAuctions {
+    /// Descending public mint price, updatable by admins and owner with `setDutchAuction` until the first mint
+    struct DutchAuction {
+        // Starting timestamp of the auction, the price starts decreasing from then on
+        uint256 start;
+        // Ending timestamp of the auction, which settles the clearing price. Auction mints are closed from then on
+        uint256 end;
+        // Minting price per token when the auction starts
+        uint256 startPrice;
+        // Lowest minting price per token
+        uint256 floorPrice;
+        // Seconds between price decreases, 0 if the auction is disabled
+        uint256 stepInterval;
+        // Price decrease per step
+        uint256 stepDecrement;
+        // If true, buyers can claim the difference between their payment and the clearing price,
+        // the price of the last auction mint
+        bool rebate;
+    }
+
+    /// Dutch auction with its mints and unclaimed payments
+    struct Auction {
+        // Auction configuration
+        DutchAuction config;
+        // Price of the last auction mint
+        uint256 clearingPrice;
+        // Number of tokens minted in the auction
+        uint256 totalMinted;
+        // Unclaimed payments of auctions with rebates
+        uint256 totalPaid;
+        // Unclaimed payments of each wallet in auctions with rebates
+        mapping(address => uint256) paid;
+        // Number of tokens minted by each wallet in auctions with rebates
+        mapping(address => uint256) minted;
+    }
+
+    /// Replace the configuration of `auction`, which can't be changed after the first auction mint
+    function set(Auction storage auction, DutchAuction calldata config)
+        external
+    {
+        require(auction.totalMinted == 0, "Auction already started");
+        require(
+            config.floorPrice <= config.startPrice,
+            "Floor price above start price"
+        );
+        require(
+            config.stepInterval == 0 || config.end > config.start,
+            "Auction ends before it starts"
+        );
+
+        auction.config = config;
+    }
+
+    /// Get the current price per token
+    function price(Auction storage auction) public view returns (uint256) {
+        DutchAuction storage config = auction.config;
+
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp <= config.start) {
+            return config.startPrice;
+        }
+
+        // solhint-disable-next-line not-rely-on-time
+        uint256 steps = (block.timestamp - config.start) / config.stepInterval;
+        uint256 decrease = steps * config.stepDecrement;
+
+        return
+            decrease < config.startPrice - config.floorPrice
+                ? config.startPrice - decrease
+                : config.floorPrice;
+    }
+
+    /// Record a mint of `amount` tokens by the sender, who `paid` for them, while the auction is running
+    function recordMint(
+        Auction storage auction,
+        uint256 amount,
+        uint256 paid
+    ) external {
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp >= auction.config.start, "Auction not started");
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp < auction.config.end, "Auction has ended");
+
+        // The price only decreases, so the latest mint sets the clearing price
+        auction.clearingPrice = price(auction);
+        auction.totalMinted += amount;
+
+        if (auction.config.rebate) {
+            auction.paid[msg.sender] += paid;
+            auction.minted[msg.sender] += amount;
+            auction.totalPaid += paid;
+        }
+    }
+
+    /// Get the rebate `wallet` can claim at the current clearing price
+    function rebate(Auction storage auction, address wallet)
+        public
+        view
+        returns (uint256)
+    {
+        return
+            auction.paid[wallet] -
+            auction.minted[wallet] *
+            auction.clearingPrice;
+    }
+
+    /// Record the claim of the rebate of the sender, which the caller has to send
+    /// @return amount The claimed rebate
+    function claimRebate(Auction storage auction)
+        external
+        returns (uint256 amount)
+    {
+        amount = rebate(auction, msg.sender);
+        require(amount > 0, "Nothing to claim");
+
+        auction.paid[msg.sender] -= amount;
+        auction.totalPaid -= amount;
+    }
+
+    /// Check if the clearing price is final, once the auction has sold out or ended
+    function settled(Auction storage auction, bool soldOut)
+        public
+        view
+        returns (bool)
+    {
+        // solhint-disable-next-line not-rely-on-time
+        return soldOut || block.timestamp >= auction.config.end;
+    }
+
+    /// Get the maximum amount of rebates buyers can still claim. Until the auction is settled,
+    /// the clearing price can still drop down to the floor price
+    function rebateReserve(Auction storage auction, bool soldOut)
+        public
+        view
+        returns (uint256)
+    {
+        if (!auction.config.rebate) return 0;
+
+        uint256 lowestPrice = settled(auction, soldOut)
+            ? auction.clearingPrice
+            : auction.config.floorPrice;
+        return auction.totalPaid - auction.totalMinted * lowestPrice;
+    }
+}
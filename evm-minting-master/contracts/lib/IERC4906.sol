@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/*
+ * ERC-4906 metadata update events, emitted for marketplaces to refresh the cached metadata of tokens,
+ * see https://eips.ethereum.org/EIPS/eip-4906. Templates advertise the `0x49064906` interface ID.
+ */
+interface IERC4906 {
+    // Event emitted when the metadata of token `_tokenId` changes
+    event MetadataUpdate(uint256 _tokenId);
+
+    // Event emitted when the metadata of tokens `_fromTokenId` to `_toTokenId` changes
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+}
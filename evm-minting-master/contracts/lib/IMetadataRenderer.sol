@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/*
+ * Metadata renderer interface, used by collections to delegate `tokenURI` to a separate contract.
+ * Renderers are called by the collection, so `msg.sender` is the collection of the token.
+ */
+interface IMetadataRenderer {
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IMetadataRenderer.sol";
+
+/*
+ * Interface of collections with freezable metadata, used by metadata renderers to only accept metadata updates
+ * of collections that haven't frozen their metadata, and to have the collections emit ERC-4906 events for them.
+ */
+interface IMetadataUpdatable {
+    function metadataUpdatable() external view returns (bool);
+
+    function metadataRenderer() external view returns (IMetadataRenderer);
+
+    /// Emit ERC-4906 events for an update of the renderer's metadata of `metadataId`, the token ID the collection
+    /// passes to the renderer, or of all tokens if it is `type(uint256).max`. Callable by the renderer only
+    function refreshRenderedMetadata(uint256 metadataId) external;
+}
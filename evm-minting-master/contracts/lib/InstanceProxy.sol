@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Upgrade.sol";
+
+/**
+ * @title InstanceProxy
+ * @notice Upgradeable template instance that delegates calls to the implementation its {TemplateBeacon} returns.
+ * Unlike {BeaconProxy} it does not require the implementation to be set at construction time, so the Factory can
+ * pin the instance to an implementation and initialize it after deploying it.
+ *
+ * The beacon is stored in the https://eips.ethereum.org/EIPS/eip-1967[EIP 1967] beacon slot and cannot be changed.
+ */
+contract InstanceProxy is Proxy, ERC1967Upgrade {
+    constructor(address beacon) {
+        StorageSlot.getAddressSlot(_BEACON_SLOT).value = beacon;
+        emit BeaconUpgraded(beacon);
+    }
+
+    function _implementation() internal view override returns (address) {
+        return IBeacon(_getBeacon()).implementation();
+    }
+}
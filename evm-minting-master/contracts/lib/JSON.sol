@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// Helpers for building JSON strings on-chain
+library JSON {
+    bytes internal constant _HEX = "0123456789abcdef";
+
+    /// Escape `value` for use inside a JSON string, escaping quotes, backslashes and control characters
+    function escape(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+
+        uint256 length = input.length;
+        for (uint256 i = 0; i < input.length; i++) {
+            // solhint-disable-next-line quotes
+            if (input[i] == '"' || input[i] == "\\") {
+                length += 1;
+            } else if (uint8(input[i]) < 0x20) {
+                // Escaped as \u00XX
+                length += 5;
+            }
+        }
+        if (length == input.length) return value;
+
+        bytes memory output = new bytes(length);
+        uint256 j = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            // solhint-disable-next-line quotes
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = _HEX[uint8(char) >> 4];
+                output[j++] = _HEX[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+
+        return string(output);
+    }
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// EIP-712 mint vouchers, authorizations to mint signed by a wallet designated by the minting contract
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so `address(this)` is the address of the calling instance
+library MintVouchers {
+    /// Authorization to mint for `wallet`
+    struct MintVoucher {
+        // Wallet that can mint with the voucher
+        address wallet;
+        // The maximum number of tokens the wallet can mint with all of its vouchers
+        uint256 maxAmount;
+        // Minting price per token
+        uint256 price;
+        // Timestamp after which the voucher is no longer valid
+        uint256 deadline;
+    }
+
+    /// Voucher signer of the calling contract and the number of tokens minted with its vouchers
+    struct Vouchers {
+        // Wallet signing mint vouchers, vouchers are disabled if not set
+        address signer;
+        // Number of tokens minted by each wallet with vouchers
+        mapping(address => uint256) minted;
+    }
+
+    /// EIP-712 domain type hash
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    /// EIP-712 type hash for mint vouchers
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256(
+            "MintVoucher(address wallet,uint256 maxAmount,uint256 price,uint256 deadline)"
+        );
+
+    /// Get the EIP-712 domain separator of the calling contract, with version "1"
+    function domainSeparator(string memory name) public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(name)),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /// Get the wallet that signed `voucher` for the calling contract, reverts if the signature is malformed
+    function signer(
+        string memory name,
+        MintVoucher calldata voucher,
+        bytes calldata signature
+    ) public view returns (address) {
+        return
+            ECDSA.recover(
+                ECDSA.toTypedDataHash(
+                    domainSeparator(name),
+                    keccak256(abi.encode(MINT_VOUCHER_TYPEHASH, voucher))
+                ),
+                signature
+            );
+    }
+
+    /// Record a mint of `amount` tokens by the sender with `voucher`, checking that it was signed by
+    /// `vouchers.signer` and that the wallet stays within `voucher.maxAmount`
+    function redeem(
+        Vouchers storage vouchers,
+        string memory name,
+        uint256 amount,
+        MintVoucher calldata voucher,
+        bytes calldata signature
+    ) external {
+        require(voucher.wallet == msg.sender, "Voucher for another wallet");
+        // solhint-disable-next-line not-rely-on-time
+        require(block.timestamp <= voucher.deadline, "Voucher expired");
+        require(
+            signer(name, voucher, signature) == vouchers.signer,
+            "Invalid voucher signature"
+        );
+
+        vouchers.minted[msg.sender] += amount;
+        require(
+            vouchers.minted[msg.sender] <= voucher.maxAmount,
+            "Voucher amount exceeded"
+        );
+    }
+}
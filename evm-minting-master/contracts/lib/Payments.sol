@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// Minting payments in native currency or an ERC20 token, and their distribution between payees
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so they move the funds of the calling contract
+library Payments {
+    using Address for address payable;
+    using SafeERC20 for IERC20;
+
+    /// Recipient of a share of the minting fees
+    struct Payee {
+        // Address the share is sent to
+        address payable account;
+        // Number of shares of the payee, fees are split proportionally to the shares of all payees
+        uint256 shares;
+    }
+
+    /// Payment token of the calling contract and the payees its minting fees are split between
+    struct Settings {
+        // ERC20 token for minting payments, native currency is used if not set
+        IERC20 token;
+        // Payees minting fees are split between
+        Payee[] payees;
+        // Total shares of all payees
+        uint256 totalShares;
+    }
+
+    // Event emitted for each payee when fees are distributed,
+    // `token` is the zero address for native currency
+    event PaymentReleased(
+        address indexed token,
+        address indexed payee,
+        uint256 amount
+    );
+
+    /// Collect `payment` from the sender in `token`, or check that enough native currency was sent if `token`
+    /// is the zero address
+    /// @return paid The amount paid
+    function collect(IERC20 token, uint256 payment)
+        external
+        returns (uint256 paid)
+    {
+        if (address(token) == address(0)) {
+            require(msg.value >= payment, "Payment too small");
+            return msg.value;
+        }
+
+        require(msg.value == 0, "Pay with the payment token");
+        token.safeTransferFrom(msg.sender, address(this), payment);
+        return payment;
+    }
+
+    /// Add `newPayees` to the payees of `settings`
+    function addPayees(Settings storage settings, Payee[] memory newPayees)
+        external
+    {
+        for (uint256 i = 0; i < newPayees.length; i++) {
+            require(
+                newPayees[i].account != address(0) && newPayees[i].shares > 0,
+                "Invalid payee"
+            );
+            settings.totalShares += newPayees[i].shares;
+            settings.payees.push(newPayees[i]);
+        }
+    }
+
+    /// Split `amount` of `token` between the payees of `settings` proportionally to their shares,
+    /// or send it to `treasury` if there are none
+    function distribute(
+        Settings storage settings,
+        IERC20 token,
+        uint256 amount,
+        address payable treasury
+    ) external {
+        if (amount == 0) return;
+
+        Payee[] storage payees = settings.payees;
+
+        if (payees.length == 0) {
+            transfer(token, treasury, amount);
+            emit PaymentReleased(address(token), treasury, amount);
+            return;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < payees.length; i++) {
+            // The last payee gets the remainder of the rounded down shares
+            uint256 payment = i == payees.length - 1
+                ? remaining
+                : (amount * payees[i].shares) / settings.totalShares;
+            remaining -= payment;
+
+            transfer(token, payees[i].account, payment);
+            emit PaymentReleased(address(token), payees[i].account, payment);
+        }
+    }
+
+    /// Send `amount` of `token` to `to`, `token` is the zero address for native currency
+    function transfer(
+        IERC20 token,
+        address payable to,
+        uint256 amount
+    ) public {
+        if (address(token) == address(0)) {
+            to.sendValue(amount);
+        } else {
+            token.safeTransfer(to, amount);
+        }
+    }
+}
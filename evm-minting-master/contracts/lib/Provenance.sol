@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// Provenance of token metadata, which is shifted by a starting index revealed from a block hash after the sale
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so they read and update the storage of the calling template
+library Provenance {
+    /// Provenance hash and starting index of a collection
+    struct Record {
+        // Hash of the token metadata in their original order, 0 if the collection has no provenance
+        bytes32 hash;
+        // Timestamp after which the starting index can be committed to without selling out
+        uint256 deadline;
+        // Block whose hash sets the starting index
+        uint256 startingIndexBlock;
+        // Offset of token IDs to metadata IDs
+        uint256 startingIndex;
+        // True once the starting index has been revealed
+        bool revealed;
+    }
+
+    /// Commit to the next block, whose hash sets the starting index, once the collection has sold out or the
+    /// deadline has passed
+    function commit(Record storage provenance, bool soldOut) external {
+        require(provenance.hash != 0, "No provenance hash");
+        require(provenance.startingIndexBlock == 0, "Starting index committed");
+        bool deadlinePassed = provenance.deadline > 0 &&
+            // solhint-disable-next-line not-rely-on-time
+            block.timestamp >= provenance.deadline;
+        require(soldOut || deadlinePassed, "Sale has not ended");
+
+        provenance.startingIndexBlock = block.number + 1;
+    }
+
+    /// Reveal the starting index, below `maxSupply`, from the hash of the committed block. Once the hash is no longer
+    /// available, commits to the next block instead and returns false
+    /// @return revealed True if the starting index was revealed
+    function reveal(Record storage provenance, uint256 maxSupply)
+        external
+        returns (bool revealed)
+    {
+        require(
+            provenance.startingIndexBlock > 0 &&
+                block.number > provenance.startingIndexBlock,
+            "Starting index block not mined"
+        );
+        require(!provenance.revealed, "Starting index revealed");
+
+        bytes32 hash = blockhash(provenance.startingIndexBlock);
+        // Only the hashes of the last 256 blocks are available. A recent block hash could be chosen by the caller,
+        // so the starting index is committed to a future block again
+        if (hash == 0) {
+            provenance.startingIndexBlock = block.number + 1;
+            return false;
+        }
+
+        provenance.startingIndex = uint256(hash) % maxSupply;
+        provenance.revealed = true;
+        return true;
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/// Sale phases with their own price, whitelist and limits, of which at most one is active at a time
+/// @dev Deployed and linked as an external library to keep templates below the contract size limit.
+/// Library functions are delegatecalled, so they read and update the storage of the calling template
+library SalePhases {
+    /// Sale phase, updatable by admins and owner with `setSalePhases`
+    struct SalePhase {
+        // Starting timestamp of the phase
+        uint256 start;
+        // Ending timestamp of the phase, 0 if the phase lasts until the next phase starts
+        uint256 end;
+        // Minting price per token
+        uint256 price;
+        // Root of the Merkle tree of whitelisted addresses, with the same leaves as the presale whitelist.
+        // 0 if anyone can mint in this phase
+        bytes32 merkleRoot;
+        // The maximum number of tokens each wallet can mint in this phase, 0 for no limit
+        uint256 walletLimit;
+        // The maximum number of tokens that can be minted in this phase, 0 for no limit
+        uint256 supplyLimit;
+    }
+
+    /// Sale phases with the number of tokens minted in them
+    struct Schedule {
+        // Sale phases ordered by their starting timestamp
+        SalePhase[] phases;
+        // Incremented each time the phases are replaced, so the new phases start without minted tokens
+        uint256 id;
+        // Number of tokens minted in each phase, by schedule id and phase index
+        mapping(uint256 => mapping(uint256 => uint256)) minted;
+        // Number of tokens minted by each wallet in each phase, by schedule id and phase index
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256))) mintedBy;
+    }
+
+    /// Replace the phases of `schedule` with `newPhases`, which have to be ordered by their starting timestamp.
+    /// Minted amounts start over for the new phases
+    function set(Schedule storage schedule, SalePhase[] calldata newPhases)
+        external
+    {
+        schedule.id++;
+
+        SalePhase[] storage phases = schedule.phases;
+        while (phases.length > 0) {
+            phases.pop();
+        }
+
+        for (uint256 i = 0; i < newPhases.length; i++) {
+            require(
+                newPhases[i].end == 0 || newPhases[i].end > newPhases[i].start,
+                "Phase ends before it starts"
+            );
+            require(
+                i == 0 || newPhases[i].start > newPhases[i - 1].start,
+                "Phases must be ordered"
+            );
+
+            phases.push(newPhases[i]);
+        }
+    }
+
+    /// Get the active phase, `index` is only valid if `active` is true
+    function active(Schedule storage schedule)
+        public
+        view
+        returns (bool, uint256)
+    {
+        SalePhase[] storage phases = schedule.phases;
+        // Phases are ordered by their start, so only the last phase that has started can be active
+        for (uint256 i = phases.length; i > 0; i--) {
+            SalePhase storage phase = phases[i - 1];
+
+            // solhint-disable-next-line not-rely-on-time
+            if (block.timestamp >= phase.start) {
+                // solhint-disable-next-line not-rely-on-time
+                return (phase.end == 0 || block.timestamp < phase.end, i - 1);
+            }
+        }
+
+        return (false, 0);
+    }
+
+    /// Record a mint of `amount` tokens by the sender in the active phase, checking its whitelist and limits.
+    /// Returns the price per token of the phase
+    function recordMint(
+        Schedule storage schedule,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external returns (uint256) {
+        (bool isActive, uint256 index) = active(schedule);
+        require(isActive, "No active sale phase");
+        SalePhase storage phase = schedule.phases[index];
+        mapping(uint256 => uint256) storage minted = schedule.minted[
+            schedule.id
+        ];
+        mapping(address => uint256) storage mintedBy = schedule.mintedBy[
+            schedule.id
+        ][index];
+
+        require(
+            phase.merkleRoot == bytes32(0) ||
+                MerkleProof.verify(
+                    proof,
+                    phase.merkleRoot,
+                    keccak256(abi.encodePacked(msg.sender))
+                ),
+            "Not whitelisted for sale phase"
+        );
+
+        mintedBy[msg.sender] += amount;
+        minted[index] += amount;
+        require(
+            phase.walletLimit == 0 || mintedBy[msg.sender] <= phase.walletLimit,
+            "Wallet limit exceeded"
+        );
+        require(
+            phase.supplyLimit == 0 || minted[index] <= phase.supplyLimit,
+            "Phase supply exceeded"
+        );
+
+        return phase.price;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/beacon/IBeacon.sol";
+
+/**
+ * @title TemplateBeacon
+ * @notice Beacon shared by all upgradeable instances of a template, deployed and managed by the Factory.
+ * Each instance is pinned to its own template implementation, so instances are only upgraded when they opt in.
+ */
+contract TemplateBeacon is IBeacon {
+    /// Factory that deployed the beacon and manages instance implementations
+    address public immutable factory;
+
+    /// Implementations that the instances of the template are pinned to
+    mapping(address => address) public implementationOf;
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /**
+     * Get the implementation of the calling instance
+     * @dev Called by {InstanceProxy} on every call to the instance
+     * @return Implementation address, zero if the caller is not an instance of the template
+     */
+    function implementation() external view returns (address) {
+        return implementationOf[msg.sender];
+    }
+
+    /**
+     * Pin an instance to an implementation
+     * @dev Callable only by the Factory
+     * @param instance Address of the template instance
+     * @param newImplementation Address of the template implementation
+     */
+    function setImplementation(address instance, address newImplementation)
+        external
+    {
+        require(msg.sender == factory, "Access denied");
+
+        implementationOf[instance] = newImplementation;
+    }
+}
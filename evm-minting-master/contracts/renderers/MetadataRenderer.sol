@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+import "../lib/Base64.sol";
+import "../lib/IMetadataRenderer.sol";
+import "../lib/IMetadataUpdatable.sol";
+import "../lib/JSON.sol";
+
+/**
+ * @title MetadataRenderer
+ * @notice Default on-chain metadata renderer for NFTCollection instances, returning token metadata as base64
+ * encoded JSON data URIs instead of files hosted under a base URI.
+ *
+ * A single renderer is shared by all collections. The metadata of each collection is stored by its address and
+ * managed by the admins of the collection.
+ */
+contract MetadataRenderer is IMetadataRenderer {
+    using Strings for uint256;
+
+    /// Metadata shared by all tokens of a collection
+    struct Metadata {
+        // Token name, followed by ` #<tokenId>`
+        string name;
+        // Token description
+        string description;
+        // Image URI template, each `{id}` is replaced by the token ID. Can be a data URI for on-chain images
+        string image;
+    }
+
+    /// Token attribute, following the OpenSea metadata standard
+    struct Attribute {
+        // Name of the trait
+        string traitType;
+        // Value of the trait
+        string value;
+    }
+
+    // Event emitted when the metadata of `collection` is updated
+    event MetadataUpdated(address indexed collection);
+
+    // Event emitted when the attributes of a token of `collection` are updated
+    event AttributesUpdated(
+        address indexed collection,
+        uint256 indexed tokenId
+    );
+
+    /// Admin role of collections, which can update their metadata
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    /// Metadata of each collection
+    mapping(address => Metadata) public metadata;
+
+    // Attributes of each token of each collection
+    mapping(address => mapping(uint256 => Attribute[])) internal _attributes;
+
+    /// Set the metadata of `collection`
+    /// @dev Callable by admin roles of the collection only
+    function setMetadata(address collection, Metadata calldata data)
+        external
+        onlyCollectionAdmin(collection)
+    {
+        metadata[collection] = data;
+        emit MetadataUpdated(collection);
+        _refresh(collection, type(uint256).max);
+    }
+
+    /// Replace the attributes of token `tokenId` of `collection`
+    /// @dev Callable by admin roles of the collection only
+    function setAttributes(
+        address collection,
+        uint256 tokenId,
+        Attribute[] calldata attributes
+    ) external onlyCollectionAdmin(collection) {
+        delete _attributes[collection][tokenId];
+
+        for (uint256 i = 0; i < attributes.length; i++) {
+            _attributes[collection][tokenId].push(attributes[i]);
+        }
+
+        emit AttributesUpdated(collection, tokenId);
+        _refresh(collection, tokenId);
+    }
+
+    /// Get the attributes of token `tokenId` of `collection`
+    function tokenAttributes(address collection, uint256 tokenId)
+        external
+        view
+        returns (Attribute[] memory)
+    {
+        return _attributes[collection][tokenId];
+    }
+
+    /// Get the token metadata URI of the calling collection
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        return collectionTokenURI(msg.sender, tokenId);
+    }
+
+    /// Get the token metadata URI of token `tokenId` of `collection`
+    function collectionTokenURI(address collection, uint256 tokenId)
+        public
+        view
+        returns (string memory)
+    {
+        Metadata storage data = metadata[collection];
+        string memory id = tokenId.toString();
+
+        string memory json = Base64.encode(
+            abi.encodePacked(
+                '{"name": "', // solhint-disable-line quotes
+                JSON.escape(data.name),
+                " #",
+                id,
+                '", "description": "', // solhint-disable-line quotes
+                JSON.escape(data.description),
+                '", "image": "', // solhint-disable-line quotes
+                JSON.escape(string(_replaceId(data.image, id))),
+                '", "attributes": [', // solhint-disable-line quotes
+                _attributesJSON(_attributes[collection][tokenId]),
+                "]}"
+            )
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", json));
+    }
+
+    /// Have `collection` emit ERC-4906 events for updated metadata, if it renders its metadata with this renderer
+    function _refresh(address collection, uint256 tokenId) internal {
+        IMetadataUpdatable updatable = IMetadataUpdatable(collection);
+        if (address(updatable.metadataRenderer()) == address(this)) {
+            updatable.refreshRenderedMetadata(tokenId);
+        }
+    }
+
+    /// Encode attributes as a comma separated list of JSON objects
+    function _attributesJSON(Attribute[] storage attributes)
+        internal
+        view
+        returns (bytes memory output)
+    {
+        for (uint256 i = 0; i < attributes.length; i++) {
+            output = abi.encodePacked(
+                output,
+                i == 0 ? "" : ", ",
+                '{"trait_type": "', // solhint-disable-line quotes
+                JSON.escape(attributes[i].traitType),
+                '", "value": "', // solhint-disable-line quotes
+                JSON.escape(attributes[i].value),
+                '"}' // solhint-disable-line quotes
+            );
+        }
+    }
+
+    /// Replace each `{id}` in `template` with `id`
+    function _replaceId(string memory template, string memory id)
+        internal
+        pure
+        returns (bytes memory output)
+    {
+        bytes memory input = bytes(template);
+
+        uint256 start = 0;
+        for (uint256 i = 0; i + 3 < input.length; i++) {
+            if (
+                input[i] == "{" &&
+                input[i + 1] == "i" &&
+                input[i + 2] == "d" &&
+                input[i + 3] == "}"
+            ) {
+                output = abi.encodePacked(output, _slice(input, start, i), id);
+                start = i + 4;
+                i += 3;
+            }
+        }
+
+        output = abi.encodePacked(output, _slice(input, start, input.length));
+    }
+
+    /// Get the bytes of `input` from `start` until `end`
+    function _slice(
+        bytes memory input,
+        uint256 start,
+        uint256 end
+    ) internal pure returns (bytes memory output) {
+        output = new bytes(end - start);
+        for (uint256 i = start; i < end; i++) {
+            output[i - start] = input[i];
+        }
+    }
+
+    /// Only allow admins of `collection` whose metadata isn't frozen
+    modifier onlyCollectionAdmin(address collection) {
+        require(
+            IAccessControl(collection).hasRole(ADMIN_ROLE, msg.sender),
+            "Not a collection admin"
+        );
+        require(
+            IMetadataUpdatable(collection).metadataUpdatable(),
+            "Metadata is frozen"
+        );
+        _;
+    }
+}
@@ -3,12 +3,12 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts-upgradeable/token/ERC1155/ERC1155Upgradeable.sol";
 import {IERC2981} from "@openzeppelin/contracts/token/common/ERC2981.sol";
-import "@openzeppelin/contracts/utils/Strings.sol";
 
 import "../lib/GranularRoles.sol";
-import "../lib/Base64.sol";
 import "../lib/Config.sol";
+import "../lib/ContractMetadata.sol";
 import "../lib/ITemplate.sol";
+import "../lib/IERC4906.sol";
 
 /*
  * ERC-1155 proxy contract, meaning it does not make use of a constructor,
@@ -16,13 +16,16 @@ import "../lib/ITemplate.sol";
  *
  * Minting and other write transactions only supported for accounts with relevant access rights.
  */
-contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
+contract ERC1155NFTProduct is
+    ERC1155Upgradeable,
+    GranularRoles,
+    ITemplate,
+    IERC4906
+{
     /*******************************
      * Extensions, structs, events *
      *******************************/
 
-    using Strings for uint256;
-
     /*
      * Event emitted to show opensea that metadata of a token is frozen,
      * see https://docs.opensea.io/docs/metadata-standards
@@ -30,6 +33,8 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
     event PermanentURI(string _value, uint256 indexed _id);
     // Event emitted to show that all tokens have their metadata frozen
     event PermanentURIGlobal();
+    // Event emitted when the contract metadata is updated, see https://eips.ethereum.org/EIPS/eip-7572
+    event ContractURIUpdated();
 
     /*************
      * Constants *
@@ -38,7 +43,7 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
     // Template name
     string public constant NAME = "ERC1155NFTProduct";
     // Template version
-    uint256 public constant VERSION = 1_00_00;
+    uint256 public constant VERSION = 1_01_00;
 
     // Basis for calculating royalties.
     // This has to be 10k for royaltiesBps to be in basis points.
@@ -116,6 +121,8 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
         onlyRole(UPDATE_CONTRACT_ROLE)
     {
         _setURI(_newURI);
+        // The default URI is returned for all tokens without a token URI
+        emit BatchMetadataUpdate(0, type(uint256).max);
     }
 
     /*
@@ -147,6 +154,7 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
             );
             _tokenURIs[_tokenId] = _newUri;
             emit URI(_newUri, _tokenId);
+            emit MetadataUpdate(_tokenId);
         }
         if (_isFreezeTokenUri) {
             freezeTokenUris[_tokenId] = true;
@@ -225,15 +233,16 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
         RolesAddresses[] memory rolesAddresses,
         bool isRevokeNFTPortPermissions
     ) public onlyRole(UPDATE_CONTRACT_ROLE) {
+        bool baseURIChanged = keccak256(abi.encodePacked(newConfig.baseURI)) !=
+            keccak256(abi.encodePacked(baseURI));
         // If metadata is frozen, baseURI cannot be updated
-        require(
-            metadataUpdatable ||
-                (keccak256(abi.encodePacked(newConfig.baseURI)) ==
-                    keccak256(abi.encodePacked(baseURI))),
-            "Metadata is frozen"
-        );
+        require(metadataUpdatable || !baseURIChanged, "Metadata is frozen");
 
-        baseURI = newConfig.baseURI;
+        if (baseURIChanged) {
+            baseURI = newConfig.baseURI;
+            // Token URIs are returned as baseURI + tokenURI
+            emit BatchMetadataUpdate(0, type(uint256).max);
+        }
         royaltiesAddress = newConfig.royaltiesAddress;
         royaltiesBasisPoints = newConfig.royaltiesBps;
 
@@ -252,6 +261,17 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
         }
     }
 
+    /*
+     * Allows to update the collection details returned by `contractURI`, displayed by marketplaces.
+     * Only callable by accounts with `UPDATE_CONTRACT_ROLE` or `ADMIN_ROLE`.
+     */
+    function setContractMetadata(ContractMetadata.Metadata calldata metadata)
+        public
+        onlyRole(UPDATE_CONTRACT_ROLE)
+    {
+        ContractMetadata.update(_contractMetadata, metadata);
+    }
+
     /*
      * Allows to mint tokens by the contract `_owner`.
      * Only callable by accounts with `MINT_ROLE` or `ADMIN_ROLE`.
@@ -338,32 +358,16 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
     }
 
     /**
-    * @dev OpenSea contract metadata, returns a base64 encoded JSON string containing royalties basis points
-    * and royalties address
-    */
+     * @dev OpenSea contract metadata, returns the metadata URI override if set, otherwise a base64 encoded JSON
+     * string containing the collection details, royalties basis points and royalties address
+     */
     function contractURI() external view returns (string memory) {
-        string memory json = Base64.encode(
-            bytes(
-                string(
-                    abi.encodePacked(
-                        // solium-disable-next-line quotes
-                        '{"seller_fee_basis_points": ', // solhint-disable-line
-                        royaltiesBasisPoints.toString(),
-                        // solium-disable-next-line quotes
-                        ', "fee_recipient": "', // solhint-disable-line
-                        uint256(uint160(royaltiesAddress)).toHexString(20),
-                        // solium-disable-next-line quotes
-                        '"}' // solhint-disable-line
-                    )
-                )
-            )
-        );
-
-        string memory output = string(
-            abi.encodePacked("data:application/json;base64,", json)
-        );
-
-        return output;
+        return
+            ContractMetadata.contractURI(
+                _contractMetadata,
+                royaltiesBasisPoints,
+                royaltiesAddress
+            );
     }
 
     function supportsInterface(bytes4 interfaceId)
@@ -374,7 +378,8 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
     {
         return
             ERC1155Upgradeable.supportsInterface(interfaceId) ||
-            interfaceId == type(IERC2981).interfaceId;
+            interfaceId == type(IERC2981).interfaceId ||
+            interfaceId == bytes4(0x49064906); // ERC-4906
     }
 
     /*************
@@ -384,6 +389,9 @@ contract ERC1155NFTProduct is ERC1155Upgradeable, GranularRoles, ITemplate {
     // Mapping of token ID to URI
     mapping(uint256 => string) private _tokenURIs;
 
+    // Collection details returned by `contractURI`
+    ContractMetadata.Metadata private _contractMetadata;
+
     // Used for checking if token with given ID exists
     function _exists(uint256 _tokenId) internal view virtual returns (bool) {
         return tokenSupply[_tokenId] > 0;
@@ -4,10 +4,11 @@ pragma solidity ^0.8.0;
 import {IERC2981} from "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
 
-import "../lib/Base64.sol";
 import "../lib/GranularRoles.sol";
 import "../lib/Config.sol";
+import "../lib/ContractMetadata.sol";
 import "../lib/ITemplate.sol";
+import "../lib/IERC4906.sol";
 
 /*
  * ERC-721 proxy contract, meaning it does not make use of a constructor but rather uses `initialize` with `initializer`
@@ -18,14 +19,13 @@ import "../lib/ITemplate.sol";
 contract ERC721NFTProduct is
     ERC721URIStorageUpgradeable,
     GranularRoles,
-    ITemplate
+    ITemplate,
+    IERC4906
 {
     /*******************************
      * Extensions, structs, events *
      *******************************/
 
-    using StringsUpgradeable for uint256;
-
     /*
      * Event emitted to show opensea that metadata of a token is frozen,
      * see https://docs.opensea.io/docs/metadata-standards
@@ -33,6 +33,8 @@ contract ERC721NFTProduct is
     event PermanentURI(string _value, uint256 indexed _id);
     // Event emitted to show that all tokens have their metadata frozen
     event PermanentURIGlobal();
+    // Event emitted when the contract metadata is updated, see https://eips.ethereum.org/EIPS/eip-7572
+    event ContractURIUpdated();
 
     /*************
      * Constants *
@@ -41,7 +43,7 @@ contract ERC721NFTProduct is
     // Template name
     string public constant NAME = "ERC721NFTProduct";
     // Template version
-    uint256 public constant VERSION = 1_00_03;
+    uint256 public constant VERSION = 1_01_00;
     // Basis for calculating royalties.
     // This has to be 10k for royaltiesBps to be in basis points.
     uint16 public constant ROYALTIES_BASIS = 10000;
@@ -136,6 +138,7 @@ contract ERC721NFTProduct is
 
         if (bytes(_tokenUri).length != 0) {
             _setTokenURI(_tokenId, _tokenUri);
+            emit MetadataUpdate(_tokenId);
         }
 
         if (_isFreezeTokenUri) {
@@ -188,15 +191,19 @@ contract ERC721NFTProduct is
         RolesAddresses[] memory rolesAddresses,
         bool isRevokeNFTPortPermissions
     ) public onlyRole(UPDATE_CONTRACT_ROLE) {
+        bool baseURIChanged = keccak256(abi.encodePacked(newConfig.baseURI)) !=
+            keccak256(abi.encodePacked(baseURI));
         // If metadata is frozen, baseURI cannot be updated
         require(
-            metadataUpdatable ||
-                (keccak256(abi.encodePacked(newConfig.baseURI)) ==
-                    keccak256(abi.encodePacked(baseURI))),
+            metadataUpdatable || !baseURIChanged,
             "Update: Metadata is frozen"
         );
 
-        baseURI = newConfig.baseURI;
+        if (baseURIChanged) {
+            baseURI = newConfig.baseURI;
+            // Token URIs are calculated as baseURI + tokenURI
+            emit BatchMetadataUpdate(0, type(uint256).max);
+        }
         royaltiesAddress = newConfig.royaltiesAddress;
         royaltiesBasisPoints = newConfig.royaltiesBps;
 
@@ -215,6 +222,18 @@ contract ERC721NFTProduct is
         }
     }
 
+    /*
+     * Function to update the collection details returned by `contractURI`, displayed by marketplaces.
+     *
+     * Only callable by accounts with `UPDATE_CONTRACT_ROLE` or `ADMIN_ROLE`.
+     */
+    function setContractMetadata(ContractMetadata.Metadata calldata metadata)
+        public
+        onlyRole(UPDATE_CONTRACT_ROLE)
+    {
+        ContractMetadata.update(_contractMetadata, metadata);
+    }
+
     /******************
      * View functions *
      ******************/
@@ -227,7 +246,8 @@ contract ERC721NFTProduct is
     {
         return
             ERC721Upgradeable.supportsInterface(interfaceId) ||
-            interfaceId == type(IERC2981).interfaceId;
+            interfaceId == type(IERC2981).interfaceId ||
+            interfaceId == bytes4(0x49064906); // ERC-4906
     }
 
     // @dev ERC2981 token royalty info
@@ -243,29 +263,16 @@ contract ERC721NFTProduct is
     }
 
     /**
-    * @dev OpenSea contract metadata, returns a base64 encoded JSON string containing royalties basis points
-    * and royalties address
-    */
+     * @dev OpenSea contract metadata, returns the metadata URI override if set, otherwise a base64 encoded JSON
+     * string containing the collection details, royalties basis points and royalties address
+     */
     function contractURI() external view returns (string memory) {
-        string memory json = Base64.encode(
-            bytes(
-                string(
-                    abi.encodePacked(
-                        '{"seller_fee_basis_points": ', // solhint-disable-line quotes
-                        royaltiesBasisPoints.toString(),
-                        ', "fee_recipient": "', // solhint-disable-line quotes
-                        uint256(uint160(royaltiesAddress)).toHexString(20),
-                        '"}' // solhint-disable-line quotes
-                    )
-                )
-            )
-        );
-
-        string memory output = string(
-            abi.encodePacked("data:application/json;base64,", json)
-        );
-
-        return output;
+        return
+            ContractMetadata.contractURI(
+                _contractMetadata,
+                royaltiesBasisPoints,
+                royaltiesAddress
+            );
     }
 
     // Returns total token supply, burned tokens are not counted here
@@ -309,6 +316,9 @@ contract ERC721NFTProduct is
     // Mapping from token id to position in the allTokens array
     mapping(uint256 => uint256) private _allTokensIndex;
 
+    // Collection details returned by `contractURI`
+    ContractMetadata.Metadata private _contractMetadata;
+
     function _baseURI()
         internal
         view
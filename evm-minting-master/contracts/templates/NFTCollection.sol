@@ -2,15 +2,23 @@
 pragma solidity ^0.8.0;
 
 import "erc721a/contracts/ERC721A.sol";
-import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 import "../lib/ERC2981.sol";
-import "../lib/Base64.sol";
+import "../lib/ContractMetadata.sol";
+import "../lib/DutchAuctions.sol";
 import "../lib/ITemplate.sol";
+import "../lib/IERC4906.sol";
+import "../lib/IMetadataRenderer.sol";
+import "../lib/IMetadataUpdatable.sol";
+import "../lib/MintVouchers.sol";
+import "../lib/Payments.sol";
+import "../lib/Provenance.sol";
+import "../lib/SalePhases.sol";
 
 /**
  * @title NFTCollection
@@ -26,9 +34,15 @@ contract NFTCollection is
     ERC2981,
     AccessControl,
     Initializable,
-    ITemplate
+    ITemplate,
+    IERC4906,
+    IMetadataUpdatable
 {
-    using Address for address payable;
+    using DutchAuctions for DutchAuctions.Auction;
+    using MintVouchers for MintVouchers.Vouchers;
+    using Payments for Payments.Settings;
+    using Provenance for Provenance.Record;
+    using SalePhases for SalePhases.Schedule;
     using Strings for uint256;
 
     /// Fixed at deployment time
@@ -88,6 +102,18 @@ contract NFTCollection is
         address royaltiesAddress;
     }
 
+    /// Fixed at deployment time, in addition to `DeploymentConfig`
+    struct DropConfig {
+        // Payees splitting the minting fees. Without payees, fees are sent to the treasury address
+        Payments.Payee[] payees;
+        // Hash of the token metadata in their original order, 0 if the collection has no provenance.
+        // Token metadata is shifted by `startingIndex`, which is revealed after the sale
+        bytes32 provenanceHash;
+        // Timestamp after which the starting index can be committed to even if the collection hasn't sold out,
+        // 0 if the collection has to sell out first
+        uint256 startingIndexDeadline;
+    }
+
     // Used in `getInfo()` to get full contract info
     struct ContractInfo {
         // semver-style contract version from `VERSION`
@@ -96,14 +122,37 @@ contract NFTCollection is
         DeploymentConfig deploymentConfig;
         // Updatable runtime config
         RuntimeConfig runtimeConfig;
+        // Sale phases ordered by their starting timestamp
+        SalePhases.SalePhase[] salePhases;
+        // If true, `salePhases[activeSalePhase]` is active
+        bool salePhaseActive;
+        // Index of the active sale phase
+        uint256 activeSalePhase;
     }
 
+    // Event emitted for each payee when `withdrawFees` distributes fees,
+    // `token` is the zero address for native currency
+    event PaymentReleased(
+        address indexed token,
+        address indexed payee,
+        uint256 amount
+    );
+
     // Event emitted when `transferOwnership` called by current owner.
     event OwnershipTransferred(
         address indexed previousOwner,
         address indexed newOwner
     );
 
+    // Event emitted when `account` pauses minting
+    event Paused(address account);
+
+    // Event emitted when `account` unpauses minting
+    event Unpaused(address account);
+
+    // Event emitted when the contract metadata is updated, see https://eips.ethereum.org/EIPS/eip-7572
+    event ContractURIUpdated();
+
     /*************
      * Constants *
      *************/
@@ -112,7 +161,7 @@ contract NFTCollection is
     string public constant NAME = "NFTCollection";
 
     /// Contract version, semver-style uint X_YY_ZZ
-    uint256 public constant VERSION = 1_04_00;
+    uint256 public constant VERSION = 1_05_00;
 
     /// Admin role, on contract initialization given to the deployer.
     // Can be updated with `transferOwnership`
@@ -140,10 +189,15 @@ contract NFTCollection is
     // https://eips.ethereum.org/EIPS/eip-1167
     function initialize(
         DeploymentConfig memory deploymentConfig,
-        RuntimeConfig memory runtimeConfig
+        RuntimeConfig memory runtimeConfig,
+        DropConfig memory dropConfig
     ) public initializer {
         _validateDeploymentConfig(deploymentConfig);
 
+        _provenance.hash = dropConfig.provenanceHash;
+        _provenance.deadline = dropConfig.startingIndexDeadline;
+        _payments.addPayees(dropConfig.payees);
+
         // template intializer gets ADMIN_ROLE to call contract write functions
         _grantRole(ADMIN_ROLE, msg.sender);
         // grants `DEFAULT_ADMIN_ROLE` and `ADMIN_ROLE` to `deploymentConfig.owner`
@@ -161,16 +215,42 @@ contract NFTCollection is
 
     /// Public mint function, can be called by any address
     /// if `DeploymentConfig.publicMintStart` is before the current block timestamp
-    function mint(uint256 amount)
-        external
-        payable
-        paymentProvided(amount * _runtimeConfig.publicMintPrice)
-    {
+    function mint(uint256 amount) external payable {
         require(mintingActive(), "Minting has not started yet");
 
+        mintedBy[msg.sender] += amount;
+        require(
+            maxMintsPerWallet == 0 || mintedBy[msg.sender] <= maxMintsPerWallet,
+            "Wallet limit exceeded"
+        );
+
+        uint256 paid = _pay(amount * currentPrice());
+        if (_dutchAuction.config.stepInterval > 0) {
+            _dutchAuction.recordMint(amount, paid);
+        }
         _mintTokens(msg.sender, amount);
     }
 
+    /// Commit to the next block, whose hash sets the starting index. Can be called by anyone once the collection
+    /// has sold out or `startingIndexDeadline` has passed
+    function commitStartingIndex() external {
+        _provenance.commit(availableSupply() == 0);
+    }
+
+    /// Reveal the starting index from the hash of the committed block, can be called by anyone. If the committed
+    /// block is more than 256 blocks old, commits to the next block instead, which has to be revealed again
+    function revealStartingIndex() external {
+        if (_provenance.reveal(_deploymentConfig.maxSupply)) {
+            emit BatchMetadataUpdate(0, type(uint256).max);
+        }
+    }
+
+    /// Claim the Dutch auction rebate, the difference between the payments and the current clearing price
+    function claimAuctionRebate() external {
+        uint256 rebate = _dutchAuction.claimRebate();
+        Payments.transfer(_payments.token, payable(msg.sender), rebate);
+    }
+
     /// Mint tokens if the wallet has been whitelisted, can be called
     /// if `DeploymentConfig.presaleMintStart` is before the current block timestamp
     function presaleMint(uint256 amount, bytes32[] calldata proof)
@@ -189,6 +269,60 @@ contract NFTCollection is
         _mintTokens(msg.sender, amount);
     }
 
+    /// Mint tokens from the wallet's presale allocation, can be called over several transactions until the
+    /// allocation is used up, if `RuntimeConfig.presaleMintStart` is before the current block timestamp.
+    /// Whitelist leaves are `keccak256(abi.encodePacked(wallet, allocation))` for minting at
+    /// `RuntimeConfig.presaleMintPrice`, or `keccak256(abi.encodePacked(wallet, allocation, price))` for minting at
+    /// a non-zero per-wallet `price`
+    function presaleMintAllocation(
+        uint256 amount,
+        uint256 allocation,
+        uint256 price,
+        bytes32[] calldata proof
+    )
+        external
+        payable
+        paymentProvided(
+            amount * (price > 0 ? price : _runtimeConfig.presaleMintPrice)
+        )
+    {
+        require(presaleActive(), "Presale has not started yet");
+        require(
+            amount <=
+                presaleAllocationRemaining(
+                    msg.sender,
+                    allocation,
+                    price,
+                    proof
+                ),
+            "Allocation exceeded"
+        );
+
+        presaleAllocationMinted[msg.sender] += amount;
+        _mintTokens(msg.sender, amount);
+    }
+
+    /// Mint tokens with a voucher signed by `voucherSigner`, until the wallet has minted `voucher.maxAmount`
+    /// tokens with its vouchers. Vouchers are valid regardless of the presale and public sale start
+    function voucherMint(
+        uint256 amount,
+        MintVouchers.MintVoucher calldata voucher,
+        bytes calldata signature
+    ) external payable paymentProvided(amount * voucher.price) {
+        _vouchers.redeem(NAME, amount, voucher, signature);
+        _mintTokens(msg.sender, amount);
+    }
+
+    /// Mint tokens in the active sale phase, `proof` is only needed in phases with a whitelist
+    function salePhaseMint(uint256 amount, bytes32[] calldata proof)
+        external
+        payable
+    {
+        uint256 price = _salePhases.recordMint(amount, proof);
+        _pay(amount * price);
+        _mintTokens(msg.sender, amount);
+    }
+
     /******************
      * View functions *
      ******************/
@@ -209,6 +343,63 @@ contract NFTCollection is
         return block.timestamp > _runtimeConfig.presaleMintStart;
     }
 
+    /// Get the EIP-712 domain separator of mint vouchers, which is bound to the address of the instance
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return MintVouchers.domainSeparator(NAME);
+    }
+
+    /// Get the public mint price per token, descending over time during a Dutch auction
+    function currentPrice() public view returns (uint256) {
+        if (_dutchAuction.config.stepInterval == 0) {
+            return _runtimeConfig.publicMintPrice;
+        }
+
+        return _dutchAuction.price();
+    }
+
+    /// Get the Dutch auction of the public mint
+    function dutchAuction()
+        external
+        view
+        returns (DutchAuctions.DutchAuction memory)
+    {
+        return _dutchAuction.config;
+    }
+
+    /// Get the price of the last Dutch auction mint
+    function auctionClearingPrice() external view returns (uint256) {
+        return _dutchAuction.clearingPrice;
+    }
+
+    /// Get the Dutch auction rebate the wallet can claim at the current clearing price
+    function auctionRebate(address wallet) external view returns (uint256) {
+        return _dutchAuction.rebate(wallet);
+    }
+
+    /// Get the active sale phase, `index` is only valid if `active` is true
+    function activeSalePhase()
+        public
+        view
+        returns (bool active, uint256 index)
+    {
+        return _salePhases.active();
+    }
+
+    /// Get the number of tokens minted in sale phase `index` since the phases were last replaced
+    function salePhaseMinted(uint256 index) external view returns (uint256) {
+        return _salePhases.minted[_salePhases.id][index];
+    }
+
+    /// Get the number of tokens the wallet minted in sale phase `index` since the phases were last replaced
+    function salePhaseMintedBy(uint256 index, address wallet)
+        external
+        view
+        returns (uint256)
+    {
+        return _salePhases.mintedBy[_salePhases.id][index][wallet];
+    }
+
     /// Get the number of tokens still available for minting
     function availableSupply() public view returns (uint256) {
         return _deploymentConfig.maxSupply - totalSupply() - reserveRemaining;
@@ -231,6 +422,82 @@ contract NFTCollection is
             MerkleProof.verify(proof, _runtimeConfig.presaleMerkleRoot, leaf);
     }
 
+    /// Get the number of tokens the wallet can still mint from its presale allocation with `presaleMintAllocation`
+    function presaleAllocationRemaining(
+        address wallet,
+        uint256 allocation,
+        uint256 price,
+        bytes32[] calldata proof
+    ) public view returns (uint256) {
+        // The price is only part of the leaf for per-wallet prices
+        bytes32 leaf = price > 0
+            ? keccak256(abi.encodePacked(wallet, allocation, price))
+            : keccak256(abi.encodePacked(wallet, allocation));
+        require(
+            MerkleProof.verify(proof, _runtimeConfig.presaleMerkleRoot, leaf),
+            "Not whitelisted for presale"
+        );
+
+        // The allocation can be lower than the minted amount after the whitelist is updated
+        uint256 minted = presaleAllocationMinted[wallet];
+        return allocation > minted ? allocation - minted : 0;
+    }
+
+    /// Get the payees minting fees are split between
+    function payees() external view returns (Payments.Payee[] memory) {
+        return _payments.payees;
+    }
+
+    /// Get the total shares of all payees
+    function totalShares() external view returns (uint256) {
+        return _payments.totalShares;
+    }
+
+    /// Get the ERC20 token for minting payments, the zero address for native currency
+    function paymentToken() external view returns (IERC20) {
+        return _payments.token;
+    }
+
+    /// Get the wallet signing mint vouchers, vouchers are disabled if not set
+    function voucherSigner() external view returns (address) {
+        return _vouchers.signer;
+    }
+
+    /// Get the number of tokens the wallet minted with `voucherMint`
+    function voucherMinted(address wallet) external view returns (uint256) {
+        return _vouchers.minted[wallet];
+    }
+
+    /// Get the hash of the token metadata in their original order, 0 if the collection has no provenance
+    function provenanceHash() external view returns (bytes32) {
+        return _provenance.hash;
+    }
+
+    /// Get the timestamp after which the starting index can be committed to without selling out
+    function startingIndexDeadline() external view returns (uint256) {
+        return _provenance.deadline;
+    }
+
+    /// Get the block whose hash sets the starting index
+    function startingIndexBlock() external view returns (uint256) {
+        return _provenance.startingIndexBlock;
+    }
+
+    /// Get the offset of token IDs to metadata IDs
+    function startingIndex() external view returns (uint256) {
+        return _provenance.startingIndex;
+    }
+
+    /// Check if the starting index has been revealed
+    function startingIndexRevealed() external view returns (bool) {
+        return _provenance.revealed;
+    }
+
+    /// Check if the collection metadata can still be updated
+    function metadataUpdatable() external view returns (bool) {
+        return _runtimeConfig.metadataUpdatable;
+    }
+
     /// Contract owner address
     /// @dev Required for easy integration with OpenSea, the owner address can edit the collection there
     function owner() public view returns (address) {
@@ -264,6 +531,22 @@ contract NFTCollection is
      * Admin actions *
      *****************/
 
+    /// Pause all minting, including reserve mints, e.g. when a drop goes wrong
+    /// @dev Callable by admin roles only
+    function pause() external onlyRole(ADMIN_ROLE) {
+        require(!paused, "Minting paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /// Resume minting
+    /// @dev Callable by admin roles only
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        require(paused, "Minting not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
     /// Mint a token from the reserve
     function reserveMint(address to, uint256 amount)
         external
@@ -276,12 +559,29 @@ contract NFTCollection is
         _mintTokens(to, amount);
     }
 
+    /// Mint `amounts[i]` tokens from the reserve to `recipients[i]`, regardless of `DeploymentConfig.tokensPerMint`
+    function airdrop(address[] calldata recipients, uint256[] calldata amounts)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        require(recipients.length == amounts.length, "Length mismatch");
+        require(!paused, "Minting paused");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(amounts[i] <= reserveRemaining, "Not enough reserved");
+            reserveRemaining -= amounts[i];
+            _safeMint(recipients[i], amounts[i]);
+        }
+    }
+
     /// Get full contract information
     /// @dev Convenience helper
     function getInfo() external view returns (ContractInfo memory info) {
         info.version = VERSION;
         info.deploymentConfig = _deploymentConfig;
         info.runtimeConfig = _runtimeConfig;
+        info.salePhases = _salePhases.phases;
+        (info.salePhaseActive, info.activeSalePhase) = activeSalePhase();
     }
 
     /// Update contract configuration
@@ -291,13 +591,116 @@ contract NFTCollection is
         onlyRole(ADMIN_ROLE)
     {
         _validateRuntimeConfig(newConfig);
+
+        // Token URIs depend on the base URI and the pre-reveal token URI
+        if (
+            !_equals(_runtimeConfig.baseURI, newConfig.baseURI) ||
+            !_equals(
+                _runtimeConfig.prerevealTokenURI,
+                newConfig.prerevealTokenURI
+            )
+        ) {
+            emit BatchMetadataUpdate(0, type(uint256).max);
+        }
+
         _runtimeConfig = newConfig;
     }
 
-    /// Withdraw minting fees to the treasury address
+    /// Replace the sale phases, which have to be ordered by their starting timestamp
+    /// @dev Callable by admin roles only
+    function setSalePhases(SalePhases.SalePhase[] calldata phases)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        _salePhases.set(phases);
+    }
+
+    /// Configure the Dutch auction of the public mint, can't be changed after the first auction mint
+    /// @dev Callable by admin roles only
+    function setDutchAuction(DutchAuctions.DutchAuction calldata auction)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        require(
+            !_runtimeConfig.publicMintPriceFrozen,
+            "publicMintPrice is frozen"
+        );
+
+        _dutchAuction.set(auction);
+    }
+
+    /// Set the wallet signing mint vouchers, or the zero address to disable vouchers
+    /// @dev Callable by admin roles only
+    function setVoucherSigner(address signer) external onlyRole(ADMIN_ROLE) {
+        _vouchers.signer = signer;
+    }
+
+    /// Set the maximum number of tokens each wallet can mint with `mint` across all transactions, 0 for no limit
+    /// @dev Callable by admin roles only
+    function setMaxMintsPerWallet(uint256 limit) external onlyRole(ADMIN_ROLE) {
+        maxMintsPerWallet = limit;
+    }
+
+    /// Set the contract rendering the token metadata, or the zero address to use `_runtimeConfig.baseURI`.
+    /// Can't be changed once metadata is frozen
+    /// @dev Callable by admin roles only
+    function setMetadataRenderer(IMetadataRenderer renderer)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        require(_runtimeConfig.metadataUpdatable, "Metadata is frozen");
+        metadataRenderer = renderer;
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /// Emit ERC-4906 events for metadata updates of the renderer, see `IMetadataUpdatable`
+    /// @dev Callable by the metadata renderer only
+    function refreshRenderedMetadata(uint256 metadataId) external {
+        require(msg.sender == address(metadataRenderer), "Not the renderer");
+
+        if (metadataId == type(uint256).max) {
+            emit BatchMetadataUpdate(0, type(uint256).max);
+        } else {
+            // Token whose ID is shifted to `metadataId` by the starting index in `tokenURI`
+            uint256 maxSupply = _deploymentConfig.maxSupply;
+            emit MetadataUpdate(
+                (metadataId + maxSupply - _provenance.startingIndex) % maxSupply
+            );
+        }
+    }
+
+    /// Set the collection details returned by `contractURI`
+    /// @dev Callable by admin roles only
+    function setContractMetadata(ContractMetadata.Metadata calldata metadata)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        ContractMetadata.update(_contractMetadata, metadata);
+    }
+
+    /// Set the ERC20 token for minting payments, or the zero address for native currency.
+    /// Can't be changed while Dutch auction rebates can still be claimed in the current token
+    /// @dev Callable by admin roles only
+    function setPaymentToken(IERC20 token) external onlyRole(ADMIN_ROLE) {
+        require(_auctionRebateReserve() == 0, "Auction rebates pending");
+        _payments.token = token;
+    }
+
+    /// Withdraw minting fees in native currency and the payment token to the payees or the treasury address,
+    /// except for the Dutch auction rebates that can still be claimed
     /// @dev Callable by admin roles only
     function withdrawFees() external onlyRole(ADMIN_ROLE) {
-        _deploymentConfig.treasuryAddress.sendValue(address(this).balance);
+        _withdrawFees(IERC20(address(0)));
+        if (address(_payments.token) != address(0)) {
+            _withdrawFees(_payments.token);
+        }
+    }
+
+    /// Withdraw minting fees in `token` to the payees or the treasury address, e.g. fees paid in an earlier
+    /// payment token. `token` is the zero address for native currency
+    /// @dev Callable by admin roles only
+    function withdrawTokenFees(IERC20 token) external onlyRole(ADMIN_ROLE) {
+        _withdrawFees(token);
     }
 
     /*************
@@ -313,8 +716,71 @@ contract NFTCollection is
     /// up to `DeploymentConfig.tokensPerMint` tokens
     mapping(address => bool) internal _presaleMinted;
 
+    /// Number of tokens minted by each wallet with `presaleMintAllocation`
+    mapping(address => uint256) public presaleAllocationMinted;
+
+    /// Sale phases ordered by their starting timestamp, with the number of tokens minted in them
+    SalePhases.Schedule internal _salePhases;
+
+    /// Dutch auction of the public mint
+    DutchAuctions.Auction internal _dutchAuction;
+
+    /// ERC20 token for minting payments and the payees minting fees are split between
+    Payments.Settings internal _payments;
+
+    /// Provenance hash and starting index of the token metadata
+    Provenance.Record internal _provenance;
+
+    /// The maximum number of tokens each wallet can mint with `mint`, 0 for no limit
+    uint256 public maxMintsPerWallet;
+
+    /// Number of tokens minted by each wallet with `mint`
+    mapping(address => uint256) public mintedBy;
+
+    /// Wallet signing mint vouchers and the number of tokens minted by each wallet with `voucherMint`
+    MintVouchers.Vouchers internal _vouchers;
+
+    /// True while minting is paused
+    bool public paused;
+
+    /// Contract rendering the token metadata instead of `_runtimeConfig.baseURI`, not used if not set
+    IMetadataRenderer public metadataRenderer;
+
+    // Collection details returned by `contractURI`
+    ContractMetadata.Metadata internal _contractMetadata;
+
+    /// Get the maximum amount of Dutch auction rebates buyers can still claim in the payment token
+    function _auctionRebateReserve() internal view returns (uint256) {
+        return _dutchAuction.rebateReserve(availableSupply() == 0);
+    }
+
+    /// Collect `payment` from the sender in the payment token, or check that enough native currency was sent
+    /// @return paid The amount paid
+    function _pay(uint256 payment) internal returns (uint256 paid) {
+        return Payments.collect(_payments.token, payment);
+    }
+
+    /// Withdraw the balance of `token`, except for the Dutch auction rebates that can still be claimed in it
+    function _withdrawFees(IERC20 token) internal {
+        uint256 balance = address(token) == address(0)
+            ? address(this).balance
+            : token.balanceOf(address(this));
+        uint256 reserve = token == _payments.token
+            ? _auctionRebateReserve()
+            : 0;
+
+        _distribute(token, balance - reserve);
+    }
+
+    /// Split `amount` of `token` between the payees, or send it to the treasury address if there are none
+    function _distribute(IERC20 token, uint256 amount) internal {
+        _payments.distribute(token, amount, _deploymentConfig.treasuryAddress);
+    }
+
     /// @dev Internal function for performing token mints
     function _mintTokens(address to, uint256 amount) internal {
+        // Every mint goes through here, so this pauses all of them
+        require(!paused, "Minting paused");
         require(amount <= _deploymentConfig.tokensPerMint, "Amount too large");
         require(amount <= availableSupply(), "Not enough tokens left");
 
@@ -407,12 +873,20 @@ contract NFTCollection is
 
         // We also can't allow base URI to change
         require(
-            keccak256(abi.encodePacked(_runtimeConfig.baseURI)) ==
-                keccak256(abi.encodePacked(config.baseURI)),
+            _equals(_runtimeConfig.baseURI, config.baseURI),
             "Metadata is frozen"
         );
     }
 
+    /// Checks if a stored string equals `value`
+    function _equals(string storage stored, string calldata value)
+        internal
+        pure
+        returns (bool)
+    {
+        return keccak256(bytes(stored)) == keccak256(bytes(value));
+    }
+
     /// Internal function without any checks for performing the ownership transfer
     /// Removes current `_deploymentConfig.owner` from `ADMIN_ROLE` and `DEFAULT_ADMIN_ROLE` roles and grants these
     /// roles to input `newOwner` address. Changes `_deploymentConfig.owner` to input `newOwner` address
@@ -439,7 +913,8 @@ contract NFTCollection is
         return
             ERC721A.supportsInterface(interfaceId) ||
             AccessControl.supportsInterface(interfaceId) ||
-            ERC2981.supportsInterface(interfaceId);
+            ERC2981.supportsInterface(interfaceId) ||
+            interfaceId == bytes4(0x49064906); // ERC-4906
     }
 
     /// Get the token metadata URI
@@ -451,14 +926,28 @@ contract NFTCollection is
     {
         require(_exists(tokenId), "Token does not exist");
 
-        // If `_runtimeConfig.baseURI` is empty then `_runtimeConfig.prerevealTokenURI` is returned
-        // otherwise `_runtimeConfig.baseURI` + `tokenId` returned
+        // Until the starting index of a collection with a provenance hash has been revealed,
+        // `_runtimeConfig.prerevealTokenURI` is returned, even with a metadata renderer
+        if (_provenance.hash != 0 && !_provenance.revealed) {
+            return _runtimeConfig.prerevealTokenURI;
+        }
+
+        uint256 metadataId = (tokenId + _provenance.startingIndex) %
+            _deploymentConfig.maxSupply;
+        if (address(metadataRenderer) != address(0)) {
+            return metadataRenderer.tokenURI(metadataId);
+        }
+
+        // If `_runtimeConfig.baseURI` is empty, then `_runtimeConfig.prerevealTokenURI` is returned.
+        // Otherwise `_runtimeConfig.baseURI` + `tokenId` shifted by the starting index is returned
+        if (bytes(_runtimeConfig.baseURI).length == 0) {
+            return _runtimeConfig.prerevealTokenURI;
+        }
+
         return
-            bytes(_runtimeConfig.baseURI).length > 0
-                ? string(
-                    abi.encodePacked(_runtimeConfig.baseURI, tokenId.toString())
-                )
-                : _runtimeConfig.prerevealTokenURI;
+            string(
+                abi.encodePacked(_runtimeConfig.baseURI, metadataId.toString())
+            );
     }
 
     /// @dev Need name() to support setting it in the initializer instead of constructor
@@ -484,35 +973,21 @@ contract NFTCollection is
     }
 
     /**
-     * @dev OpenSea contract metadata, returns a base64 encoded JSON string containing royalties basis points
-     * and royalties address
+     * @dev OpenSea contract metadata, returns the metadata URI override if set, otherwise a base64 encoded JSON
+     * string containing the collection details, royalties basis points and royalties address
      */
     function contractURI() external view returns (string memory) {
-        string memory json = Base64.encode(
-            bytes(
-                string(
-                    abi.encodePacked(
-                        '{"seller_fee_basis_points": ', // solhint-disable-line quotes
-                        _runtimeConfig.royaltiesBps.toString(),
-                        ', "fee_recipient": "', // solhint-disable-line quotes
-                        uint256(uint160(_runtimeConfig.royaltiesAddress))
-                            .toHexString(20),
-                        '"}' // solhint-disable-line quotes
-                    )
-                )
-            )
-        );
-
-        string memory output = string(
-            abi.encodePacked("data:application/json;base64,", json)
-        );
-
-        return output;
+        return
+            ContractMetadata.contractURI(
+                _contractMetadata,
+                _runtimeConfig.royaltiesBps,
+                _runtimeConfig.royaltiesAddress
+            );
     }
 
-    /// Check if enough payment was provided
+    /// Collect the payment in the payment token or check that enough native currency was sent
     modifier paymentProvided(uint256 payment) {
-        require(msg.value >= payment, "Payment too small");
+        _pay(payment);
         _;
     }
 }
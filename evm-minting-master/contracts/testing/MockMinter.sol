@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+
+interface IMintable {
+    function mint(uint256 amount) external payable;
+}
+
+/// Contract minting from a collection several times in one transaction, like a minting bot
+contract MockMinter is ERC721Holder {
+    function mint(
+        IMintable collection,
+        uint256 amount,
+        uint256 times
+    ) external payable {
+        uint256 value = msg.value / times;
+        for (uint256 i = 0; i < times; i++) {
+            collection.mint{value: value}(amount);
+        }
+    }
+}
@@ -8,6 +8,7 @@ import "../lib/ITemplate.sol";
 contract MockTemplate is Initializable, ITemplate {
     string public NAME = "MockTemplate";
     uint256 public VERSION = 1_00_00;
+    address public owner;
 
     constructor() initializer {}
 
@@ -20,4 +21,8 @@ contract MockTemplate is Initializable, ITemplate {
     function setName(string memory name) external {
         NAME = name;
     }
+
+    function setOwner(address newOwner) external {
+        owner = newOwner;
+    }
 }
@@ -1,10 +1,27 @@
+// External libraries linked into the template
+const LIBRARIES = [
+  "ContractMetadata",
+  "DutchAuctions",
+  "MintVouchers",
+  "Payments",
+  "Provenance",
+  "SalePhases",
+];
+
 module.exports = async ({ deployments }) => {
   const { deploy, execute, catchUnknownSigner } = deployments;
   const { deployer, factoryOwner } = await getNamedAccounts();
 
+  const libraries = {};
+  for (const library of LIBRARIES) {
+    const { address } = await deploy(library, { from: deployer, log: true });
+    libraries[library] = address;
+  }
+
   const result = await deploy("NFTCollection", {
     from: deployer,
     log: true,
+    libraries,
   });
 
   if (result.newlyDeployed) {
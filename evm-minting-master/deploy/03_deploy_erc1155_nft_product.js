@@ -4,9 +4,16 @@ module.exports = async ({ deployments }) => {
   const { deploy, execute, catchUnknownSigner } = deployments;
   const { deployer, factoryOwner } = await getNamedAccounts();
 
+  // External library linked into the template
+  const { address } = await deploy("ContractMetadata", {
+    from: deployer,
+    log: true,
+  });
+
   const result = await deploy("ERC1155NFTProduct", {
     from: deployer,
     log: true,
+    libraries: { ContractMetadata: address },
   });
 
   if (result.newlyDeployed) {
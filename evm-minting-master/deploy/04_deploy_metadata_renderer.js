@@ -0,0 +1,12 @@
+module.exports = async ({ deployments }) => {
+  const { deploy } = deployments;
+  const { deployer } = await getNamedAccounts();
+
+  // Shared by all NFTCollection instances, which opt in with `setMetadataRenderer`
+  await deploy("MetadataRenderer", {
+    from: deployer,
+    log: true,
+  });
+};
+
+module.exports.tags = ["MetadataRenderer", "EVM"];
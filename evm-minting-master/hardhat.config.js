@@ -7,6 +7,13 @@ require("hardhat-contract-sizer");
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
 
+require("./tasks/airdrop");
+require("./tasks/allowlist");
+require("./tasks/factory");
+require("./tasks/gnosis");
+require("./tasks/provenance");
+require("./tasks/sdk");
+
 module.exports = {
   solidity: {
     version: "0.8.15",
@@ -15,6 +22,12 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      outputSelection: {
+        "*": {
+          // Used for checking storage layout compatibility between template versions
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   namedAccounts: {
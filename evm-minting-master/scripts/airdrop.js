@@ -0,0 +1,132 @@
+/**
+ * Helpers for airdropping the reserve of an NFTCollection with `airdrop(recipients, amounts)`.
+ * Large airdrops are split into chunks that each fit in a transaction below a gas limit.
+ */
+
+const { utils } = require("ethers");
+
+// Gas used by an airdrop transaction, measured with EOA recipients and rounded up
+const AIRDROP_GAS = 60000;
+const RECIPIENT_GAS = 50000;
+const TOKEN_GAS = 2500;
+// Gas used by the Factory for authorizing and forwarding an instance call, rounded up
+const FACTORY_CALL_GAS = 50000;
+
+/**
+ * @typedef {Object} AirdropEntry
+ * @property {string} wallet Checksummed recipient address
+ * @property {number} amount Number of tokens to airdrop
+ */
+
+/**
+ * Parse a CSV airdrop with the columns `wallet[,amount]`, where the amount defaults to 1.
+ * Blank lines, `#` comments and a header row are skipped.
+ * @param {string} csv CSV file contents
+ * @returns {AirdropEntry[]}
+ */
+function parseAirdropCSV(csv) {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  csv.split(/\r?\n/).forEach((line, i) => {
+    const [value, amount] = line
+      .split(",")
+      .map((column) => column.trim().replace(/^"|"$/g, ""));
+    if (!value || value.startsWith("#")) {
+      return;
+    }
+    // Header rows don't start with an address
+    if (
+      entries.length === 0 &&
+      errors.length === 0 &&
+      !value.startsWith("0x")
+    ) {
+      return;
+    }
+
+    let wallet;
+    try {
+      wallet = utils.getAddress(value);
+    } catch (e) {
+      errors.push(`line ${i + 1}: invalid address ${value}`);
+      return;
+    }
+    if (amount && (!/^[0-9]+$/.test(amount) || Number(amount) === 0)) {
+      errors.push(`line ${i + 1}: invalid amount ${amount}`);
+      return;
+    }
+    // Duplicates are rejected instead of merged, since they are usually mistakes
+    if (seen.has(wallet)) {
+      errors.push(`line ${i + 1}: duplicate wallet ${wallet}`);
+      return;
+    }
+
+    seen.add(wallet);
+    entries.push({ wallet, amount: amount ? Number(amount) : 1 });
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid airdrop:\n${errors.join("\n")}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Estimate the gas used by airdropping to the entries in one transaction
+ * @param {AirdropEntry[]} entries
+ * @returns {number}
+ */
+function estimateAirdropGas(entries) {
+  return entries.reduce(
+    (gas, { amount }) => gas + RECIPIENT_GAS + amount * TOKEN_GAS,
+    AIRDROP_GAS
+  );
+}
+
+/**
+ * Split an airdrop into chunks that are estimated to stay below the gas limit
+ * @param {AirdropEntry[]} entries
+ * @param {number} gasLimit Gas limit of each transaction
+ * @returns {AirdropEntry[][]} Non-empty chunks
+ * @throws If the airdrop to a single entry exceeds the gas limit
+ */
+function chunkAirdrop(entries, gasLimit) {
+  const chunks = [];
+  let chunk = [];
+  for (const entry of entries) {
+    if (estimateAirdropGas([entry]) > gasLimit) {
+      throw new Error(
+        `Gas limit ${gasLimit} is too low for a single recipient: ${entry.amount} tokens to ${entry.wallet}`
+      );
+    }
+    if (estimateAirdropGas([...chunk, entry]) > gasLimit) {
+      chunks.push(chunk);
+      chunk = [];
+    }
+    chunk.push(entry);
+  }
+  if (chunk.length) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the `airdrop` arguments of a chunk
+ * @param {AirdropEntry[]} chunk
+ * @returns {[string[], number[]]} Recipients and amounts
+ */
+function airdropArgs(chunk) {
+  return [chunk.map(({ wallet }) => wallet), chunk.map(({ amount }) => amount)];
+}
+
+module.exports = {
+  parseAirdropCSV,
+  estimateAirdropGas,
+  chunkAirdrop,
+  airdropArgs,
+  FACTORY_CALL_GAS,
+};
@@ -0,0 +1,175 @@
+/**
+ * Helpers for building presale allowlists, Merkle trees of the wallets that can mint in the presale of an
+ * NFTCollection. There are two kinds of allowlists:
+ *
+ * - wallet lists with leaves `keccak256(abi.encodePacked(wallet))` for `presaleMint`, each wallet mints once
+ * - allocation lists with leaves `keccak256(abi.encodePacked(wallet, allocation[, price]))` for
+ *   `presaleMintAllocation`, each wallet mints up to its allocation, optionally at its own price
+ */
+
+const keccak256 = require("keccak256");
+const { MerkleTree } = require("merkletreejs");
+const { BigNumber, utils } = require("ethers");
+
+/**
+ * @typedef {Object} AllowlistEntry
+ * @property {string} wallet Checksummed wallet address
+ * @property {string} [allocation] Number of tokens the wallet can mint, only in allocation lists
+ * @property {string} [price] Per-token price in the smallest unit of the payment token, `0` for the collection's
+ * presale price
+ */
+
+/**
+ * Parse a CSV allowlist with the columns `wallet[,allocation[,price]]`, where the price is in whole payment tokens,
+ * e.g. ether or USDC.
+ * The first row is a header naming the columns, blank lines and `#` comments are skipped.
+ * Repeated wallets are removed if they have the same allocation and price, and rejected otherwise.
+ * @param {string} csv CSV file contents
+ * @param {number} [decimals=18] Decimals of the payment token
+ * @returns {{entries: AllowlistEntry[], duplicates: string[]}} Unique entries and the wallets of removed duplicates
+ */
+function parseAllowlistCSV(csv, decimals = 18) {
+  const entries = [];
+  const duplicates = [];
+  const errors = [];
+  // Line numbers of the entries by wallet
+  const seen = new Map();
+  let header;
+
+  csv.split(/\r?\n/).forEach((line, i) => {
+    const columns = line
+      .split(",")
+      .map((column) => column.trim().replace(/^"|"$/g, ""));
+    const [value, allocation, price] = columns;
+    if (!value || value.startsWith("#")) {
+      return;
+    }
+
+    if (!header) {
+      header = columns;
+      if (value.startsWith("0x")) {
+        errors.push(
+          `line ${i + 1}: missing header row wallet[,allocation[,price]]`
+        );
+      }
+      return;
+    }
+
+    let entry;
+    try {
+      if (columns.length > header.length) {
+        throw new Error(`more columns than the header ${header.join(",")}`);
+      }
+      entry = allowlistEntry(value, allocation, price, decimals);
+    } catch (e) {
+      errors.push(`line ${i + 1}: ${e.message}`);
+      return;
+    }
+
+    if (!seen.has(entry.wallet)) {
+      seen.set(entry.wallet, i);
+      entries.push(entry);
+    } else if (isSameEntry(entries, entry)) {
+      duplicates.push(entry.wallet);
+    } else {
+      errors.push(
+        `line ${i + 1}: ${entry.wallet} conflicts with line ${
+          seen.get(entry.wallet) + 1
+        }`
+      );
+    }
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid allowlist:\n${errors.join("\n")}`);
+  }
+
+  return { entries, duplicates };
+}
+
+function isSameEntry(entries, { wallet, allocation, price }) {
+  const entry = entries.find((other) => other.wallet === wallet);
+  return entry.allocation === allocation && entry.price === price;
+}
+
+function allowlistEntry(wallet, allocation, price, decimals) {
+  const entry = {};
+  try {
+    entry.wallet = utils.getAddress(wallet);
+  } catch (e) {
+    throw new Error(`invalid address ${wallet}`);
+  }
+
+  if (allocation) {
+    if (!/^[0-9]+$/.test(allocation) || Number(allocation) === 0) {
+      throw new Error(`invalid allocation ${allocation}`);
+    }
+    entry.allocation = allocation;
+
+    try {
+      entry.price = utils.parseUnits(price || "0", decimals).toString();
+    } catch (e) {
+      throw new Error(`invalid price ${price}`);
+    }
+  } else if (price) {
+    throw new Error("price without an allocation");
+  }
+
+  return entry;
+}
+
+/**
+ * Build the Merkle tree of an allowlist, either all or none of the entries need an allocation
+ * @param {Array<AllowlistEntry|string>} entries Allowlist entries or wallet addresses
+ * @returns {{root: string, proofs: Object}} Merkle root and the proof of each wallet. In allocation lists
+ * the proofs are `{ allocation, price, proof }` objects with the `presaleMintAllocation` arguments
+ */
+function buildAllowlist(entries) {
+  if (entries.length === 0) {
+    throw new Error("Allowlist is empty");
+  }
+
+  const normalized = entries.map((entry) =>
+    typeof entry === "string" ? { wallet: entry } : entry
+  );
+  const allocations = normalized.filter(({ allocation }) => allocation);
+  if (allocations.length > 0 && allocations.length < normalized.length) {
+    throw new Error("Either all or none of the wallets need an allocation");
+  }
+
+  const leaves = normalized.map(leaf);
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  const proofs = {};
+  normalized.forEach(({ wallet, allocation, price }, i) => {
+    const proof = tree.getHexProof(leaves[i]);
+    proofs[wallet] = allocation
+      ? { allocation, price: price || "0", proof }
+      : proof;
+  });
+
+  return { root: tree.getHexRoot(), proofs };
+}
+
+/**
+ * Get the Merkle leaf of an allowlist entry, matching the leaves verified by NFTCollection
+ * @param {AllowlistEntry} entry
+ * @returns {Buffer}
+ */
+function leaf({ wallet, allocation, price }) {
+  if (!allocation) {
+    return keccak256(wallet);
+  }
+
+  return BigNumber.from(price || 0).isZero()
+    ? keccak256(
+        utils.solidityPack(["address", "uint256"], [wallet, allocation])
+      )
+    : keccak256(
+        utils.solidityPack(
+          ["address", "uint256", "uint256"],
+          [wallet, allocation, price]
+        )
+      );
+}
+
+module.exports = { parseAllowlistCSV, buildAllowlist, leaf };
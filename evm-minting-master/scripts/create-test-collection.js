@@ -32,9 +32,16 @@ async function main() {
     royaltiesAddress: deployer.address,
   };
 
+  const dropConfig = {
+    payees: [],
+    provenanceHash: ethers.constants.HashZero,
+    startingIndexDeadline: 0,
+  };
+
   const initTxn = await template.populateTransaction.initialize(
     deploymentConfig,
-    runtimeConfig
+    runtimeConfig,
+    dropConfig
   );
 
   console.log(`Deploying template ${templateName} as ${name}...`);
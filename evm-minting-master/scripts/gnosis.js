@@ -0,0 +1,121 @@
+/**
+ * Helpers for composing Gnosis Safe Transaction Builder batch files, which Safe owners can
+ * import in the Transaction Builder app to review and propose all transactions at once.
+ */
+
+const { utils } = require("ethers");
+
+const BATCH_FILE_VERSION = "1.0";
+
+/**
+ * Compose a batch transaction calling `method` of a contract with the given ABI
+ * @param to Address of the contract
+ * @param abi Contract ABI, e.g. from `deployments/<network>/<contract>.json`
+ * @param method Method name, or its signature for overloaded methods
+ * @param args Method arguments
+ */
+function safeTransaction(to, abi, method, args = []) {
+  const fragment = findFunction(abi, method);
+  if (fragment.inputs.length !== args.length) {
+    throw new Error(
+      `${method} expects ${fragment.inputs.length} arguments, got ${args.length}`
+    );
+  }
+
+  return {
+    to: utils.getAddress(to),
+    value: "0",
+    data: null,
+    contractMethod: {
+      inputs: fragment.inputs.map(({ internalType, name, type }) => ({
+        internalType,
+        name,
+        type,
+      })),
+      name: fragment.name,
+      payable: fragment.stateMutability === "payable",
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map(({ name }, i) => [name, inputValue(args[i])])
+    ),
+  };
+}
+
+/**
+ * Compose a batch file for a Safe
+ * @param chainId Chain the Safe is deployed to
+ * @param safeAddress Address of the Safe
+ * @param transactions Transactions composed with `safeTransaction()`
+ * @param name Name shown in the Transaction Builder
+ * @param description Description shown in the Transaction Builder
+ */
+function batchFile({ chainId, safeAddress, transactions, name, description }) {
+  const batch = {
+    version: BATCH_FILE_VERSION,
+    chainId: `${chainId}`,
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: "",
+      createdFromSafeAddress: utils.getAddress(safeAddress),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = checksum(batch);
+
+  return batch;
+}
+
+/**
+ * Checksum the Transaction Builder uses to detect modified batch files
+ */
+function checksum(batch) {
+  const serialized = serialize({
+    ...batch,
+    meta: { ...batch.meta, name: null },
+  });
+
+  return utils.keccak256(utils.toUtf8Bytes(serialized));
+}
+
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys
+      .map((key) => `${serialize(value[key])},`)
+      .join("")}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function findFunction(abi, method) {
+  const functions = abi.filter(
+    (fragment) =>
+      fragment.type === "function" &&
+      (fragment.name === method ||
+        utils.FunctionFragment.from(fragment).format() === method)
+  );
+
+  if (functions.length !== 1) {
+    throw new Error(
+      functions.length
+        ? `${method} is overloaded, use its signature instead`
+        : `Unknown method ${method}`
+    );
+  }
+
+  return functions[0];
+}
+
+// The Transaction Builder expects values as strings, with arrays and tuples in JSON
+function inputValue(value) {
+  return typeof value === "object" ? JSON.stringify(value) : `${value}`;
+}
+
+module.exports = { safeTransaction, batchFile, checksum };
@@ -0,0 +1,49 @@
+/**
+ * Helpers for computing the provenance hash of a collection, which commits to the images in their original order
+ * before the starting index shifts the token IDs.
+ *
+ * The provenance hash is the SHA-256 hash of the concatenated SHA-256 hashes of the images, in the order of their
+ * metadata IDs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Orders `2.png` before `10.png`
+const collator = new Intl.Collator("en", { numeric: true });
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Compute the provenance hash of the images in a directory. Images are ordered by their file names,
+ * which should be their metadata IDs, e.g. `0.png`, `1.png`, ...
+ * @param {string} directory Directory with the images, hidden files and subdirectories are ignored
+ * @returns {{provenanceHash: string, images: {file: string, hash: string}[]}} Provenance hash as bytes32
+ * and the hash of each image
+ */
+function computeProvenance(directory) {
+  const files = fs
+    .readdirSync(directory, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+    .map((entry) => entry.name)
+    .sort(collator.compare);
+
+  if (files.length === 0) {
+    throw new Error(`No images in ${directory}`);
+  }
+
+  const images = files.map((file) => ({
+    file,
+    hash: sha256(fs.readFileSync(path.join(directory, file))),
+  }));
+
+  return {
+    provenanceHash: `0x${sha256(images.map(({ hash }) => hash).join(""))}`,
+    images,
+  };
+}
+
+module.exports = { computeProvenance };
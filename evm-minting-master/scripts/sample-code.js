@@ -1,6 +1,9 @@
 const Web3 = require("web3");
+const { Wallet } = require("ethers");
 const web3 = new Web3("http://127.0.0.1:8545");
 
+const { ZERO_SALT, signDeployRequest, signCallRequest } = require("./signing");
+
 const Factory = require("../deployments/localhost/Factory.json");
 const NFTCollection = require("../deployments/localhost/NFTCollection.json");
 
@@ -10,9 +13,15 @@ const collection = new web3.eth.Contract(
   NFTCollection.address
 );
 
+// deploy() and call() are overloaded, so the typed request versions are called by their full signature
+const DEPLOY_REQUEST_SIGNATURE =
+  "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+const CALL_REQUEST_SIGNATURE = "call((address,bytes,uint256,uint256),bytes)";
+
 const accountAddress = "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266";
 const accountPrivateKey =
   "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const signer = new Wallet(accountPrivateKey);
 
 const deploymentConfig = {
   owner: accountAddress,
@@ -34,6 +43,11 @@ const runtimeConfig = {
   royaltiesBps: 250,
   royaltiesAddress: "0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045",
 };
+const dropConfig = {
+  payees: [],
+  provenanceHash: web3.utils.padLeft("0x0", 64),
+  startingIndexDeadline: 0,
+};
 
 /**
  * Deploy a new NFTCollection contract using the factory
@@ -41,24 +55,38 @@ const runtimeConfig = {
 async function deployCollection() {
   // First we need to generate calldata for the collection initializer
   const initData = collection.methods
-    .initialize(deploymentConfig, runtimeConfig)
+    .initialize(deploymentConfig, runtimeConfig, dropConfig)
     .encodeABI();
 
-  // Next we need to generate the payload that will be signed.
-  // This is just the caller address, template name and init data all packed together
-  const payload = web3.utils.encodePacked(
+  // Next we need to describe the deployment that will be signed.
+  // This is the template name, template version and init data, along with the caller's
+  // current nonce and a deadline for using the signature
+  const request = {
+    templateName: "NFTCollection",
+    templateVersion: await factory.methods
+      .latestVersion("NFTCollection")
+      .call(),
+    initdata: initData,
+    salt: ZERO_SALT,
+    upgradeable: false,
+    nonce: await factory.methods.nonces(accountAddress).call(),
+    deadline: Math.floor(Date.now() / 1000) + 3600,
+  };
+
+  // Now we sign the request as EIP-712 typed data for the caller and get the signature
+  // that needs to be passed to the factory
+  const signature = await signDeployRequest(
+    signer,
+    { address: Factory.address, chainId: await web3.eth.getChainId() },
     accountAddress,
-    "NFTCollection",
-    initData
+    request
   );
 
-  // Now we sign the payload and get the signature that needs to be passed to the factory
-  const { signature } = web3.eth.accounts.sign(payload, accountPrivateKey);
-
   // Finally we call the factory to deploy a new instance
-  const txn = await factory.methods
-    .deploy("NFTCollection", initData, signature)
-    .send({ from: accountAddress });
+  const txn = await factory.methods[DEPLOY_REQUEST_SIGNATURE](
+    request,
+    signature
+  ).send({ from: accountAddress });
 
   // We get the deployed collection address from transaction logs
   return txn.events.TemplateDeployed.returnValues.destination;
@@ -102,20 +130,24 @@ async function callCollection() {
     })
     .encodeABI();
 
-  // Construct the payload for signing
-  const payload = web3.utils.encodePacked(
+  // Describe the call and sign it as EIP-712 typed data for the caller
+  const request = {
+    instance: collectionAddress,
+    data: calldata,
+    nonce: await factory.methods.nonces(accountAddress).call(),
+    deadline: Math.floor(Date.now() / 1000) + 3600,
+  };
+  const signature = await signCallRequest(
+    signer,
+    { address: Factory.address, chainId: await web3.eth.getChainId() },
     accountAddress,
-    collectionAddress,
-    calldata
+    request
   );
 
-  // Sign the payload and get the signature
-  const { signature } = web3.eth.accounts.sign(payload, accountPrivateKey);
-
   // Invoke the call() of the factory
-  await factory.methods
-    .call(collectionAddress, calldata, signature)
-    .send({ from: accountAddress });
+  await factory.methods[CALL_REQUEST_SIGNATURE](request, signature).send({
+    from: accountAddress,
+  });
 
   // Get the contract state after the update
   console.log("After:", {
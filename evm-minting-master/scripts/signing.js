@@ -0,0 +1,2 @@
+// Signing helpers are part of the SDK, see `sdk/signing.js`
+module.exports = require("../sdk/signing");
@@ -0,0 +1,181 @@
+/**
+ * Storage layout snapshots of upgradeable contracts.
+ *
+ * Factory proxies and upgradeable template instances keep their storage when they are upgraded,
+ * so every new version has to keep the storage layout of the last released version and may only
+ * append new variables. The snapshots under `storage-layouts/` describe the last released versions
+ * and are compared against the compiled contracts in `test/storage-layout.test.js`.
+ *
+ * Only update the snapshots after releasing new versions, with:
+ *
+ *   npx hardhat run scripts/storage-layout.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "storage-layouts");
+
+// Contracts whose storage has to stay compatible between versions
+const UPGRADEABLE_CONTRACTS = {
+  Factory: "contracts/Factory.sol:Factory",
+  NFTCollection: "contracts/templates/NFTCollection.sol:NFTCollection",
+  ERC721NFTProduct: "contracts/templates/ERC721NFTProduct.sol:ERC721NFTProduct",
+  ERC1155NFTProduct:
+    "contracts/templates/ERC1155NFTProduct.sol:ERC1155NFTProduct",
+};
+
+/**
+ * Get the storage layout of a compiled contract, with compiler specific type IDs resolved
+ */
+async function getStorageLayout(artifacts, fullyQualifiedName) {
+  const [sourceName, contractName] = fullyQualifiedName.split(":");
+  const buildInfo = await artifacts.getBuildInfo(fullyQualifiedName);
+  const { storageLayout } =
+    buildInfo.output.contracts[sourceName][contractName];
+
+  if (!storageLayout) {
+    throw new Error(
+      `Storage layout of ${contractName} is missing, check the compiler outputSelection`
+    );
+  }
+
+  return storageLayout.storage.map((variable) =>
+    resolveVariable(variable, storageLayout.types)
+  );
+}
+
+function resolveVariable({ label, slot, offset, type }, types) {
+  return { label, slot, offset, type: resolveType(type, types) };
+}
+
+function resolveType(typeId, types) {
+  const { label, numberOfBytes, members, key, value, base } = types[typeId];
+  const type = { label, numberOfBytes };
+
+  if (members) {
+    type.members = members.map((member) => resolveVariable(member, types));
+  }
+  if (key) {
+    type.key = resolveType(key, types);
+    type.value = resolveType(value, types);
+  }
+  if (base) {
+    type.base = resolveType(base, types);
+  }
+
+  return type;
+}
+
+/**
+ * Compare a storage layout against the layout of a previous version.
+ * New variables can only be appended, and structs can only get new members when they are mapping values.
+ * @returns List of incompatibilities, empty if the layouts are compatible
+ */
+function findIncompatibilities(previous, current) {
+  return previous.flatMap((variable, i) =>
+    compareVariables(variable, current[i], variable.label, true)
+  );
+}
+
+function compareVariables(previous, current, name, fixedSize) {
+  if (!current) {
+    return [`${name}: removed`];
+  }
+  if (previous.slot !== current.slot || previous.offset !== current.offset) {
+    return [
+      `${name}: moved from slot ${previous.slot} offset ${previous.offset} to slot ${current.slot} offset ${current.offset}`,
+    ];
+  }
+
+  return compareTypes(previous.type, current.type, name, fixedSize);
+}
+
+function compareTypes(previous, current, name, fixedSize) {
+  if (previous.label !== current.label) {
+    return [`${name}: type changed from ${previous.label} to ${current.label}`];
+  }
+  if (fixedSize && previous.numberOfBytes !== current.numberOfBytes) {
+    return [
+      `${name}: size changed from ${previous.numberOfBytes} to ${current.numberOfBytes} bytes`,
+    ];
+  }
+
+  if (previous.members) {
+    return previous.members.flatMap((member, i) =>
+      compareVariables(
+        member,
+        current.members[i],
+        `${name}.${member.label}`,
+        true
+      )
+    );
+  }
+  if (previous.key) {
+    return [
+      ...compareTypes(previous.key, current.key, `${name} key`, true),
+      ...compareTypes(previous.value, current.value, `${name} value`, false),
+    ];
+  }
+  if (previous.base) {
+    return compareTypes(previous.base, current.base, `${name} item`, true);
+  }
+
+  return [];
+}
+
+function snapshotPath(contractName) {
+  return path.join(SNAPSHOTS_DIR, `${contractName}.json`);
+}
+
+function readSnapshot(contractName) {
+  return JSON.parse(fs.readFileSync(snapshotPath(contractName)));
+}
+
+async function main() {
+  const { artifacts, ethers } = require("hardhat");
+
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+
+  for (const [contractName, fullyQualifiedName] of Object.entries(
+    UPGRADEABLE_CONTRACTS
+  )) {
+    const { linkReferences } = await artifacts.readArtifact(contractName);
+    const libraries = {};
+    for (const library of Object.values(linkReferences).flatMap(Object.keys)) {
+      const libraryFactory = await ethers.getContractFactory(library);
+      libraries[library] = (await libraryFactory.deploy()).address;
+    }
+
+    const contractFactory = await ethers.getContractFactory(contractName, {
+      libraries,
+    });
+    const contract = await contractFactory.deploy();
+    const version = contract.VERSION
+      ? await contract.VERSION()
+      : await contract.CODE_VERSION();
+
+    const snapshot = {
+      version: version.toNumber(),
+      storage: await getStorageLayout(artifacts, fullyQualifiedName),
+    };
+    fs.writeFileSync(
+      snapshotPath(contractName),
+      JSON.stringify(snapshot, null, 2) + "\n"
+    );
+    console.log(
+      `${contractName} ${snapshot.version} -> ${snapshotPath(contractName)}`
+    );
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  getStorageLayout,
+  findIncompatibilities,
+  readSnapshot,
+};
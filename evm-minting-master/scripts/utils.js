@@ -1,8 +1,12 @@
+const { utils } = require("ethers");
+
 function explorerURL() {
   if (network.name === "rinkeby") {
     return "https://rinkeby.etherscan.io";
   } else if (network.name === "mainnet") {
     return "https://etherscan.io";
+  } else if (network.name === "goerli") {
+    return "https://goerli.etherscan.io";
   } else if (network.name === "polygon") {
     return "https://polygonscan.com";
   }
@@ -10,4 +14,36 @@ function explorerURL() {
   return "localhost";
 }
 
-module.exports = { explorerURL };
+/**
+ * Compute the address of a template instance deployed with a salt, without querying the chain.
+ * Mirrors `Factory.predictInstanceAddress()` for an already known implementation address.
+ * The Factory binds salts to the address sending the deployment transaction.
+ */
+function predictInstanceAddress(
+  factoryAddress,
+  implementationAddress,
+  deployer,
+  salt
+) {
+  // EIP-1167 minimal proxy creation code, see OpenZeppelin's `Clones`
+  const initCode = utils.hexConcat([
+    "0x3d602d80600a3d3981f3363d3d373d3d3d363d73",
+    implementationAddress,
+    "0x5af43d82803e903d91602b57fd5bf3",
+  ]);
+
+  const instanceSalt = utils.keccak256(
+    utils.defaultAbiCoder.encode(
+      ["address", "bytes32"],
+      [deployer, utils.hexZeroPad(salt, 32)]
+    )
+  );
+
+  return utils.getCreate2Address(
+    factoryAddress,
+    instanceSalt,
+    utils.keccak256(initCode)
+  );
+}
+
+module.exports = { explorerURL, predictInstanceAddress };
@@ -0,0 +1,169 @@
+/**
+ * Builders for the `initialize` arguments of the Factory templates.
+ * Each builder fills in defaults, validates required options and returns the argument array
+ * that can be passed to `Factory.deploy()`.
+ */
+
+const { utils, constants } = require("ethers");
+
+/**
+ * @typedef {Object} NFTCollectionOptions
+ * @property {string} name Name of the NFT contract
+ * @property {string} symbol Symbol of the NFT contract
+ * @property {string} owner Owner address, gets admin rights to the contract
+ * @property {number|string} maxSupply Maximum number of tokens that can be minted
+ * @property {number|string} [reservedSupply=0] Number of free mints reserved for the owner
+ * @property {number|string} [tokensPerMint=10] Maximum number of tokens minted per transaction
+ * @property {string} [treasuryAddress=owner] Address minting fees are withdrawn to
+ * @property {string} [baseURI=""] Metadata base URI, set it to reveal token metadata
+ * @property {boolean} [metadataUpdatable=true] If false, token URIs are frozen
+ * @property {utils.BigNumberish} [publicMintPrice=0] Public minting price per token in wei
+ * @property {boolean} [publicMintPriceFrozen=false] Freezes the public minting price
+ * @property {utils.BigNumberish} [presaleMintPrice=0] Presale minting price per token in wei
+ * @property {boolean} [presaleMintPriceFrozen=false] Freezes the presale minting price
+ * @property {number} [publicMintStart=0] Timestamp when public minting starts
+ * @property {number} [presaleMintStart=0] Timestamp when presale minting starts
+ * @property {string} [prerevealTokenURI=""] Placeholder token URI before the reveal
+ * @property {string} [presaleMerkleRoot] Merkle root of the presale whitelist
+ * @property {number} [royaltiesBps=0] Secondary market royalties in basis points
+ * @property {string} [royaltiesAddress=owner] Royalties receiver
+ * @property {PayeeOptions[]} [payees=[]] Payees splitting the minting fees, fees go to the treasury without payees
+ * @property {string} [provenanceHash] Hash of the token metadata in their original order, see `provenanceHash()`
+ * @property {number} [startingIndexDeadline=0] Timestamp after which the starting index can be revealed without
+ * selling out
+ */
+
+/**
+ * @typedef {Object} PayeeOptions
+ * @property {string} account Payee address
+ * @property {number} shares Share of the minting fees, relative to the shares of all payees
+ */
+
+/**
+ * Build the `initialize(deploymentConfig, runtimeConfig, dropConfig)` arguments of `NFTCollection`
+ * @param {NFTCollectionOptions} options
+ * @returns {Array} `initialize` arguments
+ */
+function nftCollectionConfig(options) {
+  requireOptions(options, ["name", "symbol", "owner", "maxSupply"]);
+
+  const deploymentConfig = {
+    name: options.name,
+    symbol: options.symbol,
+    owner: options.owner,
+    maxSupply: options.maxSupply,
+    reservedSupply: options.reservedSupply || 0,
+    tokensPerMint: options.tokensPerMint || 10,
+    treasuryAddress: options.treasuryAddress || options.owner,
+  };
+
+  const runtimeConfig = {
+    baseURI: options.baseURI || "",
+    metadataUpdatable: options.metadataUpdatable !== false,
+    publicMintPrice: options.publicMintPrice || 0,
+    publicMintPriceFrozen: !!options.publicMintPriceFrozen,
+    presaleMintPrice: options.presaleMintPrice || 0,
+    presaleMintPriceFrozen: !!options.presaleMintPriceFrozen,
+    publicMintStart: options.publicMintStart || 0,
+    presaleMintStart: options.presaleMintStart || 0,
+    prerevealTokenURI: options.prerevealTokenURI || "",
+    presaleMerkleRoot: options.presaleMerkleRoot || constants.HashZero,
+    royaltiesBps: options.royaltiesBps || 0,
+    royaltiesAddress: options.royaltiesAddress || options.owner,
+  };
+
+  const dropConfig = {
+    payees: (options.payees || []).map(({ account, shares }) => ({
+      account,
+      shares,
+    })),
+    provenanceHash: options.provenanceHash || constants.HashZero,
+    startingIndexDeadline: options.startingIndexDeadline || 0,
+  };
+
+  return [deploymentConfig, runtimeConfig, dropConfig];
+}
+
+/**
+ * @typedef {Object} RoleOptions
+ * @property {string} role Role name, e.g. `MINT_ROLE`
+ * @property {string[]} addresses Addresses that get the role
+ * @property {boolean} [frozen=false] If true, the role assignments can never be changed
+ */
+
+/**
+ * @typedef {Object} NFTProductOptions
+ * @property {string} name Name of the NFT contract
+ * @property {string} symbol Symbol of the NFT contract
+ * @property {string} owner Owner address, gets admin rights to the contract
+ * @property {boolean} [tokensBurnable=true] If true, tokens can be burned, cannot be changed later
+ * @property {string} [baseURI=""] Metadata base URI
+ * @property {boolean} [metadataUpdatable=true] If false, token URIs are frozen
+ * @property {boolean} [tokensTransferable=true] If true, tokens can be transferred by the owner
+ * @property {number} [royaltiesBps=0] Secondary market royalties in basis points
+ * @property {string} [royaltiesAddress=owner] Royalties receiver
+ * @property {RoleOptions[]} [roles=[]] Additional role assignments
+ */
+
+/**
+ * Build the `initialize(deploymentConfig, runtimeConfig, rolesAddresses)` arguments of `ERC721NFTProduct`
+ * @param {NFTProductOptions} options
+ * @returns {Array} `initialize` arguments
+ */
+function erc721NFTProductConfig(options) {
+  return nftProductConfig(options);
+}
+
+/**
+ * Build the `initialize(deploymentConfig, runtimeConfig, rolesAddresses)` arguments of `ERC1155NFTProduct`
+ * @param {NFTProductOptions} options
+ * @returns {Array} `initialize` arguments
+ */
+function erc1155NFTProductConfig(options) {
+  return nftProductConfig(options);
+}
+
+function nftProductConfig(options) {
+  requireOptions(options, ["name", "symbol", "owner"]);
+
+  const deploymentConfig = {
+    name: options.name,
+    symbol: options.symbol,
+    owner: options.owner,
+    tokensBurnable: options.tokensBurnable !== false,
+  };
+
+  const runtimeConfig = {
+    baseURI: options.baseURI || "",
+    metadataUpdatable: options.metadataUpdatable !== false,
+    tokensTransferable: options.tokensTransferable !== false,
+    royaltiesBps: options.royaltiesBps || 0,
+    royaltiesAddress: options.royaltiesAddress || options.owner,
+  };
+
+  const rolesAddresses = (options.roles || []).map(
+    ({ role, addresses, frozen }) => ({
+      role: utils.id(role),
+      addresses,
+      frozen: !!frozen,
+    })
+  );
+
+  return [deploymentConfig, runtimeConfig, rolesAddresses];
+}
+
+function requireOptions(options, names) {
+  const missing = names.filter(
+    (name) => options[name] === undefined || options[name] === ""
+  );
+
+  if (missing.length) {
+    throw new Error(`Missing config options: ${missing.join(", ")}`);
+  }
+}
+
+module.exports = {
+  nftCollectionConfig,
+  erc721NFTProductConfig,
+  erc1155NFTProductConfig,
+};
@@ -0,0 +1,211 @@
+const { BigNumber, Contract, utils } = require("ethers");
+
+const FACTORY_ABI = require("./abi/Factory.json");
+const { ZERO_SALT, signDeployRequest, signCallRequest } = require("./signing");
+const { TemplateInstance, templateABI } = require("./instance");
+const { toEthers } = require("./providers");
+
+const DEPLOY_REQUEST_SIGNATURE =
+  "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+const CALL_REQUEST_SIGNATURE = "call((address,bytes,uint256,uint256),bytes)";
+
+// Requests are authorized for an hour
+const SIGNATURE_VALIDITY = 3600;
+
+/**
+ * Authorizes a deployment or call request with a signature from a `SIGNER_ROLE` wallet,
+ * e.g. by sending it to a signing API
+ * @callback Authorizer
+ * @param {Object} params
+ * @param {"DeployRequest"|"CallRequest"} params.type Request type
+ * @param {string} params.caller Address that will send the request
+ * @param {Object} params.request Request to be signed
+ * @param {{address: string, chainId: number}} params.factory Factory the request is sent to
+ * @returns {Promise<string>} EIP-712 signature of the request
+ */
+
+/**
+ * Create an authorizer that signs requests with a local signer, which needs `SIGNER_ROLE` in the Factory
+ * @param signer ethers signer
+ * @returns {Authorizer}
+ */
+function signWith(signer) {
+  return ({ type, caller, request, factory }) =>
+    type === "DeployRequest"
+      ? signDeployRequest(signer, factory, caller, request)
+      : signCallRequest(signer, factory, caller, request);
+}
+
+/**
+ * Client for deploying and calling template instances through the Factory.
+ *
+ * Deployments and calls are authorized with `authorize` if it is set, otherwise the Factory fees are paid.
+ */
+class Factory {
+  /**
+   * @param {string} address Address of the Factory proxy
+   * @param connection ethers signer or provider, web3 instance or EIP-1193 provider
+   * @param {Object} [options]
+   * @param {string} [options.account] Account to send transactions from with web3 and EIP-1193 providers
+   * @param {Authorizer} [options.authorize] Default authorizer for deployments and calls
+   */
+  constructor(address, connection, { account, authorize } = {}) {
+    this.address = address;
+    this.runner = toEthers(connection, account);
+    this.contract = new Contract(address, FACTORY_ABI, this.runner);
+    this.authorize = authorize;
+  }
+
+  /**
+   * Deploy a template instance
+   * @param {string} templateName Name of the template
+   * @param {Array} initArgs `initialize` arguments, e.g. from `nftCollectionConfig()`
+   * @param {Object} [options]
+   * @param {number} [options.version] Template version, defaults to the latest version
+   * @param {string} [options.salt] Salt for deploying to a deterministic address
+   * @param {boolean} [options.upgradeable] Deploy an upgradeable instance
+   * @param {Array} [options.abi] Template ABI, required for templates not shipped with the SDK
+   * @param {Authorizer} [options.authorize] Authorizer for this deployment
+   * @param {Object} [options.overrides] ethers transaction overrides
+   * @returns {Promise<TemplateInstance>} Deployed instance
+   */
+  async deploy(templateName, initArgs, options = {}) {
+    const authorize = options.authorize || this.authorize;
+    const abi = options.abi || templateABI(templateName);
+    const initdata = new utils.Interface(abi).encodeFunctionData(
+      "initialize",
+      initArgs
+    );
+
+    let txn;
+    if (authorize) {
+      const request = {
+        templateName,
+        templateVersion:
+          options.version === undefined
+            ? await this.contract.latestVersion(templateName)
+            : options.version,
+        initdata,
+        salt: options.salt ? utils.hexZeroPad(options.salt, 32) : ZERO_SALT,
+        upgradeable: !!options.upgradeable,
+        ...(await this._replayProtection()),
+      };
+      const signature = await authorize({
+        type: "DeployRequest",
+        caller: await this.runner.getAddress(),
+        request,
+        factory: await this.domain(),
+      });
+
+      txn = await this.contract[DEPLOY_REQUEST_SIGNATURE](
+        request,
+        signature,
+        options.overrides || {}
+      );
+    } else {
+      if (
+        options.version !== undefined ||
+        options.salt ||
+        options.upgradeable
+      ) {
+        throw new Error(
+          "Versions, salts and upgradeable instances require an authorized deployment"
+        );
+      }
+
+      txn = await this.contract["deploy(string,bytes)"](
+        templateName,
+        initdata,
+        {
+          value: await this.contract.deploymentFee(),
+          ...options.overrides,
+        }
+      );
+    }
+
+    const receipt = await txn.wait();
+    const { destination } = receipt.events.find(
+      (e) => e.event === "TemplateDeployed"
+    ).args;
+
+    return new TemplateInstance(this, destination, templateName, abi);
+  }
+
+  /**
+   * Get a deployed template instance
+   * @param {string} address Address of the instance
+   * @param {string} [templateName] Name of the template, looked up from the Factory registry by default
+   * @returns {Promise<TemplateInstance>}
+   */
+  async instance(address, templateName) {
+    const name =
+      templateName || (await this.contract.instanceInfo(address)).templateName;
+    if (!name) {
+      throw new Error(`${address} is not a known template instance`);
+    }
+
+    return new TemplateInstance(this, address, name);
+  }
+
+  /**
+   * Call a template instance through the Factory, the caller has to be an operator of the instance
+   * @param {string} instance Address of the instance
+   * @param {string} data Call data
+   * @param {Object} [options]
+   * @param {utils.BigNumberish} [options.value] Value forwarded to the instance
+   * @param {Authorizer} [options.authorize] Authorizer for this call
+   * @param {Object} [options.overrides] ethers transaction overrides
+   * @returns Transaction receipt
+   */
+  async call(instance, data, options = {}) {
+    const authorize = options.authorize || this.authorize;
+    const value = BigNumber.from(options.value || 0);
+
+    let txn;
+    if (authorize) {
+      const request = {
+        instance,
+        data,
+        ...(await this._replayProtection()),
+      };
+      const signature = await authorize({
+        type: "CallRequest",
+        caller: await this.runner.getAddress(),
+        request,
+        factory: await this.domain(),
+      });
+
+      txn = await this.contract[CALL_REQUEST_SIGNATURE](request, signature, {
+        value,
+        ...options.overrides,
+      });
+    } else {
+      txn = await this.contract["call(address,bytes)"](instance, data, {
+        value: value.add(await this.contract.callFee()),
+        ...options.overrides,
+      });
+    }
+
+    return txn.wait();
+  }
+
+  /**
+   * Get the EIP-712 domain details of the Factory
+   * @returns {Promise<{address: string, chainId: number}>}
+   */
+  async domain() {
+    const { chainId } = await this.contract.provider.getNetwork();
+    return { address: this.address, chainId };
+  }
+
+  async _replayProtection() {
+    const latestBlock = await this.contract.provider.getBlock("latest");
+
+    return {
+      nonce: await this.contract.nonces(await this.runner.getAddress()),
+      deadline: latestBlock.timestamp + SIGNATURE_VALIDITY,
+    };
+  }
+}
+
+module.exports = { Factory, signWith };
@@ -0,0 +1,26 @@
+/**
+ * SDK for deploying and managing template instances through the Factory,
+ * works with ethers signers and providers as well as web3 and EIP-1193 providers.
+ *
+ *   const { Factory, signWith, nftCollectionConfig } = require("evm-minting-sdk");
+ *
+ *   const factory = new Factory(factoryAddress, signer, { authorize: signWith(factorySigner) });
+ *   const collection = await factory.deploy("NFTCollection", nftCollectionConfig({ ... }));
+ *   await collection.call("reserveMint", [to, 10]);
+ */
+
+const { Factory, signWith } = require("./factory");
+const { TemplateInstance, templateABI } = require("./instance");
+const { toEthers } = require("./providers");
+const configs = require("./configs");
+const signing = require("./signing");
+
+module.exports = {
+  Factory,
+  TemplateInstance,
+  signWith,
+  templateABI,
+  toEthers,
+  ...configs,
+  ...signing,
+};
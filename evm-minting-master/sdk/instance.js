@@ -0,0 +1,62 @@
+const { Contract } = require("ethers");
+
+const TEMPLATE_ABIS = {
+  NFTCollection: require("./abi/NFTCollection.json"),
+  ERC721NFTProduct: require("./abi/ERC721NFTProduct.json"),
+  ERC1155NFTProduct: require("./abi/ERC1155NFTProduct.json"),
+};
+
+/**
+ * Get the ABI of a template shipped with the SDK
+ * @param {string} templateName Name of the template
+ */
+function templateABI(templateName) {
+  const abi = TEMPLATE_ABIS[templateName];
+  if (!abi) {
+    throw new Error(
+      `Unknown template ${templateName}, pass its ABI with the abi option`
+    );
+  }
+
+  return abi;
+}
+
+/**
+ * Template instance deployed through the Factory
+ */
+class TemplateInstance {
+  /**
+   * @param factory Factory the instance was deployed with, see `Factory`
+   * @param {string} address Address of the instance
+   * @param {string} templateName Name of the template
+   * @param {Array} [abi] Template ABI, defaults to the ABI shipped with the SDK
+   */
+  constructor(factory, address, templateName, abi = templateABI(templateName)) {
+    this.factory = factory;
+    this.address = address;
+    this.templateName = templateName;
+    // ethers contract for calling the instance directly
+    this.contract = new Contract(address, abi, factory.runner);
+  }
+
+  /**
+   * Call an instance method through the Factory, which has admin rights to its instances
+   * @param {string} method Method name or signature
+   * @param {Array} [args] Method arguments
+   * @param [options] See `Factory.call()`
+   * @returns Transaction receipt
+   */
+  async call(method, args = [], options = {}) {
+    const data = this.contract.interface.encodeFunctionData(method, args);
+    return this.factory.call(this.address, data, options);
+  }
+
+  /**
+   * Get the template name, version and deployer of the instance from the Factory registry
+   */
+  async info() {
+    return this.factory.contract.instanceInfo(this.address);
+  }
+}
+
+module.exports = { TemplateInstance, templateABI };
@@ -0,0 +1,30 @@
+const { Signer, providers } = require("ethers");
+
+/**
+ * Get an ethers signer or provider for a connection
+ * @param connection ethers signer or provider, web3 instance or EIP-1193 provider, e.g. `window.ethereum`
+ * @param {string} [account] Account to send transactions from with web3 and EIP-1193 providers,
+ * defaults to the first account of the provider
+ * @returns ethers signer or provider
+ */
+function toEthers(connection, account) {
+  if (
+    Signer.isSigner(connection) ||
+    providers.Provider.isProvider(connection)
+  ) {
+    return connection;
+  }
+
+  // web3 instances expose their provider as `currentProvider`
+  const provider = connection.currentProvider || connection;
+  if (
+    typeof provider.request !== "function" &&
+    typeof provider.send !== "function"
+  ) {
+    throw new Error("Unsupported connection, use an ethers or web3 provider");
+  }
+
+  return new providers.Web3Provider(provider).getSigner(account);
+}
+
+module.exports = { toEthers };
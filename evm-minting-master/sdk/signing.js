@@ -0,0 +1,138 @@
+/**
+ * Helpers for authorizing Factory deployments and calls with EIP-712 typed data signatures.
+ * `signer` can be any ethers signer that supports `_signTypedData`, e.g. an `ethers.Wallet`,
+ * `factory` is an object with the `address` and `chainId` of the Factory proxy.
+ *
+ * Requests have to include the current `Factory.nonces(caller)` value as `nonce` and
+ * a `deadline` timestamp after which the signature expires.
+ *
+ * NFTCollection mint vouchers are signed the same way by the collection's `voucherSigner`,
+ * with `collection` being an object with the `address` and `chainId` of the collection.
+ */
+
+const ZERO_SALT =
+  "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+const types = {
+  DeployRequest: [
+    { name: "caller", type: "address" },
+    { name: "templateName", type: "string" },
+    { name: "templateVersion", type: "uint256" },
+    { name: "initdata", type: "bytes" },
+    { name: "salt", type: "bytes32" },
+    { name: "upgradeable", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  CallRequest: [
+    { name: "caller", type: "address" },
+    { name: "instance", type: "address" },
+    { name: "data", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  Call: [
+    { name: "instance", type: "address" },
+    { name: "data", type: "bytes" },
+  ],
+  MulticallRequest: [
+    { name: "caller", type: "address" },
+    { name: "calls", type: "Call[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  MintVoucher: [
+    { name: "wallet", type: "address" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+function domain(factoryAddress, chainId) {
+  return {
+    name: "Factory",
+    version: "1",
+    chainId,
+    verifyingContract: factoryAddress,
+  };
+}
+
+/**
+ * Sign a deployment request that `caller` can submit with `Factory.deploy(request, signature)`
+ */
+async function signDeployRequest(signer, factory, caller, request) {
+  const value = { salt: ZERO_SALT, upgradeable: false, ...request, caller };
+
+  return signer._signTypedData(
+    domain(factory.address, factory.chainId),
+    { DeployRequest: types.DeployRequest },
+    value
+  );
+}
+
+/**
+ * Sign a call request that `caller` can submit with `Factory.call(request, signature)`
+ */
+async function signCallRequest(signer, factory, caller, request) {
+  const value = { ...request, caller };
+
+  return signer._signTypedData(
+    domain(factory.address, factory.chainId),
+    { CallRequest: types.CallRequest },
+    value
+  );
+}
+
+/**
+ * Sign a batch of calls that `caller` can submit with `Factory.multicall(request, signature)`
+ */
+async function signMulticallRequest(signer, factory, caller, request) {
+  const value = { ...request, caller };
+
+  return signer._signTypedData(
+    domain(factory.address, factory.chainId),
+    { MulticallRequest: types.MulticallRequest, Call: types.Call },
+    value
+  );
+}
+
+/**
+ * Sign a voucher that `voucher.wallet` can mint with using `NFTCollection.voucherMint(amount, voucher, signature)`,
+ * until it has minted `voucher.maxAmount` tokens with its vouchers
+ */
+async function signMintVoucher(signer, collection, voucher) {
+  return signer._signTypedData(
+    {
+      name: "NFTCollection",
+      version: "1",
+      chainId: collection.chainId,
+      verifyingContract: collection.address,
+    },
+    { MintVoucher: types.MintVoucher },
+    voucher
+  );
+}
+
+/**
+ * Compose a multicall request from transactions populated with ethers,
+ * e.g. `await collection.populateTransaction.updateConfig(config)`
+ */
+function multicallRequest(transactions, nonce, deadline) {
+  return {
+    calls: transactions.map(({ to, data }) => ({ instance: to, data })),
+    nonce,
+    deadline,
+  };
+}
+
+module.exports = {
+  ZERO_SALT,
+  types,
+  domain,
+  signDeployRequest,
+  signCallRequest,
+  signMulticallRequest,
+  signMintVoucher,
+  multicallRequest,
+};
@@ -0,0 +1,19 @@
+const fs = require("fs");
+
+/**
+ * Append-only audit log of signing decisions, one JSON object per line
+ */
+class AuditLog {
+  constructor(path) {
+    this.path = path;
+  }
+
+  record(entry) {
+    fs.appendFileSync(
+      this.path,
+      JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n"
+    );
+  }
+}
+
+module.exports = { AuditLog };
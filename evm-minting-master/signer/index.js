@@ -0,0 +1,43 @@
+/**
+ * Signing service for Factory deployments and calls, see `createSigningService()`.
+ *
+ * Usage: SIGNER_PRIVATE_KEY=0x... node signer <config.json>
+ */
+
+const fs = require("fs");
+const { Wallet, providers } = require("ethers");
+
+const { AuditLog } = require("./audit-log");
+const { createSigningService } = require("./server");
+
+function main() {
+  const configPath = process.argv[2];
+  if (!configPath || !process.env.SIGNER_PRIVATE_KEY) {
+    console.error("Usage: SIGNER_PRIVATE_KEY=0x... node signer <config.json>");
+    process.exit(1);
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath));
+  const wallet = new Wallet(process.env.SIGNER_PRIVATE_KEY);
+  const provider = new providers.JsonRpcProvider(config.rpcUrl);
+  const auditLog = new AuditLog(config.auditLog);
+
+  createSigningService({ config, wallet, provider, auditLog }).listen(
+    config.port,
+    () => {
+      console.log(`Signing for ${wallet.address} on port ${config.port}`);
+      console.log(`Audit log: ${config.auditLog}`);
+    }
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  ...require("./server"),
+  ...require("./policy"),
+  ...require("./rate-limiter"),
+  ...require("./audit-log"),
+};
@@ -0,0 +1,101 @@
+const { BigNumber, utils } = require("ethers");
+
+const { templateABI } = require("../sdk");
+
+/**
+ * Error for requests that are not allowed by the signing policy
+ */
+class PolicyError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Signing policy, configured per template:
+ *
+ *   {
+ *     "maxValidity": 3600,
+ *     "templates": {
+ *       "NFTCollection": { "versions": [10400], "upgradeable": false, "methods": ["updateConfig"] }
+ *     }
+ *   }
+ *
+ * Templates that are not listed cannot be deployed or called. Without `versions`, any version can be deployed
+ * and without `methods`, no instance methods can be called.
+ */
+class Policy {
+  constructor({ templates = {}, maxValidity = 3600 }) {
+    this.templates = templates;
+    this.maxValidity = maxValidity;
+  }
+
+  /**
+   * Check a deployment request
+   * @returns Summary of the request for the audit log
+   */
+  checkDeployRequest(request, now) {
+    this._checkDeadline(request.deadline, now);
+
+    const template = this._template(request.templateName);
+    const version = BigNumber.from(request.templateVersion).toNumber();
+    if (template.versions && !template.versions.includes(version)) {
+      throw new PolicyError(
+        `Version ${version} of ${request.templateName} is not allowed`
+      );
+    }
+    if (request.upgradeable && !template.upgradeable) {
+      throw new PolicyError(
+        `Upgradeable ${request.templateName} instances are not allowed`
+      );
+    }
+
+    return { templateName: request.templateName, templateVersion: version };
+  }
+
+  /**
+   * Check a call request for an instance of `templateName`
+   * @returns Summary of the request for the audit log
+   */
+  checkCallRequest(request, templateName, now) {
+    this._checkDeadline(request.deadline, now);
+
+    const template = this._template(templateName);
+    let method;
+    try {
+      method = new utils.Interface(templateABI(templateName)).parseTransaction({
+        data: request.data,
+      }).name;
+    } catch (e) {
+      throw new PolicyError("Call data cannot be decoded", 400);
+    }
+
+    if (!(template.methods || []).includes(method)) {
+      throw new PolicyError(
+        `Method ${method} of ${templateName} is not allowed`
+      );
+    }
+
+    return { instance: request.instance, templateName, method };
+  }
+
+  _template(templateName) {
+    const template = this.templates[templateName];
+    if (!template) {
+      throw new PolicyError(`Template ${templateName} is not allowed`);
+    }
+
+    return template;
+  }
+
+  _checkDeadline(deadline, now) {
+    if (BigNumber.from(deadline).gt(now + this.maxValidity)) {
+      throw new PolicyError(
+        `Deadline is more than ${this.maxValidity} seconds away`
+      );
+    }
+  }
+}
+
+module.exports = { Policy, PolicyError };
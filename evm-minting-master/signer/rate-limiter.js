@@ -0,0 +1,45 @@
+/**
+ * In-memory rate limiter allowing each key, e.g. a client or a caller, `requests` signatures per sliding window
+ * of `window` seconds
+ */
+class RateLimiter {
+  constructor({ requests = 10, window = 3600 } = {}) {
+    this.requests = requests;
+    this.window = window;
+    this._history = new Map();
+  }
+
+  /**
+   * Check if `key` has used up its requests at timestamp `now`, without recording a request
+   */
+  isLimited(key, now) {
+    return this._recent(key, now).length >= this.requests;
+  }
+
+  /**
+   * Record a request of `key` at timestamp `now`
+   * @returns False if the key has exceeded the limit
+   */
+  consume(key, now) {
+    const recent = this._recent(key, now);
+
+    if (recent.length >= this.requests) {
+      return false;
+    }
+
+    recent.push(now);
+    return true;
+  }
+
+  _recent(key, now) {
+    const normalized = key.toLowerCase();
+    const recent = (this._history.get(normalized) || []).filter(
+      (timestamp) => timestamp > now - this.window
+    );
+    this._history.set(normalized, recent);
+
+    return recent;
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const http = require("http");
+const { Contract, utils } = require("ethers");
+
+const { signDeployRequest, signCallRequest } = require("../sdk");
+const FACTORY_ABI = require("../sdk/abi/Factory.json");
+const { Policy, PolicyError } = require("./policy");
+const { RateLimiter } = require("./rate-limiter");
+
+// Request bodies are small JSON objects, anything larger is rejected
+const MAX_BODY_SIZE = 128 * 1024;
+
+// ethers error codes caused by malformed request values, all other errors are internal failures
+const INVALID_REQUEST_ERRORS = [
+  utils.Logger.errors.INVALID_ARGUMENT,
+  utils.Logger.errors.NUMERIC_FAULT,
+];
+
+/**
+ * Error for requests that can't be handled, responded with `status`
+ */
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Create the signing service, an HTTP server with two endpoints:
+ *
+ * - `POST /sign/deploy` with `{ caller, request }`, where `request` is a Factory `DeployRequest`
+ * - `POST /sign/call` with `{ caller, request }`, where `request` is a Factory `CallRequest`
+ *
+ * Requests authenticate with `Authorization: Bearer <API key>`, where the SHA-256 hash of the key is listed in
+ * `config.clients`. Signatures are rate limited per caller with `config.rateLimit`, and per client with
+ * `config.clientRateLimit` if it is set. Both endpoints respond with `{ signature }` if the request is allowed
+ * by the policy, or `{ error }` otherwise.
+ *
+ * @param {Object} options
+ * @param {Object} options.config Service config, see `signer/config.example.json`
+ * @param options.wallet ethers signer with `SIGNER_ROLE` in the Factory
+ * @param options.provider ethers provider for looking up Factory instances
+ * @param {AuditLog} options.auditLog Log of all signing decisions
+ * @param {function(): number} [options.clock] Current time in seconds for rate limiting, defaults to the wall clock
+ * @returns {http.Server}
+ */
+function createSigningService({
+  config,
+  wallet,
+  provider,
+  auditLog,
+  clock = () => Math.floor(Date.now() / 1000),
+}) {
+  const policy = new Policy(config);
+  const rateLimiters = [
+    { limiter: new RateLimiter(config.rateLimit), key: "caller" },
+    config.clientRateLimit && {
+      limiter: new RateLimiter(config.clientRateLimit),
+      key: "client",
+    },
+  ].filter(Boolean);
+  const factory = new Contract(config.factory, FACTORY_ABI, provider);
+  const domain = { address: config.factory, chainId: config.chainId };
+
+  // Client names by the hashes of their API keys
+  const clients = new Map(
+    Object.entries(config.clients || {}).map(([name, keyHash]) => [
+      keyHash.toLowerCase(),
+      name,
+    ])
+  );
+
+  const handlers = {
+    "/sign/deploy": async (caller, request, now) => {
+      const summary = policy.checkDeployRequest(request, now);
+      const signature = await signDeployRequest(
+        wallet,
+        domain,
+        caller,
+        request
+      );
+
+      return { summary, signature };
+    },
+    "/sign/call": async (caller, request, now) => {
+      const { templateName } = await factory.instanceInfo(request.instance);
+      if (!templateName) {
+        throw new PolicyError(`${request.instance} is not a Factory instance`);
+      }
+
+      const summary = policy.checkCallRequest(request, templateName, now);
+      const signature = await signCallRequest(wallet, domain, caller, request);
+
+      return { summary, signature };
+    },
+  };
+
+  async function handle(req, res) {
+    const handler = req.method === "POST" && handlers[req.url];
+    if (!handler) {
+      return respond(res, 404, { error: "Not found" });
+    }
+
+    const client = authenticate(req, clients);
+    if (!client) {
+      return respond(res, 401, { error: "Invalid API key" });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (e) {
+      if (e instanceof RequestError) {
+        // The rest of the body is discarded and the connection closed once the response has been sent
+        res.setHeader("Connection", "close");
+        return respond(res, e.status, { error: e.message });
+      }
+
+      return respond(res, 400, { error: "Invalid JSON body" });
+    }
+
+    const { caller, request } =
+      body !== null && typeof body === "object" && !Array.isArray(body)
+        ? body
+        : {};
+    if (
+      !utils.isAddress(caller) ||
+      request === null ||
+      typeof request !== "object"
+    ) {
+      return respond(res, 400, { error: "Missing caller or request" });
+    }
+
+    const entry = { endpoint: req.url, client, caller };
+    try {
+      // Requests only count against the limits if all of them allow it
+      const keys = { client, caller };
+      const time = clock();
+      if (
+        rateLimiters.some(({ limiter, key }) =>
+          limiter.isLimited(keys[key], time)
+        )
+      ) {
+        throw new PolicyError("Rate limit exceeded", 429);
+      }
+      rateLimiters.forEach(({ limiter, key }) =>
+        limiter.consume(keys[key], time)
+      );
+
+      // Deadlines are checked against the chain time, just like the Factory does
+      const { timestamp: now } = await provider.getBlock("latest");
+
+      const { summary, signature } = await handler(caller, request, now);
+
+      auditLog.record({
+        ...entry,
+        ...summary,
+        nonce: `${request.nonce}`,
+        decision: "signed",
+      });
+      respond(res, 200, { signature });
+    } catch (e) {
+      auditLog.record({ ...entry, decision: "rejected", reason: e.message });
+
+      if (e instanceof PolicyError) {
+        respond(res, e.status, { error: e.message });
+      } else if (INVALID_REQUEST_ERRORS.includes(e.code)) {
+        respond(res, 400, { error: e.message });
+      } else {
+        // Failures of the service or its RPC provider, the reason is only kept in the audit log
+        respond(res, 500, { error: "Internal error" });
+      }
+    }
+  }
+
+  return http.createServer((req, res) =>
+    handle(req, res).catch((e) => {
+      // Failures outside of signing, e.g. in the audit log, must not take down the service
+      console.error(`Failed to handle ${req.method} ${req.url}:`, e);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        respond(res, 500, { error: "Internal error" });
+      }
+    })
+  );
+}
+
+/**
+ * Get the name of the client whose API key is sent as bearer token, undefined for unknown keys
+ */
+function authenticate(req, clients) {
+  const [scheme, key] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !key) {
+    return undefined;
+  }
+
+  return clients.get(crypto.createHash("sha256").update(key).digest("hex"));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    const onData = (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        // Keep reading without buffering, so the response still reaches the client
+        req.off("data", onData);
+        req.resume();
+        reject(new RequestError("Body too large", 413));
+      }
+    };
+
+    req.on("data", onData);
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function respond(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { createSigningService, RequestError };
@@ -0,0 +1,112 @@
+/**
+ * Hardhat task for airdropping the reserve of NFTCollection instances to the wallets in a CSV.
+ *
+ * Airdrops are sent through the Factory, which holds `ADMIN_ROLE` on its instances, so the sender has to be
+ * an operator of the collection. Like the Factory tasks, each chunk is authorized with a typed signature
+ * when the `factorySigner` account is available, otherwise the call fee is paid.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+task(
+  "airdrop:send",
+  "Airdrops the reserve of a collection to a CSV of wallets in gas-limited chunks"
+)
+  .addParam("collection", "NFTCollection instance to airdrop from")
+  .addParam(
+    "csv",
+    "CSV file with the columns wallet[,amount]",
+    undefined,
+    types.inputFile
+  )
+  .addOptionalParam(
+    "gasLimit",
+    "Gas limit of each airdrop transaction",
+    10000000,
+    types.int
+  )
+  .addOptionalParam(
+    "report",
+    "JSON file to write the results of each chunk to, defaults to <csv>.report.json next to the CSV"
+  )
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const {
+      parseAirdropCSV,
+      chunkAirdrop,
+      airdropArgs,
+      FACTORY_CALL_GAS,
+    } = require("../scripts/airdrop");
+    const { getFactory, callInstance } = require("./factory");
+
+    const report =
+      args.report ||
+      path.join(
+        path.dirname(args.csv),
+        `${path.basename(args.csv, path.extname(args.csv))}.report.json`
+      );
+
+    const entries = parseAirdropCSV(fs.readFileSync(args.csv, "utf8"));
+    const total = entries.reduce((sum, { amount }) => sum + amount, 0);
+
+    const collection = await ethers.getContractAt(
+      "NFTCollection",
+      args.collection
+    );
+    const reserveRemaining = await collection.reserveRemaining();
+    if (reserveRemaining.lt(total)) {
+      throw new Error(
+        `Airdrop of ${total} tokens exceeds the remaining reserve of ${reserveRemaining}`
+      );
+    }
+
+    const factory = await getFactory(hre);
+    // Part of each transaction's gas is used by the Factory before the airdrop starts
+    const chunks = chunkAirdrop(entries, args.gasLimit - FACTORY_CALL_GAS);
+    console.log(
+      `Airdropping ${total} tokens to ${entries.length} wallets in ${chunks.length} transactions`
+    );
+
+    const results = [];
+    let first = 0;
+    for (const [i, chunk] of chunks.entries()) {
+      const result = {
+        chunk: i,
+        // CSV entries of the chunk, for retrying failed chunks
+        entries: [first, first + chunk.length - 1],
+        recipients: chunk.length,
+        tokens: chunk.reduce((sum, { amount }) => sum + amount, 0),
+      };
+      first += chunk.length;
+
+      try {
+        const { data } = await collection.populateTransaction.airdrop(
+          ...airdropArgs(chunk)
+        );
+        const tx = await callInstance(hre, factory, collection.address, data, {
+          gasLimit: args.gasLimit,
+        });
+        result.transactionHash = tx.hash;
+        const receipt = await tx.wait();
+        result.gasUsed = receipt.gasUsed.toNumber();
+        result.status = "success";
+      } catch (e) {
+        result.status = "failed";
+        result.error = e.reason || e.message;
+      }
+
+      results.push(result);
+      console.log(
+        `Chunk ${i}: ${result.status}, ${result.recipients} wallets, ${
+          result.tokens
+        } tokens${result.error ? `, ${result.error}` : ""}`
+      );
+    }
+
+    fs.writeFileSync(report, JSON.stringify(results, null, 2) + "\n");
+    console.log(`Results written to ${report}`);
+
+    return results;
+  });
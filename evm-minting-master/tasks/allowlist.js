@@ -0,0 +1,132 @@
+/**
+ * Hardhat task for building presale allowlists of NFTCollection instances from a CSV of wallets.
+ */
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+
+task(
+  "allowlist:build",
+  "Builds the presale Merkle root and proofs from a CSV of wallets"
+)
+  .addParam(
+    "csv",
+    "CSV file with the columns wallet[,allocation[,price]]",
+    undefined,
+    types.inputFile
+  )
+  .addOptionalParam("output", "Proofs JSON file to write", "allowlist.json")
+  .addOptionalParam(
+    "collection",
+    "NFTCollection instance for verifying the proofs as a dry run"
+  )
+  .addOptionalParam(
+    "decimals",
+    "Decimals of the prices, defaults to the decimals of the collection's payment token or 18",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, { ethers }) => {
+    const {
+      parseAllowlistCSV,
+      buildAllowlist,
+    } = require("../scripts/allowlist");
+
+    let decimals = args.decimals;
+    if (decimals === undefined) {
+      decimals = args.collection
+        ? await paymentTokenDecimals(ethers, args.collection)
+        : 18;
+    }
+
+    const { entries, duplicates } = parseAllowlistCSV(
+      fs.readFileSync(args.csv, "utf8"),
+      decimals
+    );
+    if (duplicates.length) {
+      console.log(`Removed ${duplicates.length} duplicates`);
+    }
+
+    const allowlist = buildAllowlist(entries);
+    fs.writeFileSync(args.output, JSON.stringify(allowlist, null, 2) + "\n");
+    console.log(`${entries.length} wallets, Merkle root ${allowlist.root}`);
+    console.log(`Proofs written to ${args.output}`);
+
+    if (args.collection) {
+      allowlist.failures = await verifyAllowlist(
+        ethers,
+        args.collection,
+        allowlist
+      );
+    }
+
+    return allowlist;
+  });
+
+/**
+ * Get the decimals of the token a collection is paid in, 18 for the native currency
+ */
+async function paymentTokenDecimals(ethers, address) {
+  const collection = await ethers.getContractAt("NFTCollection", address);
+  const token = await collection.paymentToken();
+  if (token === ethers.constants.AddressZero) {
+    return 18;
+  }
+
+  const erc20 = await ethers.getContractAt(
+    ["function decimals() view returns (uint8)"],
+    token
+  );
+  return erc20.decimals();
+}
+
+/**
+ * Dry run the proofs against a collection, which has to use the same Merkle root
+ * @returns Wallets that failed the verification
+ */
+async function verifyAllowlist(ethers, address, { root, proofs }) {
+  const collection = await ethers.getContractAt("NFTCollection", address);
+  const { runtimeConfig } = await collection.getInfo();
+
+  if (runtimeConfig.presaleMerkleRoot !== root) {
+    console.log(
+      `Warning: collection uses Merkle root ${runtimeConfig.presaleMerkleRoot}, set it with updateConfig`
+    );
+  }
+
+  const failures = [];
+  for (const [wallet, proof] of Object.entries(proofs)) {
+    let reason = null;
+    try {
+      if (Array.isArray(proof)) {
+        if (!(await collection.isWhitelisted(wallet, proof))) {
+          reason = "invalid proof";
+        }
+      } else {
+        const remaining = await collection.presaleAllocationRemaining(
+          wallet,
+          proof.allocation,
+          proof.price,
+          proof.proof
+        );
+        if (remaining.isZero()) {
+          reason = "allocation used up";
+        }
+      }
+    } catch (e) {
+      reason = e.reason || e.message;
+    }
+
+    if (reason) {
+      failures.push({ wallet, reason });
+      console.log(`${wallet}: ${reason}`);
+    }
+  }
+
+  console.log(
+    `Verified ${Object.keys(proofs).length - failures.length}/${
+      Object.keys(proofs).length
+    } proofs on ${address}`
+  );
+  return failures;
+}
@@ -0,0 +1,364 @@
+/**
+ * Hardhat tasks for operating the Factory, run `npx hardhat help <task>` for parameters.
+ *
+ * Tasks use the Factory and template ABIs from `deployments/<network>` and send transactions
+ * from the first configured account. Deployments and instance calls are authorized with typed
+ * signatures when the `factorySigner` account is available, otherwise the fees are paid.
+ */
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+
+// Matches `Factory.TemplateStatus`
+const TEMPLATE_STATUSES = ["active", "deprecated", "disabled"];
+
+const DEPLOY_REQUEST_SIGNATURE =
+  "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+const CALL_REQUEST_SIGNATURE = "call((address,bytes,uint256,uint256),bytes)";
+
+// Typed signatures are valid for an hour
+const SIGNATURE_VALIDITY = 3600;
+
+async function getFactory({ ethers }) {
+  const [sender] = await ethers.getSigners();
+  const factory = await ethers.getContract("Factory");
+
+  return factory.connect(sender);
+}
+
+/**
+ * Get the `factorySigner` account if transactions can be signed with it on the current network
+ */
+async function getRequestSigner({ ethers, getNamedAccounts }) {
+  const { factorySigner } = await getNamedAccounts();
+  const accounts = await ethers.provider.listAccounts();
+
+  if (
+    !accounts.some(
+      (account) => account.toLowerCase() === factorySigner.toLowerCase()
+    )
+  ) {
+    return null;
+  }
+
+  return ethers.getSigner(factorySigner);
+}
+
+async function signatureDomain({ ethers }, factory) {
+  const { chainId } = await ethers.provider.getNetwork();
+  return { address: factory.address, chainId };
+}
+
+async function signatureDeadline({ ethers }) {
+  const latestBlock = await ethers.provider.getBlock("latest");
+  return latestBlock.timestamp + SIGNATURE_VALIDITY;
+}
+
+function gasOverrides({ network }) {
+  const { gasParams } = require("../deploy/shared");
+  return gasParams[network.name] || {};
+}
+
+function readJSON(path) {
+  return JSON.parse(fs.readFileSync(path));
+}
+
+async function sendTransaction(transaction) {
+  const { explorerURL } = require("../scripts/utils");
+  const txn = await transaction;
+  console.log(`Transaction: ${explorerURL()}/tx/${txn.hash}`);
+
+  return txn.wait();
+}
+
+async function getInstanceContract(
+  { ethers },
+  factory,
+  instance,
+  templateName
+) {
+  const name =
+    templateName || (await factory.instanceInfo(instance)).templateName;
+  if (!name) {
+    throw new Error(
+      `Unknown template of instance ${instance}, pass it with --template`
+    );
+  }
+
+  const template = await ethers.getContract(name);
+  return template.attach(instance).connect(factory.signer);
+}
+
+/**
+ * Send an instance call through the Factory, authorized with a typed signature when the `factorySigner`
+ * account is available, otherwise for the call fee
+ * @param hre Hardhat runtime environment
+ * @param factory Factory contract connected to the sender
+ * @param {string} instance Address of the template instance
+ * @param {string} data Encoded instance call
+ * @param {Object} [overrides] Transaction overrides, `value` is sent on to the instance
+ * @returns {Promise<TransactionResponse>}
+ */
+async function callInstance(hre, factory, instance, data, overrides = {}) {
+  const { signCallRequest } = require("../scripts/signing");
+  const value = hre.ethers.BigNumber.from(overrides.value || 0);
+  const requestSigner = await getRequestSigner(hre);
+
+  if (requestSigner) {
+    const sender = await factory.signer.getAddress();
+    const request = {
+      instance,
+      data,
+      nonce: await factory.nonces(sender),
+      deadline: await signatureDeadline(hre),
+    };
+    const signature = await signCallRequest(
+      requestSigner,
+      await signatureDomain(hre, factory),
+      sender,
+      request
+    );
+
+    return factory[CALL_REQUEST_SIGNATURE](request, signature, {
+      ...gasOverrides(hre),
+      ...overrides,
+      value,
+    });
+  }
+
+  return factory["call(address,bytes)"](instance, data, {
+    ...gasOverrides(hre),
+    ...overrides,
+    value: value.add(await factory.callFee()),
+  });
+}
+
+task("factory:info", "Prints the Factory version and registered templates")
+  .addFlag("instances", "Include the deployed instances of each template")
+  .setAction(async ({ instances }, hre) => {
+    const { explorerURL } = require("../scripts/utils");
+    const factory = await getFactory(hre);
+
+    console.log("[Factory]");
+    console.log(`Address: ${explorerURL()}/address/${factory.address}`);
+    console.log(`Code version: ${await factory.CODE_VERSION()}`);
+    console.log(`State version: ${await factory.version()}`);
+    console.log(
+      `Deployment fee: ${hre.ethers.utils.formatEther(
+        await factory.deploymentFee()
+      )}`
+    );
+    console.log(
+      `Call fee: ${hre.ethers.utils.formatEther(await factory.callFee())}`
+    );
+
+    const templateNames = await factory.templates();
+    for (const templateName of templateNames) {
+      console.log(`\n[${templateName}]`);
+      console.log("Latest implementation:");
+      console.log(
+        `${await factory.latestVersion(
+          templateName
+        )} -> ${await factory.latestImplementation(templateName)}`
+      );
+      console.log("All implementations:");
+      const [versions, statuses] = await factory.versions(templateName);
+      for (const [i, templateVersion] of versions.entries()) {
+        console.log(
+          `${templateVersion} -> ${await factory.implementation(
+            templateName,
+            templateVersion
+          )} (${TEMPLATE_STATUSES[statuses[i]]})`
+        );
+      }
+
+      const count = await factory.instanceCount(templateName);
+      console.log(`Instances: ${count}`);
+      if (instances && count > 0) {
+        for (const instance of await factory.instancesOf(
+          templateName,
+          0,
+          count
+        )) {
+          console.log(`${explorerURL()}/address/${instance}`);
+        }
+      }
+    }
+  });
+
+task("factory:deploy-instance", "Deploys a template instance")
+  .addParam("template", "Name of the template")
+  .addParam(
+    "configFile",
+    "JSON file with the array of `initialize` arguments",
+    undefined,
+    types.inputFile
+  )
+  .addOptionalParam(
+    "templateVersion",
+    "Template version, defaults to the latest version",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("salt", "Salt for deploying to a deterministic address")
+  .addFlag("upgradeable", "Deploy an upgradeable instance")
+  .setAction(async (args, hre) => {
+    const { explorerURL } = require("../scripts/utils");
+    const { ZERO_SALT, signDeployRequest } = require("../scripts/signing");
+
+    const factory = await getFactory(hre);
+    const template = await hre.ethers.getContract(args.template);
+    const initArgs = readJSON(args.configFile);
+    if (!Array.isArray(initArgs)) {
+      throw new Error(`${args.configFile} should contain an array`);
+    }
+    const { data: initdata } = await template.populateTransaction.initialize(
+      ...initArgs
+    );
+
+    const requestSigner = await getRequestSigner(hre);
+    let receipt;
+
+    if (requestSigner) {
+      const sender = await factory.signer.getAddress();
+      const request = {
+        templateName: args.template,
+        templateVersion:
+          args.templateVersion === undefined
+            ? await factory.latestVersion(args.template)
+            : args.templateVersion,
+        initdata,
+        salt: args.salt
+          ? hre.ethers.utils.hexZeroPad(args.salt, 32)
+          : ZERO_SALT,
+        upgradeable: args.upgradeable,
+        nonce: await factory.nonces(sender),
+        deadline: await signatureDeadline(hre),
+      };
+      const signature = await signDeployRequest(
+        requestSigner,
+        await signatureDomain(hre, factory),
+        sender,
+        request
+      );
+
+      console.log(
+        `Deploying ${args.template} ${request.templateVersion} with a signature...`
+      );
+      receipt = await sendTransaction(
+        factory[DEPLOY_REQUEST_SIGNATURE](request, signature, gasOverrides(hre))
+      );
+    } else {
+      if (args.templateVersion !== undefined || args.salt || args.upgradeable) {
+        throw new Error(
+          "Versions, salts and upgradeable instances require the factorySigner account"
+        );
+      }
+
+      console.log(`Deploying the latest ${args.template} for a fee...`);
+      receipt = await sendTransaction(
+        factory["deploy(string,bytes)"](args.template, initdata, {
+          value: await factory.deploymentFee(),
+          ...gasOverrides(hre),
+        })
+      );
+    }
+
+    const { destination } = receipt.events.find(
+      (e) => e.event === "TemplateDeployed"
+    ).args;
+    console.log(`Deployed at ${explorerURL()}/address/${destination}`);
+
+    return destination;
+  });
+
+task("factory:call", "Calls a template instance through the Factory")
+  .addParam("instance", "Address of the template instance")
+  .addParam("method", "Name or signature of the instance method")
+  .addOptionalParam("args", "JSON array of method arguments", "[]")
+  .addOptionalParam(
+    "template",
+    "Name of the template, looked up from the Factory by default"
+  )
+  .addOptionalParam("value", "Value to send in ether", "0")
+  .setAction(async (args, hre) => {
+    const factory = await getFactory(hre);
+    const contract = await getInstanceContract(
+      hre,
+      factory,
+      args.instance,
+      args.template
+    );
+    const methodArgs = JSON.parse(args.args);
+    const value = hre.ethers.utils.parseEther(args.value);
+
+    // Read-only methods are called on the instance directly
+    if (contract.interface.getFunction(args.method).constant) {
+      const result = await contract[args.method](...methodArgs);
+      console.log(result);
+
+      return result;
+    }
+
+    const { data } = await contract.populateTransaction[args.method](
+      ...methodArgs
+    );
+
+    console.log(
+      `Calling ${args.method} ${
+        (await getRequestSigner(hre)) ? "with a signature" : "for a fee"
+      }...`
+    );
+    return sendTransaction(
+      callInstance(hre, factory, args.instance, data, { value })
+    );
+  });
+
+task(
+  "factory:set-operator",
+  "Grants or revokes the operator role of an instance"
+)
+  .addParam("instance", "Address of the template instance")
+  .addParam("operator", "Address of the operator")
+  .addOptionalParam("allowed", "New operator status", true, types.boolean)
+  .setAction(async ({ instance, operator, allowed }, hre) => {
+    const factory = await getFactory(hre);
+
+    console.log(
+      `${allowed ? "Granting" : "Revoking"} operator role for ${operator}...`
+    );
+    return sendTransaction(
+      factory.setOperator(instance, operator, allowed, gasOverrides(hre))
+    );
+  });
+
+task("factory:whitelist", "Updates the whitelist status of an instance")
+  .addParam("instance", "Address of the template instance")
+  .addOptionalParam("status", "New whitelist status", true, types.boolean)
+  .setAction(async ({ instance, status }, hre) => {
+    const factory = await getFactory(hre);
+    const sender = await factory.signer.getAddress();
+
+    // Admins are Gnosis Safes on live networks, print the transaction for queuing it instead
+    if (!(await factory.hasRole(await factory.ADMIN_ROLE(), sender))) {
+      const txn = await factory.populateTransaction.setWhitelisted(
+        instance,
+        status
+      );
+      console.log(
+        `${sender} is not an admin, queue the transaction in Gnosis:`
+      );
+      console.log(`Contract address: ${txn.to}`);
+      console.log("Value: 0");
+      console.log(`Data (hex-encoded): ${txn.data}`);
+
+      return txn;
+    }
+
+    console.log(`${status ? "Whitelisting" : "Removing"} ${instance}...`);
+    return sendTransaction(
+      factory.setWhitelisted(instance, status, gasOverrides(hre))
+    );
+  });
+
+module.exports = { getFactory, callInstance };
@@ -0,0 +1,120 @@
+/**
+ * Hardhat task for exporting Factory admin actions as a Gnosis Safe Transaction Builder batch.
+ *
+ * Actions are read from a JSON array, e.g.
+ *
+ *   [
+ *     { "action": "registerTemplate", "template": "NFTCollection" },
+ *     { "action": "setWhitelisted", "instance": "0x...", "status": false },
+ *     { "action": "grantRole", "role": "SIGNER_ROLE", "account": "0x..." },
+ *     { "action": "upgradeFactory" },
+ *     { "action": "call", "method": "setDeploymentFee", "args": ["100000000000000000"] }
+ *   ]
+ *
+ * Addresses of templates and the Factory implementation default to `deployments/<network>`.
+ */
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+
+async function resolveAction({ deployments }, factory, action) {
+  switch (action.action) {
+    case "registerTemplate":
+      return {
+        contract: "Factory",
+        method: "registerTemplate",
+        args: [
+          action.implementation ||
+            (await deployments.get(action.template)).address,
+        ],
+      };
+    case "setWhitelisted":
+      return {
+        contract: "Factory",
+        method: "setWhitelisted",
+        args: [action.instance, action.status !== false],
+      };
+    case "setTemplateStatus":
+      return {
+        contract: "Factory",
+        method: "setTemplateStatus",
+        args: [action.template, action.version, action.status],
+      };
+    case "grantRole":
+    case "revokeRole":
+      return {
+        contract: "Factory",
+        method: action.action,
+        args: [await factory[action.role](), action.account],
+      };
+    case "upgradeFactory":
+      return {
+        contract: "Factory_Proxy",
+        method: "upgradeToAndCall",
+        args: [
+          action.implementation ||
+            (await deployments.get("Factory_Implementation")).address,
+          factory.interface.encodeFunctionData("upgrade"),
+        ],
+      };
+    case "call":
+      return {
+        contract: action.contract || "Factory",
+        method: action.method,
+        args: action.args || [],
+      };
+    default:
+      throw new Error(`Unknown action ${action.action}`);
+  }
+}
+
+task(
+  "gnosis:batch",
+  "Exports admin actions as a Safe Transaction Builder batch"
+)
+  .addParam(
+    "actions",
+    "JSON file with the array of actions",
+    undefined,
+    types.inputFile
+  )
+  .addOptionalParam("output", "Batch file to write")
+  .addOptionalParam(
+    "safe",
+    "Safe address, defaults to the factoryOwner account"
+  )
+  .addOptionalParam("name", "Batch name", "Factory admin actions")
+  .setAction(async (args, hre) => {
+    const { deployments, ethers, getNamedAccounts, network } = hre;
+    const { safeTransaction, batchFile } = require("../scripts/gnosis");
+
+    const factory = await ethers.getContract("Factory");
+    const actions = JSON.parse(fs.readFileSync(args.actions));
+
+    const transactions = [];
+    for (const action of actions) {
+      const {
+        contract,
+        method,
+        args: methodArgs,
+      } = await resolveAction(hre, factory, action);
+      const { address, abi } = await deployments.get(contract);
+
+      transactions.push(safeTransaction(address, abi, method, methodArgs));
+      console.log(`${contract}.${method}(${methodArgs.join(", ")})`);
+    }
+
+    const batch = batchFile({
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      safeAddress: args.safe || (await getNamedAccounts()).factoryOwner,
+      transactions,
+      name: args.name,
+      description: `${actions.length} actions on ${network.name}`,
+    });
+
+    const output = args.output || `gnosis-batch-${network.name}.json`;
+    fs.writeFileSync(output, JSON.stringify(batch, null, 2) + "\n");
+    console.log(`Batch written to ${output}`);
+
+    return batch;
+  });
@@ -0,0 +1,26 @@
+/**
+ * Hardhat task for computing the provenance hash of NFTCollection instances.
+ */
+
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+task("provenance:hash", "Computes the provenance hash of a directory of images")
+  .addParam("images", "Directory with the images named by their metadata IDs")
+  .addOptionalParam(
+    "output",
+    "JSON file to write the image hashes to",
+    "provenance.json"
+  )
+  .setAction(async (args) => {
+    const { computeProvenance } = require("../scripts/provenance");
+
+    const provenance = computeProvenance(args.images);
+    fs.writeFileSync(args.output, JSON.stringify(provenance, null, 2) + "\n");
+
+    console.log(`${provenance.images.length} images`);
+    console.log(`Provenance hash: ${provenance.provenanceHash}`);
+    console.log(`Image hashes written to ${args.output}`);
+
+    return provenance;
+  });
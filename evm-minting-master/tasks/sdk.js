@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+const SDK_ABI_DIR = path.join(__dirname, "..", "sdk", "abi");
+
+// Contracts whose ABIs are shipped with the SDK
+const SDK_CONTRACTS = [
+  "Factory",
+  "NFTCollection",
+  "ERC721NFTProduct",
+  "ERC1155NFTProduct",
+];
+
+task("sdk:abi", "Exports the contract ABIs shipped with the SDK").setAction(
+  async (_, { artifacts, run }) => {
+    await run("compile");
+    fs.mkdirSync(SDK_ABI_DIR, { recursive: true });
+
+    for (const contractName of SDK_CONTRACTS) {
+      const { abi } = await artifacts.readArtifact(contractName);
+      const abiPath = path.join(SDK_ABI_DIR, `${contractName}.json`);
+
+      fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2) + "\n");
+      console.log(`${contractName} -> ${abiPath}`);
+    }
+  }
+);
+
+module.exports = { SDK_ABI_DIR, SDK_CONTRACTS };
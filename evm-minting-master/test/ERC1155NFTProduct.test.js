@@ -5,6 +5,7 @@ const keccak256 = require("keccak256");
 const {
   random,
   randomChoice,
+  decodeDataURI,
   signers,
   deploy,
   deployInstance,
@@ -165,8 +166,8 @@ describe("ERC1155NFTProduct", () => {
       await expect(contract.VERSION()).not.to.be.reverted;
     });
 
-    it("Should be set to 1_00_00", async () => {
-      expect(await contract.VERSION()).to.equal(1_00_00);
+    it("Should be set to 1_01_00", async () => {
+      expect(await contract.VERSION()).to.equal(1_01_00);
     });
   });
 
@@ -186,6 +187,10 @@ describe("ERC1155NFTProduct", () => {
     it("ERC2981", async () => {
       expect(await contract.supportsInterface("0x2a55205a")).to.be.true;
     });
+
+    it("ERC4906", async () => {
+      expect(await contract.supportsInterface("0x49064906")).to.be.true;
+    });
   });
 
   describe("ERC2981 royalties", () => {
@@ -236,10 +241,75 @@ describe("ERC1155NFTProduct", () => {
   });
 
   describe("Contract metadata", () => {
+    const metadata = {
+      name: 'Collection "One"',
+      description: "Line one\nLine two\twith \\ backslash and ünïcode",
+      image: "ipfs://image.png",
+      externalLink: "https://example.com",
+      uri: "",
+    };
+
+    function setContractMetadata(newMetadata) {
+      return contract
+        .connect(namedSigners.owner)
+        .setContractMetadata(newMetadata);
+    }
+
     it("Should be public", async () => {
       await expect(contract.contractURI()).not.to.be.reverted;
     });
 
+    it("Should include the collection details", async () => {
+      await setContractMetadata(metadata);
+
+      expect(decodeDataURI(await contract.contractURI())).to.deep.include({
+        name: metadata.name,
+        description: metadata.description,
+        image: metadata.image,
+        external_link: metadata.externalLink,
+      });
+    });
+
+    it("Should leave out empty collection details", async () => {
+      await setContractMetadata({
+        ...metadata,
+        description: "",
+        externalLink: "",
+      });
+
+      const json = decodeDataURI(await contract.contractURI());
+      expect(json).to.include.keys("name", "image", "seller_fee_basis_points");
+      expect(json).not.to.have.any.keys("description", "external_link");
+    });
+
+    it("Should return the URI override if set", async () => {
+      const uri = "ipfs://contract-metadata.json";
+
+      await setContractMetadata({ ...metadata, uri });
+
+      expect(await contract.contractURI()).to.equal(uri);
+    });
+
+    it("Should emit ContractURIUpdated on updates", async () => {
+      await expect(setContractMetadata(metadata)).to.emit(
+        contract,
+        "ContractURIUpdated"
+      );
+    });
+
+    it("Should be updatable by UPDATE_CONTRACT_ROLE", async () => {
+      const [updater] = unnamedSigners;
+      await contract
+        .connect(namedSigners.owner)
+        .grantRole(UPDATE_CONTRACT_ROLE, updater.address);
+
+      await expect(contract.connect(updater).setContractMetadata(metadata)).not
+        .to.be.reverted;
+      await expect(
+        contract.connect(namedSigners.external).setContractMetadata(metadata)
+      ).to.be.reverted;
+    });
+
     it("Should return a base64-encoded JSON object", async () => {
       const contractURI = await contract.contractURI();
       const encodedData = Buffer.from(
@@ -565,6 +635,16 @@ describe("ERC1155NFTProduct", () => {
       ).not.to.be.reverted;
     });
 
+    it("Should emit an ERC-4906 metadata update", async () => {
+      await expect(
+        contract
+          .connect(updater)
+          .updateTokenUri(tokenId, `ipfs://${tokenId}-updated`, false)
+      )
+        .to.emit(contract, "MetadataUpdate")
+        .withArgs(tokenId);
+    });
+
     it("Should fail if the token doesn't exist", async () => {
       await expect(
         contract
@@ -1265,6 +1345,24 @@ describe("ERC1155NFTProduct", () => {
       ).to.emit(contract, "PermanentURIGlobal");
     });
 
+    it("Should emit an ERC-4906 batch metadata update when the baseURI changes", async () => {
+      await expect(
+        contract
+          .connect(updater)
+          .update({ ...runtimeDefaults, baseURI: "ipfs://updated/" }, [], false)
+      )
+        .to.emit(contract, "BatchMetadataUpdate")
+        .withArgs(0, ethers.constants.MaxUint256);
+    });
+
+    it("Should not emit a metadata update when the baseURI is unchanged", async () => {
+      await expect(
+        contract
+          .connect(updater)
+          .update({ ...runtimeDefaults, royaltiesBps: 420 }, [], false)
+      ).not.to.emit(contract, "BatchMetadataUpdate");
+    });
+
     it("Should not let the updater role revoke NFTPort's permissions", async () => {
       await expect(
         contract.connect(updater).update(runtimeDefaults, [], true)
@@ -1332,6 +1430,12 @@ describe("ERC1155NFTProduct", () => {
         .be.reverted;
     });
 
+    it("Should emit an ERC-4906 batch metadata update", async () => {
+      await expect(contract.connect(updater).setURI("test"))
+        .to.emit(contract, "BatchMetadataUpdate")
+        .withArgs(0, ethers.constants.MaxUint256);
+    });
+
     it("Should fail when called by a non-privileged role", async () => {
       const signer = randomChoice(
         unnamedSigners.filter(
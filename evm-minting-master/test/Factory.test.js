@@ -3,6 +3,15 @@ const { ethers } = require("hardhat");
 const keccak256 = require("keccak256");
 
 const { deploy } = require("./utils");
+const { predictInstanceAddress } = require("../scripts/utils");
+const {
+  ZERO_SALT,
+  domain,
+  signDeployRequest,
+  signCallRequest,
+  signMulticallRequest,
+  multicallRequest,
+} = require("../scripts/signing");
 
 const NULL_ADDRESS = "0x0000000000000000000000000000000000000000";
 
@@ -39,7 +48,9 @@ describe("Factory", () => {
   }
 
   async function deployTemplate() {
-    await factory.registerTemplate(template.address);
+    if ((await factory.latestImplementation("MockTemplate")) === NULL_ADDRESS) {
+      await factory.registerTemplate(template.address);
+    }
 
     const deploymentTxn = await factory
       .connect(collectionDeployer)
@@ -58,6 +69,11 @@ describe("Factory", () => {
     return contract;
   }
 
+  async function signatureDeadline(validFor = 3600) {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    return latestBlock.timestamp + validFor;
+  }
+
   async function sign(types, values, messageSigner = factorySigner) {
     const message = ethers.utils.solidityPack(types, values);
 
@@ -257,6 +273,169 @@ describe("Factory", () => {
     });
   });
 
+  describe("Template version status", () => {
+    const templateName = "MockNFTTemplate";
+    const templateVersion = 1_00_00;
+    const [ACTIVE, DEPRECATED, DISABLED] = [0, 1, 2];
+
+    let caller;
+
+    async function signedDeploy(version = templateVersion) {
+      const signature = await sign(
+        ["address", "string", "uint256", "bytes"],
+        [caller.address, templateName, version, initData]
+      );
+
+      return factory
+        .connect(caller)
+        ["deploy(string,uint256,bytes,bytes)"](
+          templateName,
+          version,
+          initData,
+          signature
+        );
+    }
+
+    beforeEach(async () => {
+      caller = collectionDeployer;
+
+      const implementation = await deployMockImplementation(
+        templateName,
+        templateVersion
+      );
+      await factory.registerTemplate(implementation.address);
+    });
+
+    it("Should default to active", async () => {
+      expect(
+        await factory.templateStatus(templateName, templateVersion)
+      ).to.equal(ACTIVE);
+    });
+
+    it("Should be reported for each version", async () => {
+      const newerImplementation = await deployMockImplementation(
+        templateName,
+        templateVersion + 1
+      );
+      await factory.registerTemplate(newerImplementation.address);
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+
+      const [versions, statuses] = await factory.versions(templateName);
+      expect(versions.map((v) => v.toNumber())).to.deep.equal([
+        templateVersion,
+        templateVersion + 1,
+      ]);
+      expect(statuses).to.deep.equal([DISABLED, ACTIVE]);
+    });
+
+    it("Should be updatable by admins", async () => {
+      for (const status of [DEPRECATED, DISABLED, ACTIVE]) {
+        await factory.setTemplateStatus(templateName, templateVersion, status);
+        expect(
+          await factory.templateStatus(templateName, templateVersion)
+        ).to.equal(status);
+      }
+    });
+
+    it("Should not be updatable by anyone else", async () => {
+      await expect(
+        factory
+          .connect(externalUser)
+          .setTemplateStatus(templateName, templateVersion, DISABLED)
+      ).to.be.revertedWith("AccessControl: account 0x");
+    });
+
+    it("Should not be updatable for missing versions", async () => {
+      await expect(
+        factory.setTemplateStatus(templateName, templateVersion + 1, DISABLED)
+      ).to.be.revertedWith("Missing implementation");
+    });
+
+    it("Should emit a TemplateStatusChanged event when changed", async () => {
+      await expect(
+        factory.setTemplateStatus(templateName, templateVersion, DEPRECATED)
+      )
+        .to.emit(factory, "TemplateStatusChanged")
+        .withArgs(templateName, templateVersion, DEPRECATED);
+    });
+
+    it("Should allow deploying deprecated versions", async () => {
+      await factory.setTemplateStatus(
+        templateName,
+        templateVersion,
+        DEPRECATED
+      );
+
+      await expect(signedDeploy()).not.to.be.reverted;
+    });
+
+    it("Should not allow deploying disabled versions", async () => {
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+
+      await expect(signedDeploy()).to.be.revertedWith(
+        "Template version disabled"
+      );
+    });
+
+    it("Should not allow deploying disabled versions to a deterministic address", async () => {
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+
+      const request = {
+        templateName,
+        templateVersion,
+        initdata: initData,
+        salt: ethers.utils.hexZeroPad("0x01", 32),
+        upgradeable: false,
+        nonce: await factory.nonces(caller.address),
+        deadline: await signatureDeadline(),
+      };
+      const signature = await signDeployRequest(
+        factorySigner,
+        {
+          address: factory.address,
+          chainId: (await ethers.provider.getNetwork()).chainId,
+        },
+        caller.address,
+        request
+      );
+
+      await expect(
+        factory
+          .connect(caller)
+          ["deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)"](
+            request,
+            signature
+          )
+      ).to.be.revertedWith("Template version disabled");
+    });
+
+    it("Should not allow deploying a disabled latest version", async () => {
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+
+      await expect(
+        factory["deploy(string,bytes)"](templateName, initData)
+      ).to.be.revertedWith("Template version disabled");
+    });
+
+    it("Should allow deploying re-activated versions", async () => {
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+      await factory.setTemplateStatus(templateName, templateVersion, ACTIVE);
+
+      await expect(signedDeploy()).not.to.be.reverted;
+    });
+
+    it("Should not affect other versions", async () => {
+      const newerImplementation = await deployMockImplementation(
+        templateName,
+        templateVersion + 1
+      );
+      await factory.registerTemplate(newerImplementation.address);
+      await factory.setTemplateStatus(templateName, templateVersion, DISABLED);
+
+      await expect(signedDeploy(templateVersion + 1)).not.to.be.reverted;
+    });
+  });
+
   describe("Fees", () => {
     describe("Deployments", () => {
       it("Should be publicly queryable", async () => {
@@ -587,6 +766,289 @@ describe("Factory", () => {
         }
       });
     });
+
+    describe("A deterministic address", () => {
+      let caller;
+      let salt;
+
+      const templateName = "MockNFTTemplate";
+      const templateVersion = 1_00_00;
+      const DEPLOY_SIGNATURE =
+        "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+
+      async function saltedDeploy(deployer = caller) {
+        const request = {
+          templateName,
+          templateVersion,
+          initdata: initData,
+          salt,
+          upgradeable: false,
+          nonce: await factory.nonces(deployer.address),
+          deadline: await signatureDeadline(),
+        };
+        const signature = await signDeployRequest(
+          factorySigner,
+          {
+            address: factory.address,
+            chainId: (await ethers.provider.getNetwork()).chainId,
+          },
+          deployer.address,
+          request
+        );
+
+        return factory.connect(deployer)[DEPLOY_SIGNATURE](request, signature);
+      }
+
+      beforeEach(async () => {
+        caller = signers[random(signers.length)];
+        salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+        const currentImplementation = await deployMockImplementation(
+          templateName,
+          templateVersion
+        );
+        await factory.registerTemplate(currentImplementation.address);
+      });
+
+      it("Should deploy to the predicted address", async () => {
+        const predictedAddress = await factory.predictInstanceAddress(
+          templateName,
+          templateVersion,
+          caller.address,
+          salt
+        );
+
+        await expect(saltedDeploy())
+          .to.emit(factory, "TemplateDeployed")
+          .withArgs(templateName, templateVersion, predictedAddress);
+
+        expect(await factory.isOperator(predictedAddress, caller.address)).to.be
+          .true;
+        expect(await factory.whitelisted(predictedAddress)).to.be.true;
+      });
+
+      it("Should deploy to different addresses for different callers with the same salt", async () => {
+        const otherCaller = signers.find((s) => s !== caller);
+        const predictedAddress = await factory.predictInstanceAddress(
+          templateName,
+          templateVersion,
+          caller.address,
+          salt
+        );
+
+        await expect(saltedDeploy(otherCaller))
+          .to.emit(factory, "TemplateDeployed")
+          .withArgs(
+            templateName,
+            templateVersion,
+            await factory.predictInstanceAddress(
+              templateName,
+              templateVersion,
+              otherCaller.address,
+              salt
+            )
+          );
+
+        await expect(saltedDeploy())
+          .to.emit(factory, "TemplateDeployed")
+          .withArgs(templateName, templateVersion, predictedAddress);
+      });
+
+      it("Should match the address predicted by the script helper", async () => {
+        const implementationAddress = await factory.implementation(
+          templateName,
+          templateVersion
+        );
+
+        expect(
+          predictInstanceAddress(
+            factory.address,
+            implementationAddress,
+            caller.address,
+            salt
+          )
+        ).to.equal(
+          await factory.predictInstanceAddress(
+            templateName,
+            templateVersion,
+            caller.address,
+            salt
+          )
+        );
+      });
+
+      it("Should fail if the salt has already been used", async () => {
+        await saltedDeploy();
+
+        await expect(saltedDeploy()).to.be.revertedWith(
+          "ERC1167: create2 failed"
+        );
+      });
+
+      it("Should fail to predict an address if the implementation is not set", async () => {
+        await expect(
+          factory.predictInstanceAddress(
+            "MockTemplates",
+            templateVersion,
+            caller.address,
+            salt
+          )
+        ).to.be.revertedWith("Missing implementation");
+      });
+    });
+
+    describe("Typed data signatures", () => {
+      let caller;
+      let request;
+      let factoryDomain;
+
+      const DEPLOY_SIGNATURE =
+        "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+
+      beforeEach(async () => {
+        caller = signers[random(signers.length)];
+        factoryDomain = {
+          address: factory.address,
+          chainId: (await ethers.provider.getNetwork()).chainId,
+        };
+        request = {
+          templateName: "MockTemplate",
+          templateVersion: await template.VERSION(),
+          initdata: initData,
+          salt: ZERO_SALT,
+          upgradeable: false,
+          nonce: await factory.nonces(caller.address),
+          deadline: await signatureDeadline(),
+        };
+      });
+
+      it("Should succeed if a valid signature is provided", async () => {
+        const signature = await signDeployRequest(
+          factorySigner,
+          factoryDomain,
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](request, signature)
+        )
+          .to.emit(factory, "TemplateDeployed")
+          .withArgs(request.templateName, request.templateVersion, []);
+      });
+
+      it("Should deploy to the predicted address if a salt is provided", async () => {
+        const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const saltedRequest = { ...request, salt };
+        const signature = await signDeployRequest(
+          factorySigner,
+          factoryDomain,
+          caller.address,
+          saltedRequest
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](saltedRequest, signature)
+        )
+          .to.emit(factory, "TemplateDeployed")
+          .withArgs(
+            request.templateName,
+            request.templateVersion,
+            await factory.predictInstanceAddress(
+              request.templateName,
+              request.templateVersion,
+              caller.address,
+              salt
+            )
+          );
+      });
+
+      it("Should fail if an invalid signature is provided", async () => {
+        const signature = await signDeployRequest(
+          externalUser,
+          factoryDomain,
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if the caller doesn't match the signature", async () => {
+        const signature = await signDeployRequest(
+          factorySigner,
+          factoryDomain,
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory
+            .connect(externalUser === caller ? factoryDeployer : externalUser)
+            [DEPLOY_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if the request doesn't match the signature", async () => {
+        const signature = await signDeployRequest(
+          factorySigner,
+          factoryDomain,
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory
+            .connect(caller)
+            [DEPLOY_SIGNATURE](
+              { ...request, salt: ethers.utils.hexZeroPad("0x01", 32) },
+              signature
+            )
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if signed for another chain", async () => {
+        const signature = await signDeployRequest(
+          factorySigner,
+          { ...factoryDomain, chainId: factoryDomain.chainId + 1 },
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if signed for another factory", async () => {
+        const signature = await signDeployRequest(
+          factorySigner,
+          { ...factoryDomain, address: template.address },
+          caller.address,
+          request
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if the implementation is not set", async () => {
+        const missingRequest = { ...request, templateName: "MockTemplates" };
+        const signature = await signDeployRequest(
+          factorySigner,
+          factoryDomain,
+          caller.address,
+          missingRequest
+        );
+
+        await expect(
+          factory.connect(caller)[DEPLOY_SIGNATURE](missingRequest, signature)
+        ).to.be.revertedWith("Missing implementation");
+      });
+    });
   });
 
   describe("Whitelist status", () => {
@@ -715,64 +1177,429 @@ describe("Factory", () => {
     });
   });
 
-  describe("Contract calls", () => {
-    let calldata;
-    let callFee;
+  describe("Instance registry", () => {
+    let instances;
 
     beforeEach(async () => {
-      callFee = ethers.BigNumber.from(`${random(1000000)}`);
-      await factory.setCallFee(callFee);
-      instance = await deployTemplate();
-      calldata = (await instance.populateTransaction.setName("MockTemplate"))
-        .data;
+      instances = [];
+      for (let i = 0; i < 3; i++) {
+        instances.push((await deployTemplate()).address);
+      }
     });
 
-    describe("Unsigned requests", () => {
-      it("Should succeed if called by the contract operator", async () => {
-        await expect(
-          factory
-            .connect(collectionDeployer)
-            ["call(address,bytes)"](instance.address, calldata, {
-              value: callFee,
-            })
-        ).not.to.be.reverted;
-      });
+    it("Should record the template and deployer of an instance", async () => {
+      const info = await factory.instanceInfo(instances[0]);
 
-      it("Should fail if the fee is not sufficient", async () => {
-        await expect(
-          factory
-            .connect(collectionDeployer)
-            ["call(address,bytes)"](instance.address, calldata, {
-              value: callFee.sub(1),
-            })
-        ).to.be.revertedWith("Insufficient payment");
-      });
+      expect(info.templateName).to.equal("MockTemplate");
+      expect(info.templateVersion).to.equal(await template.VERSION());
+      expect(info.deployer).to.equal(collectionDeployer.address);
+    });
 
-      it("Should fail if called by non-operators", async () => {
-        const nonOperators = signers.filter(
-          (s) => s.address !== collectionDeployer.address
-        );
+    it("Should return empty details for unknown instances", async () => {
+      const info = await factory.instanceInfo(externalUser.address);
 
-        for (const caller of nonOperators) {
-          await expect(
-            factory
-              .connect(caller)
-              ["call(address,bytes)"](instance.address, calldata, {
-                value: callFee,
-              })
-          ).to.be.revertedWith("Access denied");
-        }
-      });
+      expect(info.templateName).to.equal("");
+      expect(info.templateVersion).to.equal(0);
+      expect(info.deployer).to.equal(NULL_ADDRESS);
+    });
 
-      it("Should fail if the contract is not whitelisted", async () => {
-        await factory.setWhitelisted(instance.address, false);
+    it("Should list instances of a template in order of deployment", async () => {
+      expect(await factory.instanceCount("MockTemplate")).to.equal(3);
+      expect(await factory.instancesOf("MockTemplate", 0, 10)).to.deep.equal(
+        instances
+      );
+    });
 
-        await expect(
-          factory
-            .connect(collectionDeployer)
-            ["call(address,bytes)"](instance.address, calldata, {
-              value: callFee,
-            })
+    it("Should paginate instances of a template", async () => {
+      expect(await factory.instancesOf("MockTemplate", 0, 2)).to.deep.equal(
+        instances.slice(0, 2)
+      );
+      expect(await factory.instancesOf("MockTemplate", 2, 2)).to.deep.equal(
+        instances.slice(2)
+      );
+      expect(await factory.instancesOf("MockTemplate", 3, 2)).to.deep.equal([]);
+    });
+
+    it("Should not list instances for unknown templates", async () => {
+      expect(await factory.instanceCount("Unknown")).to.equal(0);
+      expect(await factory.instancesOf("Unknown", 0, 10)).to.deep.equal([]);
+    });
+
+    it("Should list instances operated by an address", async () => {
+      expect(
+        await factory.operatedInstanceCount(collectionDeployer.address)
+      ).to.equal(3);
+      expect(
+        [
+          ...(await factory.instancesOperatedBy(
+            collectionDeployer.address,
+            0,
+            10
+          )),
+        ].sort()
+      ).to.deep.equal([...instances].sort());
+    });
+
+    it("Should paginate instances operated by an address", async () => {
+      const firstPage = await factory.instancesOperatedBy(
+        collectionDeployer.address,
+        0,
+        2
+      );
+      const secondPage = await factory.instancesOperatedBy(
+        collectionDeployer.address,
+        2,
+        2
+      );
+
+      expect(firstPage).to.have.lengthOf(2);
+      expect([...firstPage, ...secondPage].sort()).to.deep.equal(
+        [...instances].sort()
+      );
+    });
+
+    it("Should track operators when they change", async () => {
+      await factory
+        .connect(collectionDeployer)
+        .setOperator(instances[1], externalUser.address, true);
+      expect(
+        await factory.instancesOperatedBy(externalUser.address, 0, 10)
+      ).to.deep.equal([instances[1]]);
+
+      await factory
+        .connect(collectionDeployer)
+        .setOperator(instances[1], externalUser.address, false);
+      expect(
+        await factory.operatedInstanceCount(externalUser.address)
+      ).to.equal(0);
+    });
+
+    it("Should stop listing instances whose operator role was renounced", async () => {
+      await factory
+        .connect(collectionDeployer)
+        .renounceRole(
+          await factory.OPERATOR_ROLE(instances[0]),
+          collectionDeployer.address
+        );
+
+      expect(
+        await factory.operatedInstanceCount(collectionDeployer.address)
+      ).to.equal(2);
+      expect(
+        await factory.instancesOperatedBy(collectionDeployer.address, 0, 10)
+      ).not.to.include(instances[0]);
+    });
+  });
+
+  describe("Upgradeable instances", () => {
+    const DEPLOY_SIGNATURE =
+      "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+    const templateName = "MockTemplate";
+    const templateVersion = 1_00_00;
+
+    let implementation;
+    let newerImplementation;
+
+    async function deployUpgradeable(salt = ZERO_SALT) {
+      const request = {
+        templateName,
+        templateVersion,
+        initdata: initData,
+        salt,
+        upgradeable: true,
+        nonce: await factory.nonces(collectionDeployer.address),
+        deadline: await signatureDeadline(),
+      };
+      const signature = await signDeployRequest(
+        factorySigner,
+        {
+          address: factory.address,
+          chainId: (await ethers.provider.getNetwork()).chainId,
+        },
+        collectionDeployer.address,
+        request
+      );
+
+      const receipt = await (
+        await factory
+          .connect(collectionDeployer)
+          [DEPLOY_SIGNATURE](request, signature)
+      ).wait();
+      const { destination } = receipt.events.find(
+        (e) => e.event === "TemplateDeployed"
+      ).args;
+
+      return template.attach(destination);
+    }
+
+    async function getBeacon() {
+      return ethers.getContractAt(
+        "TemplateBeacon",
+        await factory.templateBeacons(templateName)
+      );
+    }
+
+    beforeEach(async () => {
+      implementation = await deployMockImplementation(
+        templateName,
+        templateVersion
+      );
+      newerImplementation = await deployMockImplementation(
+        templateName,
+        templateVersion + 1
+      );
+      await factory.registerTemplate(implementation.address);
+      await factory.registerTemplate(newerImplementation.address);
+
+      instance = await deployUpgradeable();
+    });
+
+    it("Should pin the instance to the deployed version", async () => {
+      const beacon = await getBeacon();
+
+      expect(await beacon.implementationOf(instance.address)).to.equal(
+        implementation.address
+      );
+
+      const info = await factory.instanceInfo(instance.address);
+      expect(info.templateVersion).to.equal(templateVersion);
+      expect(info.upgradeable).to.be.true;
+    });
+
+    it("Should delegate calls to the implementation", async () => {
+      await instance.setVersion(42);
+
+      expect(await instance.VERSION()).to.equal(42);
+    });
+
+    it("Should share a beacon between instances of a template", async () => {
+      const beacon = await factory.templateBeacons(templateName);
+
+      await deployUpgradeable();
+
+      expect(await factory.templateBeacons(templateName)).to.equal(beacon);
+    });
+
+    it("Should not mark clones as upgradeable", async () => {
+      const clone = await deployTemplate();
+
+      expect((await factory.instanceInfo(clone.address)).upgradeable).to.be
+        .false;
+    });
+
+    it("Should deploy to the predicted address if a salt is provided", async () => {
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const predicted = await factory.predictUpgradeableInstanceAddress(
+        templateName,
+        collectionDeployer.address,
+        salt
+      );
+
+      expect((await deployUpgradeable(salt)).address).to.equal(predicted);
+    });
+
+    it("Should predict addresses before the beacon is deployed", async () => {
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const otherTemplate = await deployMockImplementation(
+        "MockUpgradeable",
+        templateVersion
+      );
+      await factory.registerTemplate(otherTemplate.address);
+      const predicted = await factory.predictUpgradeableInstanceAddress(
+        "MockUpgradeable",
+        collectionDeployer.address,
+        salt
+      );
+
+      const request = {
+        templateName: "MockUpgradeable",
+        templateVersion,
+        initdata: initData,
+        salt,
+        upgradeable: true,
+        nonce: await factory.nonces(collectionDeployer.address),
+        deadline: await signatureDeadline(),
+      };
+      const signature = await signDeployRequest(
+        factorySigner,
+        {
+          address: factory.address,
+          chainId: (await ethers.provider.getNetwork()).chainId,
+        },
+        collectionDeployer.address,
+        request
+      );
+
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          [DEPLOY_SIGNATURE](request, signature)
+      )
+        .to.emit(factory, "TemplateDeployed")
+        .withArgs("MockUpgradeable", templateVersion, predicted);
+    });
+
+    it("Should let operators upgrade the instance", async () => {
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          .upgradeInstance(instance.address, templateVersion + 1)
+      )
+        .to.emit(factory, "InstanceUpgraded")
+        .withArgs(instance.address, templateVersion + 1);
+
+      const beacon = await getBeacon();
+      expect(await beacon.implementationOf(instance.address)).to.equal(
+        newerImplementation.address
+      );
+      expect(
+        (await factory.instanceInfo(instance.address)).templateVersion
+      ).to.equal(templateVersion + 1);
+    });
+
+    it("Should let the instance owner upgrade the instance", async () => {
+      await instance.setOwner(externalUser.address);
+
+      await expect(
+        factory
+          .connect(externalUser)
+          .upgradeInstance(instance.address, templateVersion + 1)
+      ).to.emit(factory, "InstanceUpgraded");
+    });
+
+    it("Should not let anyone else upgrade the instance", async () => {
+      await expect(
+        factory
+          .connect(externalUser)
+          .upgradeInstance(instance.address, templateVersion + 1)
+      ).to.be.revertedWith("Access denied");
+    });
+
+    it("Should keep instance storage when upgraded", async () => {
+      await instance.setVersion(42);
+
+      await factory
+        .connect(collectionDeployer)
+        .upgradeInstance(instance.address, templateVersion + 1);
+
+      expect(await instance.VERSION()).to.equal(42);
+    });
+
+    it("Should not upgrade other instances", async () => {
+      const otherInstance = await deployUpgradeable();
+
+      await factory
+        .connect(collectionDeployer)
+        .upgradeInstance(instance.address, templateVersion + 1);
+
+      const beacon = await getBeacon();
+      expect(await beacon.implementationOf(otherInstance.address)).to.equal(
+        implementation.address
+      );
+    });
+
+    it("Should only upgrade to newer versions", async () => {
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          .upgradeInstance(instance.address, templateVersion)
+      ).to.be.revertedWith("Version must be newer");
+    });
+
+    it("Should not upgrade to missing or disabled versions", async () => {
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          .upgradeInstance(instance.address, templateVersion + 2)
+      ).to.be.revertedWith("Missing implementation");
+
+      await factory.setTemplateStatus(templateName, templateVersion + 1, 2);
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          .upgradeInstance(instance.address, templateVersion + 1)
+      ).to.be.revertedWith("Template version disabled");
+    });
+
+    it("Should not upgrade clones", async () => {
+      const clone = await deployTemplate();
+
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          .upgradeInstance(clone.address, templateVersion + 1)
+      ).to.be.revertedWith("Instance not upgradeable");
+    });
+
+    it("Should only let the Factory manage the beacon", async () => {
+      const beacon = await getBeacon();
+
+      await expect(
+        beacon
+          .connect(collectionDeployer)
+          .setImplementation(instance.address, newerImplementation.address)
+      ).to.be.revertedWith("Access denied");
+    });
+  });
+
+  describe("Contract calls", () => {
+    let calldata;
+    let callFee;
+
+    beforeEach(async () => {
+      callFee = ethers.BigNumber.from(`${random(1000000)}`);
+      await factory.setCallFee(callFee);
+      instance = await deployTemplate();
+      calldata = (await instance.populateTransaction.setName("MockTemplate"))
+        .data;
+    });
+
+    describe("Unsigned requests", () => {
+      it("Should succeed if called by the contract operator", async () => {
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            ["call(address,bytes)"](instance.address, calldata, {
+              value: callFee,
+            })
+        ).not.to.be.reverted;
+      });
+
+      it("Should fail if the fee is not sufficient", async () => {
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            ["call(address,bytes)"](instance.address, calldata, {
+              value: callFee.sub(1),
+            })
+        ).to.be.revertedWith("Insufficient payment");
+      });
+
+      it("Should fail if called by non-operators", async () => {
+        const nonOperators = signers.filter(
+          (s) => s.address !== collectionDeployer.address
+        );
+
+        for (const caller of nonOperators) {
+          await expect(
+            factory
+              .connect(caller)
+              ["call(address,bytes)"](instance.address, calldata, {
+                value: callFee,
+              })
+          ).to.be.revertedWith("Access denied");
+        }
+      });
+
+      it("Should fail if the contract is not whitelisted", async () => {
+        await factory.setWhitelisted(instance.address, false);
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            ["call(address,bytes)"](instance.address, calldata, {
+              value: callFee,
+            })
         ).to.be.revertedWith("Contract not whitelisted");
       });
     });
@@ -843,6 +1670,505 @@ describe("Factory", () => {
         ).to.be.revertedWith("Contract not whitelisted");
       });
     });
+
+    describe("Typed signed requests", () => {
+      let request;
+      let factoryDomain;
+
+      const CALL_SIGNATURE = "call((address,bytes,uint256,uint256),bytes)";
+
+      beforeEach(async () => {
+        factoryDomain = {
+          address: factory.address,
+          chainId: (await ethers.provider.getNetwork()).chainId,
+        };
+        request = {
+          instance: instance.address,
+          data: calldata,
+          nonce: await factory.nonces(collectionDeployer.address),
+          deadline: await signatureDeadline(),
+        };
+      });
+
+      it("Should succeed if a valid signature is provided", async () => {
+        const signature = await signCallRequest(
+          factorySigner,
+          factoryDomain,
+          collectionDeployer.address,
+          request
+        );
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            [CALL_SIGNATURE](request, signature)
+        ).not.to.be.reverted;
+      });
+
+      it("Should fail if an invalid signature is provided", async () => {
+        const signature = await signCallRequest(
+          collectionDeployer,
+          factoryDomain,
+          collectionDeployer.address,
+          request
+        );
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            [CALL_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if the call data doesn't match the signature", async () => {
+        const signature = await signCallRequest(
+          factorySigner,
+          factoryDomain,
+          collectionDeployer.address,
+          request
+        );
+        const otherData = (
+          await instance.populateTransaction.setName("OtherTemplate")
+        ).data;
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            [CALL_SIGNATURE]({ ...request, data: otherData }, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if a legacy signature is provided", async () => {
+        const signature = await sign(
+          ["address", "address", "bytes"],
+          [collectionDeployer.address, instance.address, calldata]
+        );
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            [CALL_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Signer not recognized");
+      });
+
+      it("Should fail if called by non-operators", async () => {
+        const signature = await signCallRequest(
+          factorySigner,
+          factoryDomain,
+          externalUser.address,
+          request
+        );
+
+        await expect(
+          factory.connect(externalUser)[CALL_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Access denied");
+      });
+
+      it("Should fail if the contract is not whitelisted", async () => {
+        await factory.setWhitelisted(instance.address, false);
+
+        const signature = await signCallRequest(
+          factorySigner,
+          factoryDomain,
+          collectionDeployer.address,
+          request
+        );
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            [CALL_SIGNATURE](request, signature)
+        ).to.be.revertedWith("Contract not whitelisted");
+      });
+    });
+  });
+
+  describe("Batched calls", () => {
+    let instances;
+    let factoryDomain;
+
+    const MULTICALL_SIGNATURE =
+      "multicall(((address,bytes)[],uint256,uint256),bytes)";
+
+    async function batch(transactions) {
+      return multicallRequest(
+        await Promise.all(transactions),
+        await factory.nonces(collectionDeployer.address),
+        await signatureDeadline()
+      );
+    }
+
+    async function signedMulticall(request, caller = collectionDeployer) {
+      const signature = await signMulticallRequest(
+        factorySigner,
+        factoryDomain,
+        caller.address,
+        request
+      );
+
+      return factory.connect(caller)[MULTICALL_SIGNATURE](request, signature);
+    }
+
+    beforeEach(async () => {
+      instances = [await deployTemplate(), await deployTemplate()];
+      factoryDomain = {
+        address: factory.address,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+      };
+    });
+
+    it("Should execute all calls in order", async () => {
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+        instances[1].populateTransaction.setName("Second"),
+        instances[0].populateTransaction.setVersion(1_01_00),
+      ]);
+
+      await expect(signedMulticall(request)).not.to.be.reverted;
+
+      expect(await instances[0].NAME()).to.equal("First");
+      expect(await instances[1].NAME()).to.equal("Second");
+      expect(await instances[0].VERSION()).to.equal(1_01_00);
+    });
+
+    it("Should return the results of all calls", async () => {
+      const request = await batch([
+        instances[0].populateTransaction.VERSION(),
+        instances[1].populateTransaction.NAME(),
+      ]);
+      const signature = await signMulticallRequest(
+        factorySigner,
+        factoryDomain,
+        collectionDeployer.address,
+        request
+      );
+
+      const results = await factory
+        .connect(collectionDeployer)
+        .callStatic[MULTICALL_SIGNATURE](request, signature);
+
+      expect(
+        instances[0].interface.decodeFunctionResult("VERSION", results[0])[0]
+      ).to.equal(await instances[0].VERSION());
+      expect(
+        instances[1].interface.decodeFunctionResult("NAME", results[1])[0]
+      ).to.equal(await instances[1].NAME());
+    });
+
+    it("Should revert all calls if one of them fails", async () => {
+      const nameBefore = await instances[0].NAME();
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+        instances[1].populateTransaction.initialize(),
+      ]);
+
+      await expect(signedMulticall(request)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+      expect(await instances[0].NAME()).to.equal(nameBefore);
+    });
+
+    it("Should fail if the caller is not an operator of every instance", async () => {
+      await factory
+        .connect(collectionDeployer)
+        .setOperator(instances[0].address, externalUser.address, true);
+
+      const request = multicallRequest(
+        [
+          await instances[0].populateTransaction.setName("First"),
+          await instances[1].populateTransaction.setName("Second"),
+        ],
+        await factory.nonces(externalUser.address),
+        await signatureDeadline()
+      );
+
+      await expect(signedMulticall(request, externalUser)).to.be.revertedWith(
+        "Access denied"
+      );
+    });
+
+    it("Should fail if one of the contracts is not whitelisted", async () => {
+      await factory.setWhitelisted(instances[1].address, false);
+
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+        instances[1].populateTransaction.setName("Second"),
+      ]);
+
+      await expect(signedMulticall(request)).to.be.revertedWith(
+        "Contract not whitelisted"
+      );
+    });
+
+    it("Should fail if the batch doesn't match the signature", async () => {
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+      ]);
+      const signature = await signMulticallRequest(
+        factorySigner,
+        factoryDomain,
+        collectionDeployer.address,
+        request
+      );
+      const alteredRequest = await batch([
+        instances[0].populateTransaction.setName("First"),
+        instances[1].populateTransaction.setName("Second"),
+      ]);
+
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          [MULTICALL_SIGNATURE](alteredRequest, signature)
+      ).to.be.revertedWith("Signer not recognized");
+    });
+
+    it("Should fail if an invalid signature is provided", async () => {
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+      ]);
+      const signature = await signMulticallRequest(
+        externalUser,
+        factoryDomain,
+        collectionDeployer.address,
+        request
+      );
+
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          [MULTICALL_SIGNATURE](request, signature)
+      ).to.be.revertedWith("Signer not recognized");
+    });
+
+    it("Should fail if the signature is replayed", async () => {
+      const request = await batch([
+        instances[0].populateTransaction.setName("First"),
+      ]);
+      const signature = await signMulticallRequest(
+        factorySigner,
+        factoryDomain,
+        collectionDeployer.address,
+        request
+      );
+
+      await factory
+        .connect(collectionDeployer)
+        [MULTICALL_SIGNATURE](request, signature);
+
+      await expect(
+        factory
+          .connect(collectionDeployer)
+          [MULTICALL_SIGNATURE](request, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should fail if the batch is empty", async () => {
+      await expect(signedMulticall(await batch([]))).to.be.revertedWith(
+        "No calls"
+      );
+    });
+  });
+
+  describe("Replay protection", () => {
+    let calldata;
+    let factoryDomain;
+
+    const CALL_SIGNATURE = "call((address,bytes,uint256,uint256),bytes)";
+    const DEPLOY_SIGNATURE =
+      "deploy((string,uint256,bytes,bytes32,bool,uint256,uint256),bytes)";
+
+    async function callRequest(overrides = {}) {
+      return {
+        instance: instance.address,
+        data: calldata,
+        nonce: await factory.nonces(collectionDeployer.address),
+        deadline: await signatureDeadline(),
+        ...overrides,
+      };
+    }
+
+    async function signedCall(request, domain = factoryDomain) {
+      const signature = await signCallRequest(
+        factorySigner,
+        domain,
+        collectionDeployer.address,
+        request
+      );
+
+      return factory
+        .connect(collectionDeployer)
+        [CALL_SIGNATURE](request, signature);
+    }
+
+    beforeEach(async () => {
+      instance = await deployTemplate();
+      calldata = (await instance.populateTransaction.setName("MockTemplate"))
+        .data;
+      factoryDomain = {
+        address: factory.address,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+      };
+    });
+
+    it("Should start caller nonces at 0", async () => {
+      expect(await factory.nonces(externalUser.address)).to.equal(0);
+    });
+
+    it("Should increment the caller nonce when a signature is used", async () => {
+      await signedCall(await callRequest());
+
+      expect(await factory.nonces(collectionDeployer.address)).to.equal(1);
+      expect(await factory.nonces(externalUser.address)).to.equal(0);
+    });
+
+    it("Should fail if a call signature is replayed", async () => {
+      const request = await callRequest();
+      const signature = await signCallRequest(
+        factorySigner,
+        factoryDomain,
+        collectionDeployer.address,
+        request
+      );
+
+      await factory
+        .connect(collectionDeployer)
+        [CALL_SIGNATURE](request, signature);
+
+      await expect(
+        factory.connect(collectionDeployer)[CALL_SIGNATURE](request, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should fail if a deployment signature is replayed", async () => {
+      const request = {
+        templateName: "MockTemplate",
+        templateVersion: await template.VERSION(),
+        initdata: initData,
+        salt: ZERO_SALT,
+        upgradeable: false,
+        nonce: await factory.nonces(externalUser.address),
+        deadline: await signatureDeadline(),
+      };
+      const signature = await signDeployRequest(
+        factorySigner,
+        factoryDomain,
+        externalUser.address,
+        request
+      );
+
+      await factory.connect(externalUser)[DEPLOY_SIGNATURE](request, signature);
+
+      await expect(
+        factory.connect(externalUser)[DEPLOY_SIGNATURE](request, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should share the nonce between deployments and calls", async () => {
+      const deployRequest = {
+        templateName: "MockTemplate",
+        templateVersion: await template.VERSION(),
+        initdata: initData,
+        salt: ZERO_SALT,
+        upgradeable: false,
+        nonce: 0,
+        deadline: await signatureDeadline(),
+      };
+      const signature = await signDeployRequest(
+        factorySigner,
+        factoryDomain,
+        collectionDeployer.address,
+        deployRequest
+      );
+      await factory
+        .connect(collectionDeployer)
+        [DEPLOY_SIGNATURE](deployRequest, signature);
+
+      await expect(
+        signedCall(await callRequest({ nonce: 0 }))
+      ).to.be.revertedWith("Invalid nonce");
+      await expect(signedCall(await callRequest({ nonce: 1 }))).not.to.be
+        .reverted;
+    });
+
+    it("Should fail if the nonce is not the current one", async () => {
+      await expect(
+        signedCall(await callRequest({ nonce: 1 }))
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should fail if the signature has expired", async () => {
+      const request = await callRequest({
+        deadline: await signatureDeadline(60),
+      });
+
+      await ethers.provider.send("evm_increaseTime", [61]);
+
+      await expect(signedCall(request)).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should fail if a signature is replayed on another chain", async () => {
+      // A signature used on another chain with the same Factory address and signer
+      const request = await callRequest();
+      const otherChainDomain = {
+        ...factoryDomain,
+        chainId: factoryDomain.chainId + 1,
+      };
+
+      await expect(signedCall(request, otherChainDomain)).to.be.revertedWith(
+        "Signer not recognized"
+      );
+    });
+
+    it("Should bind the domain separator to the current chain", async () => {
+      expect(await factory.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain(
+          domain(factory.address, factoryDomain.chainId)
+        )
+      );
+    });
+
+    describe("Legacy signatures", () => {
+      let signature;
+
+      beforeEach(async () => {
+        signature = await sign(
+          ["address", "address", "bytes"],
+          [collectionDeployer.address, instance.address, calldata]
+        );
+      });
+
+      it("Should be accepted by default", async () => {
+        expect(await factory.legacySignaturesDisabled()).to.be.false;
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            ["call(address,bytes,bytes)"](instance.address, calldata, signature)
+        ).not.to.be.reverted;
+      });
+
+      it("Should be rejected once disabled", async () => {
+        await factory.setLegacySignaturesDisabled(true);
+
+        await expect(
+          factory
+            .connect(collectionDeployer)
+            ["call(address,bytes,bytes)"](instance.address, calldata, signature)
+        ).to.be.revertedWith("Legacy signatures disabled");
+      });
+
+      it("Should not affect typed data signatures when disabled", async () => {
+        await factory.setLegacySignaturesDisabled(true);
+
+        await expect(signedCall(await callRequest())).not.to.be.reverted;
+      });
+
+      it("Should only be disabled by admins", async () => {
+        await expect(
+          factory.connect(externalUser).setLegacySignaturesDisabled(true)
+        ).to.be.revertedWith("AccessControl: account 0x");
+      });
+    });
   });
 
   describe("Admin role", () => {
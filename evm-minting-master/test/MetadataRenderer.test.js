@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { signers, decodeDataURI, deploy, deployInstance } = require("./utils");
+const {
+  deploymentDefaults,
+  runtimeDefaults,
+  dropDefaults,
+  mint,
+} = require("./NFTCollection.utils");
+
+describe("MetadataRenderer", () => {
+  const metadata = {
+    name: "Collection",
+    description: "On-chain collection",
+    image: "https://example.com/images/{id}.png",
+  };
+
+  let renderer;
+  let collection;
+
+  beforeEach(async () => {
+    const { owner } = await signers();
+
+    [collection] = await deployInstance(
+      "NFTCollection",
+      { ...deploymentDefaults, owner: owner.address },
+      { ...runtimeDefaults, publicMintStart: 0 },
+      dropDefaults
+    );
+    renderer = (await deploy("MetadataRenderer")).connect(owner);
+
+    await collection.connect(owner).setMetadataRenderer(renderer.address);
+    await mint(collection, 3);
+  });
+
+  it("Should render the metadata of collection tokens", async () => {
+    await renderer.setMetadata(collection.address, metadata);
+    await renderer.setAttributes(collection.address, 2, [
+      { traitType: "Background", value: "Blue" },
+      { traitType: "Eyes", value: "Laser" },
+    ]);
+
+    expect(decodeDataURI(await collection.tokenURI(2))).to.deep.equal({
+      name: "Collection #2",
+      description: "On-chain collection",
+      image: "https://example.com/images/2.png",
+      attributes: [
+        { trait_type: "Background", value: "Blue" },
+        { trait_type: "Eyes", value: "Laser" },
+      ],
+    });
+    expect(
+      decodeDataURI(await collection.tokenURI(1)).attributes
+    ).to.deep.equal([]);
+  });
+
+  it("Should replace every {id} in the image template", async () => {
+    await renderer.setMetadata(collection.address, {
+      ...metadata,
+      image: "data:image/svg+xml,<svg id='{id}'><text>{id}</text></svg>",
+    });
+
+    expect(decodeDataURI(await collection.tokenURI(1)).image).to.equal(
+      "data:image/svg+xml,<svg id='1'><text>1</text></svg>"
+    );
+  });
+
+  it("Should escape strings in the JSON", async () => {
+    const description = 'Line "one"\nC:\\path\ttab';
+    await renderer.setMetadata(collection.address, {
+      ...metadata,
+      description,
+    });
+    await renderer.setAttributes(collection.address, 0, [
+      { traitType: 'Quote "', value: "\\" },
+    ]);
+
+    const json = decodeDataURI(await collection.tokenURI(0));
+    expect(json.description).to.equal(description);
+    expect(json.attributes).to.deep.equal([
+      { trait_type: 'Quote "', value: "\\" },
+    ]);
+  });
+
+  it("Should replace token attributes", async () => {
+    await renderer.setAttributes(collection.address, 0, [
+      { traitType: "Background", value: "Blue" },
+      { traitType: "Eyes", value: "Laser" },
+    ]);
+    await renderer.setAttributes(collection.address, 0, [
+      { traitType: "Background", value: "Red" },
+    ]);
+
+    const attributes = await renderer.tokenAttributes(collection.address, 0);
+    expect(attributes.map(({ value }) => value)).to.deep.equal(["Red"]);
+  });
+
+  it("Should emit events on updates", async () => {
+    await expect(renderer.setMetadata(collection.address, metadata))
+      .to.emit(renderer, "MetadataUpdated")
+      .withArgs(collection.address);
+    await expect(renderer.setAttributes(collection.address, 1, []))
+      .to.emit(renderer, "AttributesUpdated")
+      .withArgs(collection.address, 1);
+  });
+
+  it("Should have the collection emit ERC-4906 events on updates", async () => {
+    await expect(renderer.setMetadata(collection.address, metadata))
+      .to.emit(collection, "BatchMetadataUpdate")
+      .withArgs(0, ethers.constants.MaxUint256);
+    await expect(renderer.setAttributes(collection.address, 1, []))
+      .to.emit(collection, "MetadataUpdate")
+      .withArgs(1);
+  });
+
+  it("Should not refresh collections using another renderer", async () => {
+    const { owner } = await signers();
+    await collection
+      .connect(owner)
+      .setMetadataRenderer(ethers.constants.AddressZero);
+
+    await expect(
+      renderer.setMetadata(collection.address, metadata)
+    ).not.to.emit(collection, "BatchMetadataUpdate");
+    await expect(
+      collection.connect(owner).refreshRenderedMetadata(0)
+    ).to.be.revertedWith("Not the renderer");
+  });
+
+  it("Should only be updated by collection admins", async () => {
+    const { external } = await signers();
+
+    await expect(
+      renderer.connect(external).setMetadata(collection.address, metadata)
+    ).to.be.revertedWith("Not a collection admin");
+    await expect(
+      renderer.connect(external).setAttributes(collection.address, 0, [])
+    ).to.be.revertedWith("Not a collection admin");
+  });
+
+  it("Should not be updated once the collection metadata is frozen", async () => {
+    const { owner } = await signers();
+    const info = await collection.getInfo();
+    await collection
+      .connect(owner)
+      .updateConfig({ ...info.runtimeConfig, metadataUpdatable: false });
+
+    await expect(
+      renderer.setMetadata(collection.address, metadata)
+    ).to.be.revertedWith("Metadata is frozen");
+    await expect(
+      renderer.setAttributes(collection.address, 0, [])
+    ).to.be.revertedWith("Metadata is frozen");
+  });
+
+  it("Should keep the metadata of collections separate", async () => {
+    const other = ethers.Wallet.createRandom().address;
+
+    await renderer.setMetadata(collection.address, metadata);
+
+    expect(
+      decodeDataURI(await renderer.collectionTokenURI(other, 0)).name
+    ).to.equal(" #0");
+    expect(
+      decodeDataURI(await renderer.collectionTokenURI(collection.address, 0))
+        .name
+    ).to.equal("Collection #0");
+  });
+});
@@ -7,6 +7,7 @@ const {
   xitSlow,
   itSlow,
   random,
+  decodeDataURI,
   signers,
   deploy,
   deployInstance,
@@ -16,12 +17,16 @@ const {
   mint,
   deploymentDefaults,
   runtimeDefaults,
+  dropDefaults,
 } = require("./NFTCollection.utils");
+const { buildAllowlist } = require("../scripts/allowlist");
+const { signMintVoucher } = require("../sdk/signing");
 
 describe("NFTCollection", () => {
   let collection;
   let deploymentConfig;
   let runtimeConfig;
+  let dropConfig;
 
   async function updateConfig(newConfig) {
     const { owner } = await signers();
@@ -91,11 +96,13 @@ describe("NFTCollection", () => {
 
     deploymentConfig = { ...deploymentDefaults, owner: owner.address };
     runtimeConfig = { ...runtimeDefaults };
+    dropConfig = { ...dropDefaults };
 
     [collection] = await deployInstance(
       "NFTCollection",
       deploymentConfig,
-      runtimeConfig
+      runtimeConfig,
+      dropConfig
     );
 
     await collection
@@ -118,7 +125,8 @@ describe("NFTCollection", () => {
             ...deploymentConfig,
             owner: deployer.address,
           },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Cannot be initialized");
     });
@@ -127,7 +135,12 @@ describe("NFTCollection", () => {
   describe("Deployment", () => {
     it("Should succeed with a valid configuration", async function () {
       await expect(
-        deployInstance("NFTCollection", deploymentConfig, runtimeConfig)
+        deployInstance(
+          "NFTCollection",
+          deploymentConfig,
+          runtimeConfig,
+          dropConfig
+        )
       ).not.to.be.reverted;
     });
 
@@ -137,7 +150,12 @@ describe("NFTCollection", () => {
         delete invalidConfig[key];
 
         await expect(() =>
-          deployInstance("NFTCollection", invalidConfig, runtimeConfig)
+          deployInstance(
+            "NFTCollection",
+            invalidConfig,
+            runtimeConfig,
+            dropConfig
+          )
         ).to.throw;
       }
 
@@ -146,7 +164,12 @@ describe("NFTCollection", () => {
         delete invalidConfig[key];
 
         await expect(() =>
-          deployInstance("NFTCollection", deploymentConfig, invalidConfig)
+          deployInstance(
+            "NFTCollection",
+            deploymentConfig,
+            invalidConfig,
+            dropConfig
+          )
         ).to.throw;
       }
     });
@@ -156,14 +179,16 @@ describe("NFTCollection", () => {
         deployInstance(
           "NFTCollection",
           { ...deploymentConfig, maxSupply: 0 },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Maximum supply must be non-zero");
       await expect(
         deployInstance(
           "NFTCollection",
           { ...deploymentConfig, maxSupply: -1 },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.reverted;
     });
@@ -177,7 +202,8 @@ describe("NFTCollection", () => {
             maxSupply: 100,
             reservedSupply: 100 + random(10),
           },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Reserve greater than supply");
     });
@@ -187,14 +213,16 @@ describe("NFTCollection", () => {
         deployInstance(
           "NFTCollection",
           { ...deploymentConfig, tokensPerMint: 0 },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Tokens per mint must be non-zero");
       await expect(
         deployInstance(
           "NFTCollection",
           { ...deploymentConfig, tokensPerMint: -1 },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.reverted;
     });
@@ -207,7 +235,8 @@ describe("NFTCollection", () => {
             ...deploymentConfig,
             treasuryAddress: "0x0000000000000000000000000000000000000000",
           },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Treasury address cannot be null");
     });
@@ -220,7 +249,8 @@ describe("NFTCollection", () => {
             ...deploymentConfig,
             owner: "0x0000000000000000000000000000000000000000",
           },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.revertedWith("Contract must have an owner");
     });
@@ -230,7 +260,8 @@ describe("NFTCollection", () => {
       const [contract, deploymentTxn] = await deployInstance(
         "NFTCollection",
         deploymentConfig,
-        runtimeConfig
+        runtimeConfig,
+        dropConfig
       );
 
       await expect(deploymentTxn)
@@ -260,7 +291,8 @@ describe("NFTCollection", () => {
       await expect(
         collection.initialize(
           { owner: owner.address, ...deploymentConfig },
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         )
       ).to.be.reverted;
     });
@@ -415,8 +447,8 @@ describe("NFTCollection", () => {
       await expect(collection.VERSION()).not.to.be.reverted;
     });
 
-    it("Should be set to 1_04_00", async () => {
-      expect(await collection.VERSION()).to.equal(1_04_00);
+    it("Should be set to 1_05_00", async () => {
+      expect(await collection.VERSION()).to.equal(1_05_00);
     });
   });
 
@@ -492,10 +524,67 @@ describe("NFTCollection", () => {
   });
 
   describe("Contract metadata", () => {
+    const metadata = {
+      name: 'Collection "One"',
+      description: "Line one\nLine two\twith \\ backslash and ünïcode",
+      image: "ipfs://image.png",
+      externalLink: "https://example.com",
+      uri: "",
+    };
+
+    async function setContractMetadata(newMetadata) {
+      const { owner } = await signers();
+      return collection.connect(owner).setContractMetadata(newMetadata);
+    }
+
     it("Should be public", async () => {
       await expect(collection.contractURI()).not.to.be.reverted;
     });
 
+    it("Should include the collection details", async () => {
+      await setContractMetadata(metadata);
+
+      expect(decodeDataURI(await collection.contractURI())).to.deep.include({
+        name: metadata.name,
+        description: metadata.description,
+        image: metadata.image,
+        external_link: metadata.externalLink,
+      });
+    });
+
+    it("Should leave out empty collection details", async () => {
+      await setContractMetadata({
+        ...metadata,
+        description: "",
+        externalLink: "",
+      });
+
+      const json = decodeDataURI(await collection.contractURI());
+      expect(json).to.include.keys("name", "image", "seller_fee_basis_points");
+      expect(json).not.to.have.any.keys("description", "external_link");
+    });
+
+    it("Should return the URI override if set", async () => {
+      const uri = "ipfs://contract-metadata.json";
+
+      await setContractMetadata({ ...metadata, uri });
+
+      expect(await collection.contractURI()).to.equal(uri);
+    });
+
+    it("Should emit ContractURIUpdated on updates", async () => {
+      await expect(setContractMetadata(metadata)).to.emit(
+        collection,
+        "ContractURIUpdated"
+      );
+    });
+
+    it("Should only be updatable by admin roles", async () => {
+      await expect(collection.setContractMetadata(metadata)).to.be.revertedWith(
+        "AccessControl: account 0x"
+      );
+    });
+
     it("Should return a base64-encoded JSON object", async () => {
       const contractURI = await collection.contractURI();
       const encodedData = Buffer.from(
@@ -646,11 +735,32 @@ describe("NFTCollection", () => {
           updateConfig({ baseURI: `ipfs://${random(100000000)}/` })
         ).to.be.revertedWith("Metadata is frozen");
       });
+
+      it("Should emit an ERC-4906 batch metadata update when changed", async () => {
+        await expect(updateConfig({ baseURI: `ipfs://${random(100000000)}/` }))
+          .to.emit(collection, "BatchMetadataUpdate")
+          .withArgs(0, ethers.constants.MaxUint256);
+      });
+
+      it("Should not emit a metadata update when unchanged", async () => {
+        await expect(updateConfig({})).not.to.emit(
+          collection,
+          "BatchMetadataUpdate"
+        );
+      });
     });
 
     describeVariable("prerevealTokenURI", (it) => {
       it.isRuntimeConfiguration();
       it.isUpdatableTo(`ipfs://${random(100000000)}`);
+
+      it("Should emit an ERC-4906 batch metadata update when changed", async () => {
+        await expect(
+          updateConfig({ prerevealTokenURI: `ipfs://${random(100000000)}` })
+        )
+          .to.emit(collection, "BatchMetadataUpdate")
+          .withArgs(0, ethers.constants.MaxUint256);
+      });
     });
 
     describeVariable("presaleMintStart", (it) => {
@@ -726,7 +836,8 @@ describe("NFTCollection", () => {
       [collection] = await deployInstance(
         "NFTCollection",
         { ...deploymentConfig, maxSupply, reservedSupply },
-        runtimeConfig
+        runtimeConfig,
+        dropConfig
       );
 
       expect(await collection.availableSupply()).to.equal(
@@ -748,7 +859,8 @@ describe("NFTCollection", () => {
           maxSupply: reservedSupply + random(1000),
           reservedSupply,
         },
-        runtimeConfig
+        runtimeConfig,
+        dropConfig
       );
 
       expect(await collection.reserveRemaining()).to.equal(reservedSupply);
@@ -786,7 +898,8 @@ describe("NFTCollection", () => {
         [collection] = await deployInstance(
           "NFTCollection",
           deploymentConfig,
-          runtimeConfig
+          runtimeConfig,
+          dropConfig
         );
 
         for (const signer of [...whitelistedSigners, ...regularSigners]) {
@@ -1069,169 +1182,1580 @@ describe("NFTCollection", () => {
     });
   });
 
-  describe("Public sale", () => {
-    describe("State", () => {
-      it("Should be exposed", async () => {
-        await expect(collection.mintingActive()).not.to.be.reverted;
+  describe("Presale allocations", () => {
+    const pricedMint = ethers.utils.parseEther("0.01");
+    let allowlist;
+
+    // `presaleMintAllocation` arguments of the wallet
+    function allocationOf(signer) {
+      const { allocation, price, proof } = allowlist.proofs[signer.address];
+      return [allocation, price, proof];
+    }
+
+    beforeEach(async () => {
+      const { owner, user } = await signers();
+      allowlist = buildAllowlist([
+        { wallet: user.address, allocation: "5" },
+        { wallet: owner.address, allocation: "3", price: pricedMint },
+      ]);
+
+      await updateConfig({
+        presaleMerkleRoot: allowlist.root,
+        presaleMintStart: 0,
       });
+    });
 
-      it("Should return true if the sale has started", async () => {
-        await updateConfig({
-          publicMintStart: 0,
+    it("Should return the remaining allocation", async () => {
+      const { user } = await signers();
+
+      expect(
+        await collection.presaleAllocationRemaining(
+          user.address,
+          ...allocationOf(user)
+        )
+      ).to.equal(5);
+    });
+
+    it("Should fail for wallets that are not whitelisted", async () => {
+      const { external, user } = await signers();
+
+      await expect(
+        collection
+          .connect(external)
+          .presaleMintAllocation(1, ...allocationOf(user), {
+            value: runtimeConfig.presaleMintPrice,
+          })
+      ).to.be.revertedWith("Not whitelisted for presale");
+    });
+
+    it("Should allow minting the allocation over several transactions", async () => {
+      const { user } = await signers();
+
+      await collection
+        .connect(user)
+        .presaleMintAllocation(2, ...allocationOf(user), {
+          value: runtimeConfig.presaleMintPrice.mul(2),
+        });
+      await collection
+        .connect(user)
+        .presaleMintAllocation(3, ...allocationOf(user), {
+          value: runtimeConfig.presaleMintPrice.mul(3),
         });
 
-        expect(await collection.mintingActive()).to.be.true;
-      });
+      expect(await collection.balanceOf(user.address)).to.equal(5);
+      expect(await collection.presaleAllocationMinted(user.address)).to.equal(
+        5
+      );
+      expect(
+        await collection.presaleAllocationRemaining(
+          user.address,
+          ...allocationOf(user)
+        )
+      ).to.equal(0);
+    });
 
-      it("Should return false if the sale has not started", async () => {
-        await updateConfig({
-          publicMintStart: Math.floor(Date.now() / 1000) + 60 * 60 * 24,
+    it("Should fail when minting more than the allocation", async () => {
+      const { user } = await signers();
+
+      await expect(
+        collection
+          .connect(user)
+          .presaleMintAllocation(6, ...allocationOf(user), {
+            value: runtimeConfig.presaleMintPrice.mul(6),
+          })
+      ).to.be.revertedWith("Allocation exceeded");
+
+      await collection
+        .connect(user)
+        .presaleMintAllocation(4, ...allocationOf(user), {
+          value: runtimeConfig.presaleMintPrice.mul(4),
         });
+      await expect(
+        collection
+          .connect(user)
+          .presaleMintAllocation(2, ...allocationOf(user), {
+            value: runtimeConfig.presaleMintPrice.mul(2),
+          })
+      ).to.be.revertedWith("Allocation exceeded");
+    });
 
-        expect(await collection.mintingActive()).to.be.false;
+    it("Should fail with a different allocation than in the whitelist", async () => {
+      const { user } = await signers();
+      const [, price, proof] = allocationOf(user);
+
+      await expect(
+        collection.connect(user).presaleMintAllocation(6, 10, price, proof, {
+          value: runtimeConfig.presaleMintPrice.mul(6),
+        })
+      ).to.be.revertedWith("Not whitelisted for presale");
+    });
+
+    it("Should charge the per-wallet price", async () => {
+      const { owner } = await signers();
+
+      await expect(
+        collection
+          .connect(owner)
+          .presaleMintAllocation(2, ...allocationOf(owner), {
+            value: pricedMint.mul(2).sub(1),
+          })
+      ).to.be.revertedWith("Payment too small");
+      await expect(() =>
+        collection
+          .connect(owner)
+          .presaleMintAllocation(2, ...allocationOf(owner), {
+            value: pricedMint.mul(2),
+          })
+      ).to.changeEtherBalance(collection, pricedMint.mul(2));
+    });
+
+    it("Should fail with a different price than in the whitelist", async () => {
+      const { owner } = await signers();
+      const [allocation, , proof] = allocationOf(owner);
+
+      await expect(
+        collection
+          .connect(owner)
+          .presaleMintAllocation(1, allocation, 0, proof, {
+            value: runtimeConfig.presaleMintPrice,
+          })
+      ).to.be.revertedWith("Not whitelisted for presale");
+    });
+
+    it("Should fail when the presale has not started", async () => {
+      const { user } = await signers();
+      await updateConfig({
+        presaleMintStart: Math.floor(Date.now() / 1000) + 60 * 60 * 24,
       });
+
+      await expect(
+        collection
+          .connect(user)
+          .presaleMintAllocation(1, ...allocationOf(user), {
+            value: runtimeConfig.presaleMintPrice,
+          })
+      ).to.be.revertedWith("Presale has not started yet");
+    });
+  });
+
+  describe("Sale phases", () => {
+    let merkleTree;
+    let now;
+
+    function salePhase(overrides = {}) {
+      return {
+        start: now,
+        end: 0,
+        price: 0,
+        merkleRoot: ethers.constants.HashZero,
+        walletLimit: 0,
+        supplyLimit: 0,
+        ...overrides,
+      };
+    }
+
+    async function setSalePhases(phases) {
+      const { owner } = await signers();
+      return collection.connect(owner).setSalePhases(phases);
+    }
+
+    function proof(signer) {
+      return merkleTree.getHexProof(keccak256(signer.address));
+    }
+
+    beforeEach(async () => {
+      const { owner, user } = await signers();
+      merkleTree = new MerkleTree(
+        [owner, user].map((signer) => keccak256(signer.address)),
+        keccak256,
+        { sortPairs: true }
+      );
+      now = (await ethers.provider.getBlock("latest")).timestamp;
     });
 
-    describe("Minting", () => {
-      beforeEach(async () => {
-        await updateConfig({
-          publicMintStart: 0,
-        });
+    describe("Schedule", () => {
+      it("Should not have an active phase by default", async () => {
+        const info = await collection.getInfo();
+
+        expect(info.salePhases).to.deep.equal([]);
+        expect(info.salePhaseActive).to.be.false;
       });
 
-      it("Should succeed when enough ether is sent", async () => {
-        const amount = random(deploymentConfig.tokensPerMint);
+      it("Should expose the active phase", async () => {
+        await setSalePhases([
+          salePhase({ start: now - 100, end: now - 50 }),
+          salePhase({ start: now - 10, price: 1 }),
+          salePhase({ start: now + 1000 }),
+        ]);
+
+        const info = await collection.getInfo();
+        expect(info.salePhases.length).to.equal(3);
+        expect(info.salePhaseActive).to.be.true;
+        expect(info.activeSalePhase).to.equal(1);
+        expect(info.salePhases[1].price).to.equal(1);
+      });
+
+      it("Should end phases at their end or at the start of the next phase", async () => {
+        await setSalePhases([
+          salePhase({ start: now + 10 }),
+          salePhase({ start: now + 20, end: now + 30 }),
+        ]);
+        expect((await collection.activeSalePhase()).active).to.be.false;
+
+        await ethers.provider.send("evm_increaseTime", [10]);
+        await ethers.provider.send("evm_mine", []);
+        expect(await collection.activeSalePhase()).to.deep.equal([
+          true,
+          ethers.BigNumber.from(0),
+        ]);
+
+        await ethers.provider.send("evm_increaseTime", [10]);
+        await ethers.provider.send("evm_mine", []);
+        expect(await collection.activeSalePhase()).to.deep.equal([
+          true,
+          ethers.BigNumber.from(1),
+        ]);
+
+        await ethers.provider.send("evm_increaseTime", [10]);
+        await ethers.provider.send("evm_mine", []);
+        expect((await collection.activeSalePhase()).active).to.be.false;
+      });
+
+      it("Should require phases ordered by their start", async () => {
         await expect(
-          collection.mint(amount, {
-            value: runtimeConfig.publicMintPrice.mul(amount),
-          })
-        ).not.to.be.reverted;
+          setSalePhases([salePhase({ start: now + 10 }), salePhase()])
+        ).to.be.revertedWith("Phases must be ordered");
       });
 
-      it("Should fail when payment does not cover mint costs", async () => {
-        const amount = random(deploymentConfig.tokensPerMint);
+      it("Should require phases ending after their start", async () => {
+        await expect(
+          setSalePhases([salePhase({ end: now })])
+        ).to.be.revertedWith("Phase ends before it starts");
+      });
+
+      it("Should only be updatable by admins", async () => {
+        const { external } = await signers();
 
         await expect(
-          collection.mint(amount, {
-            value: runtimeConfig.publicMintPrice.mul(amount).sub(1),
-          })
-        ).to.be.reverted;
+          collection.connect(external).setSalePhases([salePhase()])
+        ).to.be.revertedWith(
+          `AccessControl: account ${external.address.toLowerCase()} is missing role ${await collection.ADMIN_ROLE()}`
+        );
       });
+    });
 
-      it("Should succeed when minting up to the maximum number of tokens per mint", async () => {
-        for (
-          let amount = 1;
-          amount <= deploymentConfig.tokensPerMint;
-          amount++
-        ) {
-          await expect(
-            collection.mint(amount, {
-              value: runtimeConfig.publicMintPrice.mul(amount),
-            })
-          ).not.to.be.reverted;
-        }
+    describe("Minting", () => {
+      it("Should fail without an active phase", async () => {
+        await setSalePhases([salePhase({ start: now + 1000 })]);
+
+        await expect(collection.salePhaseMint(1, [])).to.be.revertedWith(
+          "No active sale phase"
+        );
       });
 
-      it("Should fail when minting more than the maximum number of tokens per mint", async () => {
-        const amount = deploymentConfig.tokensPerMint + 1;
+      it("Should charge the phase price", async () => {
+        const price = ethers.utils.parseEther("0.02");
+        await setSalePhases([salePhase({ price })]);
 
         await expect(
-          collection.mint(amount, {
-            value: runtimeConfig.publicMintPrice.mul(amount),
-          })
-        ).to.be.reverted;
+          collection.salePhaseMint(2, [], { value: price.mul(2).sub(1) })
+        ).to.be.revertedWith("Payment too small");
+        await expect(() =>
+          collection.salePhaseMint(2, [], { value: price.mul(2) })
+        ).to.changeEtherBalance(collection, price.mul(2));
       });
 
-      itSlow(
-        "Should fail when minting more than the maximum supply",
-        async () => {
-          await mint(collection, deploymentConfig.maxSupply - 1);
+      it("Should only allow whitelisted wallets in phases with a whitelist", async () => {
+        const { user, external } = await signers();
+        await setSalePhases([salePhase({ merkleRoot: merkleTree.getRoot() })]);
 
-          await expect(
-            collection.mint(1, { value: runtimeConfig.publicMintPrice })
-          ).not.to.be.reverted;
-          await expect(
-            collection.mint(1, { value: runtimeConfig.publicMintPrice })
-          ).to.be.reverted;
-        }
-      );
+        await collection.connect(user).salePhaseMint(1, proof(user));
+        await expect(
+          collection.connect(external).salePhaseMint(1, proof(external))
+        ).to.be.revertedWith("Not whitelisted for sale phase");
+        expect(await collection.balanceOf(user.address)).to.equal(1);
+      });
 
-      it("Should fail when minting has not started yet", async () => {
+      it("Should limit the tokens minted per wallet", async () => {
+        const { user, external } = await signers();
+        await setSalePhases([salePhase({ walletLimit: 3 })]);
+
+        await collection.connect(user).salePhaseMint(2, []);
         await expect(
-          collection.mint(1, { value: runtimeConfig.publicMintPrice })
-        ).not.to.be.reverted;
+          collection.connect(user).salePhaseMint(2, [])
+        ).to.be.revertedWith("Wallet limit exceeded");
+        await collection.connect(user).salePhaseMint(1, []);
+        await collection.connect(external).salePhaseMint(3, []);
 
-        await updateConfig({
-          publicMintStart: Math.floor(Date.now() / 1000) + 60 * 60 * 24,
-        });
+        expect(await collection.salePhaseMintedBy(0, user.address)).to.equal(3);
+      });
 
+      it("Should limit the tokens minted in the phase", async () => {
+        const { user, external } = await signers();
+        await setSalePhases([salePhase({ supplyLimit: 5 })]);
+
+        await collection.connect(user).salePhaseMint(3, []);
         await expect(
-          collection.mint(1, { value: runtimeConfig.publicMintPrice })
-        ).to.be.reverted;
+          collection.connect(external).salePhaseMint(3, [])
+        ).to.be.revertedWith("Phase supply exceeded");
+        await collection.connect(external).salePhaseMint(2, []);
+
+        expect(await collection.salePhaseMinted(0)).to.equal(5);
       });
 
-      it("Should send tokens to the minter", async () => {
+      it("Should track limits separately for each phase", async () => {
         const { user } = await signers();
-        const amount = random(deploymentConfig.tokensPerMint);
+        await setSalePhases([
+          salePhase({ walletLimit: 1 }),
+          salePhase({ start: now + 100, walletLimit: 1 }),
+        ]);
 
-        expect(await collection.balanceOf(user.address)).to.equal(0);
-        await collection.mint(amount, {
-          value: runtimeConfig.publicMintPrice.mul(amount),
-        });
-        expect(await collection.balanceOf(user.address)).to.equal(amount);
+        await collection.connect(user).salePhaseMint(1, []);
+        await ethers.provider.send("evm_increaseTime", [100]);
+        await collection.connect(user).salePhaseMint(1, []);
+
+        expect(await collection.balanceOf(user.address)).to.equal(2);
       });
 
-      it("Should increment total supply", async () => {
-        const amount = random(deploymentConfig.tokensPerMint);
+      it("Should start the limits over when the phases are replaced", async () => {
+        const { user } = await signers();
+        await setSalePhases([salePhase({ walletLimit: 2, supplyLimit: 2 })]);
+        await collection.connect(user).salePhaseMint(2, []);
 
-        expect(await collection.totalSupply()).to.equal(0);
-        await collection.mint(amount, {
-          value: runtimeConfig.publicMintPrice.mul(amount),
-        });
-        expect(await collection.totalSupply()).to.equal(amount);
+        await setSalePhases([salePhase({ walletLimit: 1, supplyLimit: 1 })]);
+        expect(await collection.salePhaseMinted(0)).to.equal(0);
+        expect(await collection.salePhaseMintedBy(0, user.address)).to.equal(0);
+
+        await collection.connect(user).salePhaseMint(1, []);
+        await expect(
+          collection.connect(user).salePhaseMint(1, [])
+        ).to.be.revertedWith("Wallet limit exceeded");
+        expect(await collection.salePhaseMinted(0)).to.equal(1);
       });
 
-      it("Should decrease available supply", async () => {
-        const amount = random(deploymentConfig.tokensPerMint);
+      it("Should keep the maximum number of tokens per mint", async () => {
+        await setSalePhases([salePhase()]);
 
-        expect(await collection.availableSupply()).to.equal(
-          deploymentConfig.maxSupply
-        );
-        await collection.mint(amount, {
-          value: runtimeConfig.publicMintPrice.mul(amount),
-        });
-        expect(await collection.availableSupply()).to.equal(
-          deploymentConfig.maxSupply - amount
-        );
+        await expect(
+          collection.salePhaseMint(deploymentConfig.tokensPerMint + 1, [])
+        ).to.be.revertedWith("Amount too large");
       });
     });
   });
 
-  describe("Reserve minting", () => {
-    beforeEach(async () => {
-      const { owner, deployer } = await signers();
+  describe("Dutch auction", () => {
+    const auction = {
+      startPrice: ethers.utils.parseEther("1"),
+      floorPrice: ethers.utils.parseEther("0.2"),
+      stepInterval: 100,
+      stepDecrement: ethers.utils.parseEther("0.3"),
+      rebate: true,
+    };
+    let start;
 
-      [collection] = await deployInstance(
-        "NFTCollection",
-        { ...deploymentConfig, reservedSupply: 10 },
-        runtimeConfig
-      );
+    async function setDutchAuction(overrides = {}) {
+      const { owner } = await signers();
+      return collection.connect(owner).setDutchAuction({
+        ...auction,
+        start,
+        end: start + 10 * auction.stepInterval,
+        ...overrides,
+      });
+    }
+
+    // Mine the next block after the auction ends
+    async function afterEnd() {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        start + 10 * auction.stepInterval,
+      ]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    // Mine the next block in the middle of the given auction step
+    async function atStep(step) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        start + step * auction.stepInterval + auction.stepInterval / 2,
+      ]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    // Mint in the middle of the given auction step
+    async function mintAtStep(signer, step, amount, value) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        start + step * auction.stepInterval + auction.stepInterval / 2,
+      ]);
+      return collection.connect(signer).mint(amount, { value });
+    }
 
-      await collection
-        .connect(owner)
-        .grantRole(await collection.ADMIN_ROLE(), deployer.address);
+    beforeEach(async () => {
+      start = (await ethers.provider.getBlock("latest")).timestamp + 100;
+      await updateConfig({ publicMintStart: start });
     });
 
-    it("Should be callable by admin roles", async () => {
-      const { deployer } = await signers();
-      await expect(
-        collection.connect(deployer).reserveMint(deployer.address, random(10))
-      ).not.to.be.reverted;
-    });
+    describe("Pricing", () => {
+      it("Should use the public mint price without an auction", async () => {
+        expect(await collection.currentPrice()).to.equal(
+          runtimeConfig.publicMintPrice
+        );
+      });
 
-    it("Should be callable by the owner", async () => {
-      const { owner } = await signers();
-      await expect(
+      it("Should decrease the price in steps down to the floor price", async () => {
+        await setDutchAuction();
+        expect(await collection.currentPrice()).to.equal(auction.startPrice);
+
+        await atStep(0);
+        expect(await collection.currentPrice()).to.equal(auction.startPrice);
+
+        await atStep(1);
+        expect(await collection.currentPrice()).to.equal(
+          ethers.utils.parseEther("0.7")
+        );
+
+        await atStep(2);
+        expect(await collection.currentPrice()).to.equal(
+          ethers.utils.parseEther("0.4")
+        );
+
+        await atStep(3);
+        expect(await collection.currentPrice()).to.equal(auction.floorPrice);
+      });
+
+      it("Should charge the current price for minting", async () => {
+        const { user } = await signers();
+        await setDutchAuction();
+
+        await expect(
+          mintAtStep(user, 1, 2, ethers.utils.parseEther("1.39"))
+        ).to.be.revertedWith("Payment too small");
+        await mintAtStep(user, 2, 2, ethers.utils.parseEther("0.8"));
+
+        expect(await collection.balanceOf(user.address)).to.equal(2);
+        expect(await collection.auctionClearingPrice()).to.equal(
+          ethers.utils.parseEther("0.4")
+        );
+      });
+
+      it("Should keep the prices when the public mint start changes", async () => {
+        const { user, external } = await signers();
+        await setDutchAuction();
+        await mintAtStep(user, 3, 1, auction.floorPrice);
+
+        // Moving the public mint start mid-auction doesn't restart the auction
+        await updateConfig({
+          publicMintStart: start + 3 * auction.stepInterval,
+        });
+        expect(await collection.currentPrice()).to.equal(auction.floorPrice);
+
+        await mintAtStep(external, 4, 1, auction.floorPrice);
+        expect(await collection.auctionClearingPrice()).to.equal(
+          auction.floorPrice
+        );
+        expect(await collection.auctionRebate(user.address)).to.equal(0);
+      });
+
+      it("Should not accept auction mints before the start", async () => {
+        const { user } = await signers();
+        await setDutchAuction({ start: start + 500 });
+        await atStep(1);
+
+        await expect(
+          collection.connect(user).mint(1, { value: auction.startPrice })
+        ).to.be.revertedWith("Auction not started");
+      });
+
+      it("Should close auction mints at the end", async () => {
+        const { user } = await signers();
+        await setDutchAuction();
+        await afterEnd();
+
+        await expect(
+          collection.connect(user).mint(1, { value: auction.startPrice })
+        ).to.be.revertedWith("Auction has ended");
+      });
+    });
+
+    describe("Configuration", () => {
+      it("Should only be configurable by admins", async () => {
+        const { external } = await signers();
+
+        await expect(
+          collection
+            .connect(external)
+            .setDutchAuction({ ...auction, start, end: start + 1 })
+        ).to.be.revertedWith(
+          `AccessControl: account ${external.address.toLowerCase()} is missing role ${await collection.ADMIN_ROLE()}`
+        );
+      });
+
+      it("Should require a floor price below the start price", async () => {
+        await expect(
+          setDutchAuction({ floorPrice: auction.startPrice.add(1) })
+        ).to.be.revertedWith("Floor price above start price");
+      });
+
+      it("Should require the auction to end after it starts", async () => {
+        await expect(setDutchAuction({ end: start })).to.be.revertedWith(
+          "Auction ends before it starts"
+        );
+      });
+
+      it("Should not be configurable with a frozen public mint price", async () => {
+        await updateConfig({ publicMintPriceFrozen: true });
+
+        await expect(setDutchAuction()).to.be.revertedWith(
+          "publicMintPrice is frozen"
+        );
+      });
+
+      it("Should not be configurable after the first auction mint", async () => {
+        const { user } = await signers();
+        await setDutchAuction();
+        await mintAtStep(user, 0, 1, auction.startPrice);
+
+        await expect(setDutchAuction({ rebate: false })).to.be.revertedWith(
+          "Auction already started"
+        );
+        await expect(
+          setDutchAuction({ start: start + auction.stepInterval })
+        ).to.be.revertedWith("Auction already started");
+      });
+    });
+
+    describe("Rebates", () => {
+      it("Should refund the difference to the clearing price", async () => {
+        const { user, external } = await signers();
+        await setDutchAuction();
+
+        await mintAtStep(user, 0, 2, auction.startPrice.mul(2));
+        await mintAtStep(external, 2, 1, ethers.utils.parseEther("0.4"));
+
+        const rebate = auction.startPrice
+          .sub(ethers.utils.parseEther("0.4"))
+          .mul(2);
+        expect(await collection.auctionRebate(user.address)).to.equal(rebate);
+        expect(await collection.auctionRebate(external.address)).to.equal(0);
+        await expect(() =>
+          collection.connect(user).claimAuctionRebate()
+        ).to.changeEtherBalance(user, rebate);
+        await expect(
+          collection.connect(user).claimAuctionRebate()
+        ).to.be.revertedWith("Nothing to claim");
+      });
+
+      it("Should refund overpayments", async () => {
+        const { user } = await signers();
+        await setDutchAuction();
+
+        await mintAtStep(user, 3, 1, auction.startPrice);
+
+        expect(await collection.auctionRebate(user.address)).to.equal(
+          auction.startPrice.sub(auction.floorPrice)
+        );
+      });
+
+      it("Should allow claiming again when the clearing price drops", async () => {
+        const { user, external } = await signers();
+        await setDutchAuction();
+
+        await mintAtStep(user, 0, 1, auction.startPrice);
+        await mintAtStep(external, 1, 1, ethers.utils.parseEther("0.7"));
+        await collection.connect(user).claimAuctionRebate();
+        await mintAtStep(external, 3, 1, auction.floorPrice);
+
+        expect(await collection.auctionRebate(user.address)).to.equal(
+          ethers.utils.parseEther("0.5")
+        );
+      });
+
+      it("Should not refund without rebates", async () => {
+        const { user, external } = await signers();
+        await setDutchAuction({ rebate: false });
+
+        await mintAtStep(user, 0, 1, auction.startPrice);
+        await mintAtStep(external, 3, 1, auction.floorPrice);
+
+        expect(await collection.auctionRebate(user.address)).to.equal(0);
+      });
+
+      it("Should keep claimable rebates when withdrawing fees", async () => {
+        const { owner, user } = await signers();
+        await setDutchAuction();
+
+        await mintAtStep(user, 0, 2, auction.startPrice.mul(2));
+        await collection.connect(owner).withdrawFees();
+
+        // Until the auction sells out, the clearing price can drop to the floor price
+        expect(await ethers.provider.getBalance(collection.address)).to.equal(
+          auction.startPrice.sub(auction.floorPrice).mul(2)
+        );
+      });
+
+      it("Should settle the clearing price when the auction ends", async () => {
+        const { owner, user, external } = await signers();
+        await setDutchAuction();
+
+        await mintAtStep(user, 0, 2, auction.startPrice.mul(2));
+        await mintAtStep(external, 2, 1, ethers.utils.parseEther("0.4"));
+        await afterEnd();
+        await collection.connect(owner).withdrawFees();
+
+        // Only the rebates of the settled clearing price stay in the contract
+        const rebate = await collection.auctionRebate(user.address);
+        expect(rebate).to.equal(
+          auction.startPrice.sub(ethers.utils.parseEther("0.4")).mul(2)
+        );
+        expect(await ethers.provider.getBalance(collection.address)).to.equal(
+          rebate
+        );
+        await expect(() =>
+          collection.connect(user).claimAuctionRebate()
+        ).to.changeEtherBalance(user, rebate);
+      });
+    });
+  });
+
+  describe("Payment token", () => {
+    let token;
+
+    async function setPaymentToken(address) {
+      const { owner } = await signers();
+      return collection.connect(owner).setPaymentToken(address);
+    }
+
+    beforeEach(async () => {
+      const { user } = await signers();
+      token = await deploy("MockERC20");
+      await token.mint(user.address, ethers.utils.parseEther("100"));
+      await token
+        .connect(user)
+        .approve(collection.address, ethers.constants.MaxUint256);
+
+      await setPaymentToken(token.address);
+      await updateConfig({ publicMintStart: 0, presaleMintStart: 0 });
+    });
+
+    it("Should only be configurable by admins", async () => {
+      const { external } = await signers();
+
+      await expect(
+        collection.connect(external).setPaymentToken(token.address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${external.address.toLowerCase()} is missing role ${await collection.ADMIN_ROLE()}`
+      );
+    });
+
+    it("Should pull the public mint price", async () => {
+      const { user } = await signers();
+
+      await expect(() =>
+        collection.connect(user).mint(3)
+      ).to.changeTokenBalances(
+        token,
+        [user, collection],
+        [
+          runtimeConfig.publicMintPrice.mul(-3),
+          runtimeConfig.publicMintPrice.mul(3),
+        ]
+      );
+      expect(await collection.balanceOf(user.address)).to.equal(3);
+    });
+
+    it("Should pull the presale mint price", async () => {
+      const { user } = await signers();
+      const merkleTree = new MerkleTree([keccak256(user.address)], keccak256, {
+        sortPairs: true,
+      });
+      await updateConfig({ presaleMerkleRoot: merkleTree.getRoot() });
+
+      await expect(() =>
+        collection
+          .connect(user)
+          .presaleMint(2, merkleTree.getHexProof(keccak256(user.address)))
+      ).to.changeTokenBalance(
+        token,
+        collection,
+        runtimeConfig.presaleMintPrice.mul(2)
+      );
+    });
+
+    it("Should pull the sale phase price", async () => {
+      const { owner, user } = await signers();
+      const price = ethers.utils.parseEther("0.5");
+      await collection.connect(owner).setSalePhases([
+        {
+          start: 0,
+          end: 0,
+          price,
+          merkleRoot: ethers.constants.HashZero,
+          walletLimit: 0,
+          supplyLimit: 0,
+        },
+      ]);
+
+      await expect(() =>
+        collection.connect(user).salePhaseMint(2, [])
+      ).to.changeTokenBalance(token, collection, price.mul(2));
+    });
+
+    it("Should reject native currency payments", async () => {
+      const { user } = await signers();
+
+      await expect(
+        collection
+          .connect(user)
+          .mint(1, { value: runtimeConfig.publicMintPrice })
+      ).to.be.revertedWith("Pay with the payment token");
+    });
+
+    it("Should fail without an allowance", async () => {
+      const { external } = await signers();
+      await token.mint(external.address, ethers.utils.parseEther("100"));
+
+      await expect(collection.connect(external).mint(1)).to.be.revertedWith(
+        "ERC20: insufficient allowance"
+      );
+    });
+
+    it("Should sweep the token balance to the treasury address", async () => {
+      const { owner, user } = await signers();
+      await collection.connect(user).mint(3);
+
+      await expect(() =>
+        collection.connect(owner).withdrawFees()
+      ).to.changeTokenBalance(
+        token,
+        { getAddress: async () => deploymentConfig.treasuryAddress },
+        runtimeConfig.publicMintPrice.mul(3)
+      );
+      expect(await token.balanceOf(collection.address)).to.equal(0);
+    });
+
+    it("Should pay Dutch auction rebates in the payment token", async () => {
+      const { owner, user } = await signers();
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+      await updateConfig({ publicMintStart: start });
+      await collection.connect(owner).setDutchAuction({
+        start,
+        end: start + 1000,
+        startPrice: ethers.utils.parseEther("1"),
+        floorPrice: ethers.utils.parseEther("0.5"),
+        stepInterval: 100,
+        stepDecrement: ethers.utils.parseEther("0.5"),
+        rebate: true,
+      });
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 50]);
+      await collection.connect(user).mint(1);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 150]);
+      await collection.connect(user).mint(1);
+
+      await expect(
+        setPaymentToken(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Auction rebates pending");
+      await expect(() =>
+        collection.connect(user).claimAuctionRebate()
+      ).to.changeTokenBalance(token, user, ethers.utils.parseEther("0.5"));
+
+      // Once no rebates can be claimed anymore, the token can change
+      await expect(setPaymentToken(ethers.constants.AddressZero)).not.to.be
+        .reverted;
+    });
+
+    it("Should withdraw fees paid in an earlier token", async () => {
+      const { owner, user } = await signers();
+      const treasury = {
+        getAddress: async () => deploymentConfig.treasuryAddress,
+      };
+      await collection.connect(user).mint(2);
+
+      const newToken = await deploy("MockERC20");
+      await newToken.mint(user.address, ethers.utils.parseEther("100"));
+      await newToken
+        .connect(user)
+        .approve(collection.address, ethers.constants.MaxUint256);
+      await setPaymentToken(newToken.address);
+      await collection.connect(user).mint(1);
+
+      await expect(() =>
+        collection.connect(owner).withdrawFees()
+      ).to.changeTokenBalance(
+        newToken,
+        treasury,
+        runtimeConfig.publicMintPrice
+      );
+      expect(await token.balanceOf(collection.address)).to.equal(
+        runtimeConfig.publicMintPrice.mul(2)
+      );
+
+      await expect(() =>
+        collection.connect(owner).withdrawTokenFees(token.address)
+      ).to.changeTokenBalance(
+        token,
+        treasury,
+        runtimeConfig.publicMintPrice.mul(2)
+      );
+      expect(await token.balanceOf(collection.address)).to.equal(0);
+    });
+
+    it("Should only withdraw token fees for admins", async () => {
+      const { external } = await signers();
+
+      await expect(
+        collection.connect(external).withdrawTokenFees(token.address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${external.address.toLowerCase()} is missing role ${await collection.ADMIN_ROLE()}`
+      );
+    });
+
+    it("Should switch back to native currency", async () => {
+      const { user } = await signers();
+      await setPaymentToken(ethers.constants.AddressZero);
+
+      await expect(() =>
+        collection
+          .connect(user)
+          .mint(1, { value: runtimeConfig.publicMintPrice })
+      ).to.changeEtherBalance(collection, runtimeConfig.publicMintPrice);
+    });
+  });
+
+  describe("Revenue splits", () => {
+    let payees;
+
+    beforeEach(async () => {
+      const { owner } = await signers();
+      payees = [0, 1, 2].map(() => ethers.Wallet.createRandom().address);
+
+      [collection] = await deployInstance(
+        "NFTCollection",
+        deploymentConfig,
+        { ...runtimeConfig, publicMintStart: 0 },
+        {
+          ...dropConfig,
+          payees: [
+            { account: payees[0], shares: 50 },
+            { account: payees[1], shares: 30 },
+            { account: payees[2], shares: 20 },
+          ],
+        }
+      );
+      collection = collection.connect(owner);
+    });
+
+    it("Should expose the payees", async () => {
+      expect(
+        (await collection.payees()).map(({ account, shares }) => [
+          account,
+          shares.toNumber(),
+        ])
+      ).to.deep.equal([
+        [payees[0], 50],
+        [payees[1], 30],
+        [payees[2], 20],
+      ]);
+      expect(await collection.totalShares()).to.equal(100);
+    });
+
+    it("Should reject invalid payees", async () => {
+      await expect(
+        deployInstance("NFTCollection", deploymentConfig, runtimeConfig, {
+          ...dropConfig,
+          payees: [{ account: ethers.constants.AddressZero, shares: 1 }],
+        })
+      ).to.be.revertedWith("Invalid payee");
+      await expect(
+        deployInstance("NFTCollection", deploymentConfig, runtimeConfig, {
+          ...dropConfig,
+          payees: [{ account: payees[0], shares: 0 }],
+        })
+      ).to.be.revertedWith("Invalid payee");
+    });
+
+    it("Should split native currency fees by shares", async () => {
+      await mint(collection, 5);
+      const balance = await ethers.provider.getBalance(collection.address);
+      const first = balance.mul(50).div(100);
+      const second = balance.mul(30).div(100);
+      const third = balance.sub(first).sub(second);
+
+      await expect(collection.withdrawFees())
+        .to.emit(collection, "PaymentReleased")
+        .withArgs(ethers.constants.AddressZero, payees[0], first)
+        .and.to.emit(collection, "PaymentReleased")
+        .withArgs(ethers.constants.AddressZero, payees[1], second)
+        .and.to.emit(collection, "PaymentReleased")
+        .withArgs(ethers.constants.AddressZero, payees[2], third);
+
+      expect(await ethers.provider.getBalance(payees[0])).to.equal(first);
+      expect(await ethers.provider.getBalance(payees[2])).to.equal(third);
+      expect(await ethers.provider.getBalance(collection.address)).to.equal(0);
+    });
+
+    it("Should split payment token fees by shares", async () => {
+      const { user } = await signers();
+      const token = await deploy("MockERC20");
+      await token.mint(user.address, ethers.utils.parseEther("10"));
+      await token
+        .connect(user)
+        .approve(collection.address, ethers.constants.MaxUint256);
+      await collection.setPaymentToken(token.address);
+      await collection.connect(user).mint(3);
+
+      const balance = runtimeConfig.publicMintPrice.mul(3);
+      await expect(collection.withdrawFees())
+        .to.emit(collection, "PaymentReleased")
+        .withArgs(token.address, payees[1], balance.mul(30).div(100));
+
+      expect(await token.balanceOf(payees[0])).to.equal(
+        balance.mul(50).div(100)
+      );
+      expect(await token.balanceOf(collection.address)).to.equal(0);
+    });
+
+    it("Should send fees to the treasury address without payees", async () => {
+      const { owner } = await signers();
+      [collection] = await deployInstance(
+        "NFTCollection",
+        deploymentConfig,
+        { ...runtimeConfig, publicMintStart: 0 },
+        dropConfig
+      );
+      await mint(collection, 2);
+
+      await expect(collection.connect(owner).withdrawFees())
+        .to.emit(collection, "PaymentReleased")
+        .withArgs(
+          ethers.constants.AddressZero,
+          deploymentConfig.treasuryAddress,
+          runtimeConfig.publicMintPrice.mul(2)
+        );
+    });
+  });
+
+  describe("Mint vouchers", () => {
+    const price = ethers.utils.parseEther("0.01");
+    let voucherSigner;
+    let chainId;
+    let deadline;
+
+    async function signVoucher(voucher, signer = voucherSigner) {
+      return signMintVoucher(
+        signer,
+        { address: collection.address, chainId },
+        voucher
+      );
+    }
+
+    beforeEach(async () => {
+      const { owner, user } = await signers();
+      voucherSigner = ethers.Wallet.createRandom();
+      ({ chainId } = await ethers.provider.getNetwork());
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      deadline = timestamp + 3600;
+
+      await collection.connect(owner).setVoucherSigner(voucherSigner.address);
+      collection = collection.connect(user);
+    });
+
+    function voucherFor(wallet, overrides = {}) {
+      return {
+        wallet: wallet.address,
+        maxAmount: 5,
+        price,
+        deadline,
+        ...overrides,
+      };
+    }
+
+    it("Should only set the voucher signer by admin roles", async () => {
+      const { external } = await signers();
+
+      await expect(
+        collection.connect(external).setVoucherSigner(external.address)
+      ).to.be.reverted;
+      expect(await collection.voucherSigner()).to.equal(voucherSigner.address);
+    });
+
+    it("Should use the domain of the collection", async () => {
+      expect(await collection.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain({
+          name: "NFTCollection",
+          version: "1",
+          chainId,
+          verifyingContract: collection.address,
+        })
+      );
+    });
+
+    it("Should mint with a voucher up to its maximum amount", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+      const signature = await signVoucher(voucher);
+
+      await expect(() =>
+        collection.voucherMint(3, voucher, signature, { value: price.mul(3) })
+      ).to.changeEtherBalance(collection, price.mul(3));
+      await collection.voucherMint(2, voucher, signature, {
+        value: price.mul(2),
+      });
+
+      expect(await collection.balanceOf(user.address)).to.equal(5);
+      expect(await collection.voucherMinted(user.address)).to.equal(5);
+      await expect(
+        collection.voucherMint(1, voucher, signature, { value: price })
+      ).to.be.revertedWith("Voucher amount exceeded");
+    });
+
+    it("Should count the maximum amount across vouchers", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+      await collection.voucherMint(5, voucher, await signVoucher(voucher), {
+        value: price.mul(5),
+      });
+
+      const extended = voucherFor(user, { maxAmount: 7, price: 0 });
+      const signature = await signVoucher(extended);
+      await expect(
+        collection.voucherMint(3, extended, signature)
+      ).to.be.revertedWith("Voucher amount exceeded");
+      await collection.voucherMint(2, extended, signature);
+
+      expect(await collection.voucherMinted(user.address)).to.equal(7);
+    });
+
+    it("Should require the voucher price", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+
+      await expect(
+        collection.voucherMint(2, voucher, await signVoucher(voucher), {
+          value: price.mul(2).sub(1),
+        })
+      ).to.be.revertedWith("Payment too small");
+    });
+
+    it("Should reject vouchers of other wallets", async () => {
+      const { external } = await signers();
+      const voucher = voucherFor(external);
+
+      await expect(
+        collection.voucherMint(1, voucher, await signVoucher(voucher), {
+          value: price,
+        })
+      ).to.be.revertedWith("Voucher for another wallet");
+    });
+
+    it("Should reject expired vouchers", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+      const signature = await signVoucher(voucher);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+      await expect(
+        collection.voucherMint(1, voucher, signature, { value: price })
+      ).to.be.revertedWith("Voucher expired");
+    });
+
+    it("Should reject vouchers that weren't signed by the voucher signer", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+
+      await expect(
+        collection.voucherMint(
+          1,
+          voucher,
+          await signVoucher(voucher, ethers.Wallet.createRandom()),
+          { value: price }
+        )
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should reject modified vouchers", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+      const signature = await signVoucher(voucher);
+
+      await expect(
+        collection.voucherMint(
+          10,
+          { ...voucher, maxAmount: 10, price: 0 },
+          signature
+        )
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should reject vouchers of other collections", async () => {
+      const { user } = await signers();
+      const voucher = voucherFor(user);
+      const signature = await signMintVoucher(
+        voucherSigner,
+        { address: ethers.Wallet.createRandom().address, chainId },
+        voucher
+      );
+
+      await expect(
+        collection.voucherMint(1, voucher, signature, { value: price })
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should reject vouchers once the voucher signer is removed", async () => {
+      const { owner, user } = await signers();
+      const voucher = voucherFor(user);
+      const signature = await signVoucher(voucher);
+      await collection
+        .connect(owner)
+        .setVoucherSigner(ethers.constants.AddressZero);
+
+      await expect(
+        collection.voucherMint(1, voucher, signature, { value: price })
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+  });
+
+  describe("Provenance", () => {
+    const baseURI = "ipfs://baseURI/";
+    const prerevealTokenURI = "ipfs://prereveal";
+    const provenanceHash = ethers.utils.keccak256(
+      ethers.utils.toUtf8Bytes("provenance")
+    );
+    let deadline;
+
+    async function deployWithProvenance(overrides = {}) {
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentConfig, maxSupply: 20 },
+        { ...runtimeConfig, baseURI, prerevealTokenURI, publicMintStart: 0 },
+        {
+          ...dropConfig,
+          provenanceHash,
+          startingIndexDeadline: deadline,
+          ...overrides,
+        }
+      );
+    }
+
+    beforeEach(async () => {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      deadline = timestamp + 3600;
+      await deployWithProvenance();
+    });
+
+    it("Should expose the provenance hash", async () => {
+      expect(await collection.provenanceHash()).to.equal(provenanceHash);
+      expect(await collection.startingIndexDeadline()).to.equal(deadline);
+      expect(await collection.startingIndexRevealed()).to.equal(false);
+    });
+
+    it("Should not commit the starting index without a provenance hash", async () => {
+      await deployWithProvenance({ provenanceHash: ethers.constants.HashZero });
+      await mint(collection, 20);
+
+      await expect(collection.commitStartingIndex()).to.be.revertedWith(
+        "No provenance hash"
+      );
+    });
+
+    it("Should not commit the starting index before the sale has ended", async () => {
+      await mint(collection, 19);
+
+      await expect(collection.commitStartingIndex()).to.be.revertedWith(
+        "Sale has not ended"
+      );
+
+      await deployWithProvenance({ startingIndexDeadline: 0 });
+      await ethers.provider.send("evm_setNextBlockTimestamp", [deadline]);
+
+      await expect(collection.commitStartingIndex()).to.be.revertedWith(
+        "Sale has not ended"
+      );
+    });
+
+    it("Should commit the starting index once sold out", async () => {
+      await mint(collection, 20);
+      await collection.commitStartingIndex();
+
+      const { number } = await ethers.provider.getBlock("latest");
+      expect(await collection.startingIndexBlock()).to.equal(number + 1);
+      await expect(collection.commitStartingIndex()).to.be.revertedWith(
+        "Starting index committed"
+      );
+    });
+
+    it("Should commit the starting index after the deadline", async () => {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [deadline]);
+
+      await expect(collection.commitStartingIndex()).not.to.be.reverted;
+    });
+
+    it("Should reveal the starting index from the committed block hash", async () => {
+      await mint(collection, 20);
+      await collection.commitStartingIndex();
+
+      await expect(collection.revealStartingIndex()).to.be.revertedWith(
+        "Starting index block not mined"
+      );
+
+      await ethers.provider.send("evm_mine", []);
+      await collection.revealStartingIndex();
+
+      const block = await ethers.provider.getBlock(
+        (await collection.startingIndexBlock()).toNumber()
+      );
+      expect(await collection.startingIndex()).to.equal(
+        ethers.BigNumber.from(block.hash).mod(20)
+      );
+      expect(await collection.startingIndexRevealed()).to.equal(true);
+      await expect(collection.revealStartingIndex()).to.be.revertedWith(
+        "Starting index revealed"
+      );
+    });
+
+    it("Should commit to a new block once the committed block hash is unavailable", async () => {
+      await mint(collection, 20);
+      await collection.commitStartingIndex();
+      for (let i = 0; i < 257; i++) {
+        await ethers.provider.send("evm_mine", []);
+      }
+
+      await expect(collection.revealStartingIndex()).not.to.emit(
+        collection,
+        "BatchMetadataUpdate"
+      );
+      const { number } = await ethers.provider.getBlock("latest");
+      expect(await collection.startingIndexBlock()).to.equal(number + 1);
+      expect(await collection.startingIndexRevealed()).to.equal(false);
+
+      await ethers.provider.send("evm_mine", []);
+      await collection.revealStartingIndex();
+
+      const block = await ethers.provider.getBlock(number + 1);
+      expect(await collection.startingIndex()).to.equal(
+        ethers.BigNumber.from(block.hash).mod(20)
+      );
+      expect(await collection.startingIndexRevealed()).to.equal(true);
+    });
+
+    it("Should emit an ERC-4906 batch metadata update on reveal", async () => {
+      await mint(collection, 20);
+      await collection.commitStartingIndex();
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(collection.revealStartingIndex())
+        .to.emit(collection, "BatchMetadataUpdate")
+        .withArgs(0, ethers.constants.MaxUint256);
+    });
+
+    it("Should not reveal the starting index before it is committed", async () => {
+      await expect(collection.revealStartingIndex()).to.be.revertedWith(
+        "Starting index block not mined"
+      );
+    });
+
+    it("Should shift the token URIs by the starting index once revealed", async () => {
+      await mint(collection, 20);
+      expect(await collection.tokenURI(3)).to.equal(prerevealTokenURI);
+
+      await collection.commitStartingIndex();
+      await ethers.provider.send("evm_mine", []);
+      await collection.revealStartingIndex();
+
+      const startingIndex = (await collection.startingIndex()).toNumber();
+      expect(await collection.tokenURI(3)).to.equal(
+        `${baseURI}${(3 + startingIndex) % 20}`
+      );
+      expect(await collection.tokenURI(19)).to.equal(
+        `${baseURI}${(19 + startingIndex) % 20}`
+      );
+    });
+
+    it("Should hide and shift metadata renderer token URIs until revealed", async () => {
+      const { owner } = await signers();
+      const renderer = await deploy("MetadataRenderer");
+      await renderer.connect(owner).setMetadata(collection.address, {
+        name: "Token",
+        description: "",
+        image: "",
+      });
+      await collection.connect(owner).setMetadataRenderer(renderer.address);
+      await mint(collection, 20);
+      expect(await collection.tokenURI(3)).to.equal(prerevealTokenURI);
+
+      await collection.commitStartingIndex();
+      await ethers.provider.send("evm_mine", []);
+      await collection.revealStartingIndex();
+
+      const startingIndex = (await collection.startingIndex()).toNumber();
+      expect(await collection.tokenURI(3)).to.equal(
+        await renderer.collectionTokenURI(
+          collection.address,
+          (3 + startingIndex) % 20
+        )
+      );
+      await expect(
+        renderer
+          .connect(owner)
+          .setAttributes(collection.address, (3 + startingIndex) % 20, [])
+      )
+        .to.emit(collection, "MetadataUpdate")
+        .withArgs(3);
+    });
+  });
+
+  describe("Public sale", () => {
+    describe("State", () => {
+      it("Should be exposed", async () => {
+        await expect(collection.mintingActive()).not.to.be.reverted;
+      });
+
+      it("Should return true if the sale has started", async () => {
+        await updateConfig({
+          publicMintStart: 0,
+        });
+
+        expect(await collection.mintingActive()).to.be.true;
+      });
+
+      it("Should return false if the sale has not started", async () => {
+        await updateConfig({
+          publicMintStart: Math.floor(Date.now() / 1000) + 60 * 60 * 24,
+        });
+
+        expect(await collection.mintingActive()).to.be.false;
+      });
+    });
+
+    describe("Minting", () => {
+      beforeEach(async () => {
+        await updateConfig({
+          publicMintStart: 0,
+        });
+      });
+
+      it("Should succeed when enough ether is sent", async () => {
+        const amount = random(deploymentConfig.tokensPerMint);
+        await expect(
+          collection.mint(amount, {
+            value: runtimeConfig.publicMintPrice.mul(amount),
+          })
+        ).not.to.be.reverted;
+      });
+
+      it("Should fail when payment does not cover mint costs", async () => {
+        const amount = random(deploymentConfig.tokensPerMint);
+
+        await expect(
+          collection.mint(amount, {
+            value: runtimeConfig.publicMintPrice.mul(amount).sub(1),
+          })
+        ).to.be.reverted;
+      });
+
+      it("Should succeed when minting up to the maximum number of tokens per mint", async () => {
+        for (
+          let amount = 1;
+          amount <= deploymentConfig.tokensPerMint;
+          amount++
+        ) {
+          await expect(
+            collection.mint(amount, {
+              value: runtimeConfig.publicMintPrice.mul(amount),
+            })
+          ).not.to.be.reverted;
+        }
+      });
+
+      it("Should fail when minting more than the maximum number of tokens per mint", async () => {
+        const amount = deploymentConfig.tokensPerMint + 1;
+
+        await expect(
+          collection.mint(amount, {
+            value: runtimeConfig.publicMintPrice.mul(amount),
+          })
+        ).to.be.reverted;
+      });
+
+      itSlow(
+        "Should fail when minting more than the maximum supply",
+        async () => {
+          await mint(collection, deploymentConfig.maxSupply - 1);
+
+          await expect(
+            collection.mint(1, { value: runtimeConfig.publicMintPrice })
+          ).not.to.be.reverted;
+          await expect(
+            collection.mint(1, { value: runtimeConfig.publicMintPrice })
+          ).to.be.reverted;
+        }
+      );
+
+      it("Should fail when minting has not started yet", async () => {
+        await expect(
+          collection.mint(1, { value: runtimeConfig.publicMintPrice })
+        ).not.to.be.reverted;
+
+        await updateConfig({
+          publicMintStart: Math.floor(Date.now() / 1000) + 60 * 60 * 24,
+        });
+
+        await expect(
+          collection.mint(1, { value: runtimeConfig.publicMintPrice })
+        ).to.be.reverted;
+      });
+
+      it("Should send tokens to the minter", async () => {
+        const { user } = await signers();
+        const amount = random(deploymentConfig.tokensPerMint);
+
+        expect(await collection.balanceOf(user.address)).to.equal(0);
+        await collection.mint(amount, {
+          value: runtimeConfig.publicMintPrice.mul(amount),
+        });
+        expect(await collection.balanceOf(user.address)).to.equal(amount);
+      });
+
+      it("Should increment total supply", async () => {
+        const amount = random(deploymentConfig.tokensPerMint);
+
+        expect(await collection.totalSupply()).to.equal(0);
+        await collection.mint(amount, {
+          value: runtimeConfig.publicMintPrice.mul(amount),
+        });
+        expect(await collection.totalSupply()).to.equal(amount);
+      });
+
+      it("Should decrease available supply", async () => {
+        const amount = random(deploymentConfig.tokensPerMint);
+
+        expect(await collection.availableSupply()).to.equal(
+          deploymentConfig.maxSupply
+        );
+        await collection.mint(amount, {
+          value: runtimeConfig.publicMintPrice.mul(amount),
+        });
+        expect(await collection.availableSupply()).to.equal(
+          deploymentConfig.maxSupply - amount
+        );
+      });
+    });
+
+    describe("Wallet limit", () => {
+      let price;
+
+      beforeEach(async () => {
+        const { owner } = await signers();
+        price = runtimeConfig.publicMintPrice;
+        await updateConfig({
+          publicMintStart: 0,
+        });
+        await collection.connect(owner).setMaxMintsPerWallet(15);
+      });
+
+      it("Should only be set by admin roles", async () => {
+        const { external } = await signers();
+
+        await expect(collection.connect(external).setMaxMintsPerWallet(1)).to.be
+          .reverted;
+        expect(await collection.maxMintsPerWallet()).to.equal(15);
+      });
+
+      it("Should track mints across transactions", async () => {
+        const { user } = await signers();
+
+        await collection.mint(10, { value: price.mul(10) });
+        await collection.mint(5, { value: price.mul(5) });
+
+        expect(await collection.mintedBy(user.address)).to.equal(15);
+        await expect(collection.mint(1, { value: price })).to.be.revertedWith(
+          "Wallet limit exceeded"
+        );
+      });
+
+      it("Should not allow a mint exceeding the remaining limit", async () => {
+        const { user, external } = await signers();
+
+        await collection.mint(10, { value: price.mul(10) });
+        await expect(
+          collection.mint(6, { value: price.mul(6) })
+        ).to.be.revertedWith("Wallet limit exceeded");
+
+        expect(await collection.mintedBy(user.address)).to.equal(10);
+        await expect(
+          collection.connect(external).mint(10, { value: price.mul(10) })
+        ).not.to.be.reverted;
+      });
+
+      it("Should track mints without a limit", async () => {
+        const { user, owner } = await signers();
+        await collection.connect(owner).setMaxMintsPerWallet(0);
+
+        for (let i = 0; i < 3; i++) {
+          await collection.mint(10, { value: price.mul(10) });
+        }
+
+        expect(await collection.mintedBy(user.address)).to.equal(30);
+      });
+
+      it("Should limit contracts minting in a loop", async () => {
+        const minter = await deploy("MockMinter");
+
+        await expect(
+          minter.mint(collection.address, 5, 4, { value: price.mul(20) })
+        ).to.be.revertedWith("Wallet limit exceeded");
+
+        await minter.mint(collection.address, 5, 3, { value: price.mul(15) });
+        expect(await collection.mintedBy(minter.address)).to.equal(15);
+        expect(await collection.balanceOf(minter.address)).to.equal(15);
+      });
+
+      it("Should not count reserve mints", async () => {
+        const { owner, external } = await signers();
+        [collection] = await deployInstance(
+          "NFTCollection",
+          { ...deploymentConfig, reservedSupply: 10 },
+          { ...runtimeConfig, publicMintStart: 0 },
+          dropConfig
+        );
+        collection = collection.connect(owner);
+        await collection.setMaxMintsPerWallet(15);
+
+        await collection.reserveMint(external.address, 10);
+        expect(await collection.mintedBy(external.address)).to.equal(0);
+
+        collection = collection.connect(external);
+        await collection.mint(10, { value: price.mul(10) });
+        await collection.mint(5, { value: price.mul(5) });
+        expect(await collection.balanceOf(external.address)).to.equal(25);
+        expect(await collection.reserveRemaining()).to.equal(0);
+      });
+    });
+  });
+
+  describe("Reserve minting", () => {
+    beforeEach(async () => {
+      const { owner, deployer } = await signers();
+
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentConfig, reservedSupply: 10 },
+        runtimeConfig,
+        dropConfig
+      );
+
+      await collection
+        .connect(owner)
+        .grantRole(await collection.ADMIN_ROLE(), deployer.address);
+    });
+
+    it("Should be callable by admin roles", async () => {
+      const { deployer } = await signers();
+      await expect(
+        collection.connect(deployer).reserveMint(deployer.address, random(10))
+      ).not.to.be.reverted;
+    });
+
+    it("Should be callable by the owner", async () => {
+      const { owner } = await signers();
+      await expect(
         collection.connect(owner).reserveMint(owner.address, random(10))
       ).not.to.be.reverted;
     });
@@ -1285,6 +2809,220 @@ describe("NFTCollection", () => {
     });
   });
 
+  describe("Airdrop", () => {
+    beforeEach(async () => {
+      const { owner } = await signers();
+
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentConfig, reservedSupply: 30, tokensPerMint: 5 },
+        runtimeConfig,
+        dropConfig
+      );
+      collection = collection.connect(owner);
+    });
+
+    it("Should only be callable by admin roles", async () => {
+      const { external } = await signers();
+
+      await expect(
+        collection.connect(external).airdrop([external.address], [1])
+      ).to.be.revertedWith("AccessControl: account 0x");
+    });
+
+    it("Should mint the amounts to the recipients", async () => {
+      const { user, external } = await signers();
+
+      await collection.airdrop([user.address, external.address], [2, 3]);
+
+      expect(await collection.balanceOf(user.address)).to.equal(2);
+      expect(await collection.balanceOf(external.address)).to.equal(3);
+    });
+
+    it("Should not be limited by tokens per mint", async () => {
+      const { user } = await signers();
+
+      await collection.airdrop([user.address], [20]);
+
+      expect(await collection.balanceOf(user.address)).to.equal(20);
+    });
+
+    it("Should decrease remaining reserves", async () => {
+      const { user, external } = await signers();
+
+      await collection.airdrop([user.address, external.address], [4, 6]);
+
+      expect(await collection.reserveRemaining()).to.equal(20);
+    });
+
+    it("Should fail when trying to airdrop more than reserves", async () => {
+      const { user, external } = await signers();
+
+      await expect(
+        collection.airdrop([user.address, external.address], [20, 11])
+      ).to.be.revertedWith("Not enough reserved");
+    });
+
+    it("Should fail when recipients and amounts lengths differ", async () => {
+      const { user } = await signers();
+
+      await expect(
+        collection.airdrop([user.address], [1, 2])
+      ).to.be.revertedWith("Length mismatch");
+    });
+
+    it("Should fail while minting is paused", async () => {
+      const { user } = await signers();
+      await collection.pause();
+
+      await expect(collection.airdrop([user.address], [1])).to.be.revertedWith(
+        "Minting paused"
+      );
+    });
+  });
+
+  describe("Pausing", () => {
+    const price = ethers.utils.parseEther("0.01");
+
+    beforeEach(async () => {
+      const { owner } = await signers();
+
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentConfig, reservedSupply: 10 },
+        {
+          ...runtimeConfig,
+          publicMintPrice: price,
+          presaleMintPrice: price,
+          publicMintStart: 0,
+          presaleMintStart: 0,
+        },
+        dropConfig
+      );
+      collection = collection.connect(owner);
+    });
+
+    it("Should only be paused and unpaused by admin roles", async () => {
+      const { external } = await signers();
+
+      await expect(collection.connect(external).pause()).to.be.reverted;
+      await collection.pause();
+      await expect(collection.connect(external).unpause()).to.be.reverted;
+      expect(await collection.paused()).to.equal(true);
+    });
+
+    it("Should emit events when pausing and unpausing", async () => {
+      const { owner } = await signers();
+      expect(await collection.paused()).to.equal(false);
+
+      await expect(collection.pause())
+        .to.emit(collection, "Paused")
+        .withArgs(owner.address);
+      expect(await collection.paused()).to.equal(true);
+
+      await expect(collection.unpause())
+        .to.emit(collection, "Unpaused")
+        .withArgs(owner.address);
+      expect(await collection.paused()).to.equal(false);
+    });
+
+    it("Should not pause or unpause twice", async () => {
+      await expect(collection.unpause()).to.be.revertedWith(
+        "Minting not paused"
+      );
+
+      await collection.pause();
+      await expect(collection.pause()).to.be.revertedWith("Minting paused");
+    });
+
+    // Set up each mint path and return a function minting a token with it
+    const mintPaths = {
+      "public mints": async () => {
+        const { user } = await signers();
+        return () => collection.connect(user).mint(1, { value: price });
+      },
+      "presale mints": async () => {
+        const { user } = await signers();
+        const { root, proofs } = buildAllowlist([user.address]);
+        await updateConfig({ presaleMerkleRoot: root });
+
+        return () =>
+          collection
+            .connect(user)
+            .presaleMint(1, proofs[user.address], { value: price });
+      },
+      "presale allocation mints": async () => {
+        const { user } = await signers();
+        const { root, proofs } = buildAllowlist([
+          { wallet: user.address, allocation: "2" },
+        ]);
+        await updateConfig({ presaleMerkleRoot: root });
+        const { allocation, proof } = proofs[user.address];
+
+        return () =>
+          collection
+            .connect(user)
+            .presaleMintAllocation(1, allocation, 0, proof, { value: price });
+      },
+      "sale phase mints": async () => {
+        const { user } = await signers();
+        await collection.setSalePhases([
+          {
+            start: 0,
+            end: 0,
+            price,
+            merkleRoot: ethers.constants.HashZero,
+            walletLimit: 0,
+            supplyLimit: 0,
+          },
+        ]);
+
+        return () =>
+          collection.connect(user).salePhaseMint(1, [], { value: price });
+      },
+      "voucher mints": async () => {
+        const { user } = await signers();
+        const voucherSigner = ethers.Wallet.createRandom();
+        await collection.setVoucherSigner(voucherSigner.address);
+        const { chainId } = await ethers.provider.getNetwork();
+        const voucher = {
+          wallet: user.address,
+          maxAmount: 2,
+          price,
+          deadline: ethers.constants.MaxUint256,
+        };
+        const signature = await signMintVoucher(
+          voucherSigner,
+          { address: collection.address, chainId },
+          voucher
+        );
+
+        return () =>
+          collection
+            .connect(user)
+            .voucherMint(1, voucher, signature, { value: price });
+      },
+      "reserve mints": async () => {
+        const { user } = await signers();
+        return () => collection.reserveMint(user.address, 1);
+      },
+    };
+
+    for (const [mintPath, setUp] of Object.entries(mintPaths)) {
+      it(`Should pause ${mintPath}`, async () => {
+        const { user } = await signers();
+        const mintOne = await setUp();
+
+        await collection.pause();
+        await expect(mintOne()).to.be.revertedWith("Minting paused");
+
+        await collection.unpause();
+        await expect(mintOne()).not.to.be.reverted;
+        expect(await collection.balanceOf(user.address)).to.equal(1);
+      });
+    }
+  });
+
   describe("Metadata", () => {
     const prerevealTokenURI = "ipfs://prereveal";
 
@@ -1331,6 +3069,71 @@ describe("NFTCollection", () => {
         `${baseURI}${tokenId}`
       );
     });
+
+    describe("Metadata renderer", () => {
+      let renderer;
+
+      beforeEach(async () => {
+        const { owner } = await signers();
+
+        renderer = await deploy("MetadataRenderer");
+        await renderer.connect(owner).setMetadata(collection.address, {
+          name: "Token",
+          description: "",
+          image: "",
+        });
+        await updateConfig({ baseURI: "ipfs://baseURI/" });
+        await mint(collection, 2);
+      });
+
+      it("Should delegate token URIs to the renderer", async () => {
+        const { owner } = await signers();
+
+        await collection.connect(owner).setMetadataRenderer(renderer.address);
+
+        expect(await collection.metadataRenderer()).to.equal(renderer.address);
+        expect(await collection.tokenURI(1)).to.equal(
+          await renderer.collectionTokenURI(collection.address, 1)
+        );
+      });
+
+      it("Should return to the base URI when the renderer is unset", async () => {
+        const { owner } = await signers();
+
+        await collection.connect(owner).setMetadataRenderer(renderer.address);
+        await collection
+          .connect(owner)
+          .setMetadataRenderer(ethers.constants.AddressZero);
+
+        expect(await collection.tokenURI(1)).to.equal("ipfs://baseURI/1");
+      });
+
+      it("Should emit an ERC-4906 batch metadata update", async () => {
+        const { owner } = await signers();
+
+        await expect(
+          collection.connect(owner).setMetadataRenderer(renderer.address)
+        )
+          .to.emit(collection, "BatchMetadataUpdate")
+          .withArgs(0, ethers.constants.MaxUint256);
+      });
+
+      it("Should only be set by admin roles", async () => {
+        await expect(
+          collection.setMetadataRenderer(renderer.address)
+        ).to.be.revertedWith("AccessControl: account 0x");
+      });
+
+      it("Should not be set once metadata is frozen", async () => {
+        const { owner } = await signers();
+
+        await updateConfig({ metadataUpdatable: false });
+
+        await expect(
+          collection.connect(owner).setMetadataRenderer(renderer.address)
+        ).to.be.revertedWith("Metadata is frozen");
+      });
+    });
   });
 
   describe("Minting fee withdrawal", () => {
@@ -1400,5 +3203,9 @@ describe("NFTCollection", () => {
     it("ERC2981", async () => {
       expect(await collection.supportsInterface("0x2a55205a")).to.be.true;
     });
+
+    it("ERC4906", async () => {
+      expect(await collection.supportsInterface("0x49064906")).to.be.true;
+    });
   });
 });
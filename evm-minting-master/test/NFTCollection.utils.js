@@ -26,6 +26,12 @@ const runtimeDefaults = {
   royaltiesAddress: "0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045",
 };
 
+const dropDefaults = {
+  payees: [],
+  provenanceHash: ethers.constants.HashZero,
+  startingIndexDeadline: 0,
+};
+
 async function mint(collection, total = 1) {
   let minted = 0;
   const info = await collection.getInfo();
@@ -49,5 +55,6 @@ async function mint(collection, total = 1) {
 module.exports = {
   deploymentDefaults,
   runtimeDefaults,
+  dropDefaults,
   mint,
 };
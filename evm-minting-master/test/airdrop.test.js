@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+
+const {
+  parseAirdropCSV,
+  estimateAirdropGas,
+  chunkAirdrop,
+  FACTORY_CALL_GAS,
+} = require("../scripts/airdrop");
+const { signers, deployInstance } = require("./utils");
+const {
+  deploymentDefaults,
+  runtimeDefaults,
+  dropDefaults,
+} = require("./NFTCollection.utils");
+
+describe("Airdrops", () => {
+  describe("CSV parsing", () => {
+    it("Should checksum wallets and default amounts to 1", () => {
+      const [first, second] = [0, 1].map(
+        () => ethers.Wallet.createRandom().address
+      );
+
+      const entries = parseAirdropCSV(
+        `wallet,amount\n${first.toLowerCase()}\n\n# comment\n${second},3\n`
+      );
+
+      expect(entries).to.deep.equal([
+        { wallet: first, amount: 1 },
+        { wallet: second, amount: 3 },
+      ]);
+    });
+
+    it("Should reject invalid addresses and amounts", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() => parseAirdropCSV(`${wallet}\n0x1234\n`)).to.throw(
+        "line 2: invalid address 0x1234"
+      );
+      expect(() => parseAirdropCSV(`${wallet},0\n`)).to.throw(
+        "line 1: invalid amount 0"
+      );
+    });
+
+    it("Should reject duplicate wallets", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() =>
+        parseAirdropCSV(`${wallet},1\n${wallet.toLowerCase()},2\n`)
+      ).to.throw(`line 2: duplicate wallet ${wallet}`);
+    });
+  });
+
+  describe("Chunking", () => {
+    const entries = [...Array(10)].map((_, i) => ({
+      wallet: ethers.Wallet.createRandom().address,
+      amount: i + 1,
+    }));
+
+    it("Should keep chunks below the gas limit", () => {
+      const gasLimit = estimateAirdropGas(entries.slice(0, 3));
+
+      const chunks = chunkAirdrop(entries, gasLimit);
+
+      expect(chunks.flat()).to.deep.equal(entries);
+      expect(chunks[0]).to.have.length(3);
+      for (const chunk of chunks) {
+        expect(estimateAirdropGas(chunk)).to.be.at.most(gasLimit);
+      }
+    });
+
+    it("Should reject gas limits below a single recipient", () => {
+      expect(() => chunkAirdrop(entries, 21000)).to.throw(
+        "Gas limit 21000 is too low for a single recipient"
+      );
+    });
+
+    it("Should reject later recipients above the gas limit without empty chunks", () => {
+      const gasLimit = estimateAirdropGas(entries.slice(0, 2));
+      const large = { ...entries[2], amount: 1000 };
+
+      expect(() =>
+        chunkAirdrop([...entries.slice(0, 2), large], gasLimit)
+      ).to.throw(
+        `Gas limit ${gasLimit} is too low for a single recipient: 1000 tokens to ${large.wallet}`
+      );
+      for (const chunk of chunkAirdrop(entries, gasLimit)) {
+        expect(chunk).not.to.be.empty;
+      }
+    });
+  });
+
+  describe("Task", () => {
+    let collection;
+    let tmpDir;
+
+    async function airdropTask(rows, args = {}) {
+      const csv = path.join(tmpDir, "airdrop.csv");
+      fs.writeFileSync(csv, `wallet,amount\n${rows.join("\n")}\n`);
+
+      return run("airdrop:send", {
+        collection: collection.address,
+        csv,
+        ...args,
+      });
+    }
+
+    // Gas limit of transactions airdropping to the entries through the Factory
+    function gasLimit(entries) {
+      return estimateAirdropGas(entries) + FACTORY_CALL_GAS;
+    }
+
+    beforeEach(async () => {
+      const { owner } = await signers();
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+
+      // The deployer operates the collection through the Factory, without a role on the collection
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentDefaults, owner: owner.address, reservedSupply: 20 },
+        runtimeDefaults,
+        dropDefaults
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("Should airdrop in chunks and write a report", async () => {
+      const { owner, user, external } = await signers();
+      const rows = [
+        `${owner.address},2`,
+        user.address,
+        `${external.address},3`,
+      ];
+
+      const results = await airdropTask(rows, {
+        gasLimit: gasLimit([{ amount: 3 }, { amount: 3 }]),
+      });
+
+      expect(
+        JSON.parse(fs.readFileSync(path.join(tmpDir, "airdrop.report.json")))
+      ).to.deep.equal(results);
+      expect(results.map(({ status }) => status)).to.deep.equal([
+        "success",
+        "success",
+      ]);
+      expect(results.map(({ entries }) => entries)).to.deep.equal([
+        [0, 1],
+        [2, 2],
+      ]);
+      expect(await collection.balanceOf(owner.address)).to.equal(2);
+      expect(await collection.balanceOf(user.address)).to.equal(1);
+      expect(await collection.balanceOf(external.address)).to.equal(3);
+      expect(await collection.reserveRemaining()).to.equal(14);
+    });
+
+    it("Should report failed chunks and continue", async () => {
+      const { user } = await signers();
+      // Contracts without onERC721Received can't receive tokens
+      const rows = [collection.address, user.address];
+
+      const results = await airdropTask(rows, {
+        gasLimit: gasLimit([{ amount: 1 }]),
+        report: path.join(tmpDir, "failures.json"),
+      });
+
+      expect(
+        JSON.parse(fs.readFileSync(path.join(tmpDir, "failures.json")))
+      ).to.deep.equal(results);
+
+      expect(results.map(({ status }) => status)).to.deep.equal([
+        "failed",
+        "success",
+      ]);
+      // Custom errors of the collection are not decoded in calls through the Factory
+      expect(results[0].error).to.include("reverted");
+      expect(await collection.balanceOf(user.address)).to.equal(1);
+      expect(await collection.reserveRemaining()).to.equal(19);
+    });
+
+    it("Should only airdrop for operators of the collection", async () => {
+      const { user, deployer } = await signers();
+      const factory = await ethers.getContract("Factory");
+      await factory
+        .connect(deployer)
+        .renounceRole(
+          await factory.OPERATOR_ROLE(collection.address),
+          deployer.address
+        );
+
+      const results = await airdropTask([user.address]);
+
+      expect(results[0]).to.include({ status: "failed" });
+      expect(results[0].error).to.include("Access denied");
+      expect(await collection.balanceOf(user.address)).to.equal(0);
+    });
+
+    it("Should reject airdrops exceeding the remaining reserve", async () => {
+      const { user } = await signers();
+
+      let error;
+      try {
+        await airdropTask([`${user.address},21`]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal(
+        "Airdrop of 21 tokens exceeds the remaining reserve of 20"
+      );
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+
+const { parseAllowlistCSV, buildAllowlist } = require("../scripts/allowlist");
+const { signers, deploy, deployInstance } = require("./utils");
+const {
+  deploymentDefaults,
+  runtimeDefaults,
+  dropDefaults,
+} = require("./NFTCollection.utils");
+
+describe("Presale allowlists", () => {
+  describe("CSV parsing", () => {
+    it("Should checksum and dedupe wallets", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      const { entries, duplicates } = parseAllowlistCSV(
+        `wallet\n${wallet.toLowerCase()}\n\n# comment\n${wallet}\n`
+      );
+
+      expect(entries).to.deep.equal([{ wallet }]);
+      expect(duplicates).to.deep.equal([wallet]);
+    });
+
+    it("Should reject duplicates with different allocations or prices", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() =>
+        parseAllowlistCSV(`wallet,allocation\n${wallet},2\n${wallet},3\n`)
+      ).to.throw(`line 3: ${wallet} conflicts with line 2`);
+      expect(() =>
+        parseAllowlistCSV(
+          `wallet,allocation,price\n${wallet},2,0.1\n\n${wallet},2\n`
+        )
+      ).to.throw(`line 4: ${wallet} conflicts with line 2`);
+    });
+
+    it("Should require a header row", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() => parseAllowlistCSV(`${wallet}\n`)).to.throw(
+        "line 1: missing header row wallet[,allocation[,price]]"
+      );
+      expect(() => parseAllowlistCSV(`wallet\n${wallet},1\n`)).to.throw(
+        "line 2: more columns than the header wallet"
+      );
+    });
+
+    it("Should parse allocations and prices", () => {
+      const [first, second] = [0, 1].map(
+        () => ethers.Wallet.createRandom().address
+      );
+
+      const { entries } = parseAllowlistCSV(
+        `wallet,allocation,price\n${first},5\n${second},2,0.05\n`
+      );
+
+      expect(entries).to.deep.equal([
+        { wallet: first, allocation: "5", price: "0" },
+        {
+          wallet: second,
+          allocation: "2",
+          price: ethers.utils.parseEther("0.05").toString(),
+        },
+      ]);
+    });
+
+    it("Should parse prices with the decimals of the payment token", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      const { entries } = parseAllowlistCSV(
+        `wallet,allocation,price\n${wallet},2,25.5\n`,
+        6
+      );
+
+      expect(entries).to.deep.equal([
+        { wallet, allocation: "2", price: "25500000" },
+      ]);
+      expect(() =>
+        parseAllowlistCSV(`wallet,allocation,price\n${wallet},2,0.0000001\n`, 6)
+      ).to.throw("line 2: invalid price 0.0000001");
+    });
+
+    it("Should reject invalid addresses", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() => parseAllowlistCSV(`wallet\n${wallet}\n0x1234\n`)).to.throw(
+        "line 3: invalid address 0x1234"
+      );
+    });
+
+    it("Should reject invalid allocations", () => {
+      const wallet = ethers.Wallet.createRandom().address;
+
+      expect(() =>
+        parseAllowlistCSV(`wallet,allocation\n${wallet},0\n`)
+      ).to.throw("line 2: invalid allocation 0");
+      expect(() =>
+        parseAllowlistCSV(`wallet,allocation,price\n${wallet},1,free\n`)
+      ).to.throw("line 2: invalid price free");
+    });
+
+    it("Should reject allowlists mixing wallets with and without allocations", () => {
+      const [first, second] = [0, 1].map(
+        () => ethers.Wallet.createRandom().address
+      );
+
+      expect(() =>
+        buildAllowlist([{ wallet: first, allocation: "1" }, { wallet: second }])
+      ).to.throw("Either all or none of the wallets need an allocation");
+    });
+
+    it("Should reject empty allowlists", () => {
+      expect(() => buildAllowlist([])).to.throw("Allowlist is empty");
+    });
+  });
+
+  describe("Task", () => {
+    let collection;
+    let wallets;
+    let tmpDir;
+
+    async function buildTask(args = {}, rows = wallets) {
+      const csv = path.join(tmpDir, "allowlist.csv");
+      fs.writeFileSync(csv, `wallet,allocation,price\n${rows.join("\n")}\n`);
+
+      return run("allowlist:build", {
+        csv,
+        output: path.join(tmpDir, "allowlist.json"),
+        ...args,
+      });
+    }
+
+    beforeEach(async () => {
+      const { owner, user, external } = await signers();
+      wallets = [owner.address, user.address, external.address];
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-"));
+
+      [collection] = await deployInstance(
+        "NFTCollection",
+        { ...deploymentDefaults, owner: owner.address },
+        runtimeDefaults,
+        dropDefaults
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("Should write the Merkle root and proofs", async () => {
+      const allowlist = await buildTask();
+
+      expect(
+        JSON.parse(fs.readFileSync(path.join(tmpDir, "allowlist.json")))
+      ).to.deep.equal(allowlist);
+      expect(Object.keys(allowlist.proofs)).to.deep.equal(wallets);
+    });
+
+    it("Should verify the proofs with the collection", async () => {
+      const { owner } = await signers();
+      const { root } = await buildTask();
+      const info = await collection.getInfo();
+      await collection
+        .connect(owner)
+        .updateConfig({ ...info.runtimeConfig, presaleMerkleRoot: root });
+
+      const { failures } = await buildTask({ collection: collection.address });
+
+      expect(failures).to.deep.equal([]);
+    });
+
+    it("Should verify allocation proofs with the collection", async () => {
+      const { owner } = await signers();
+      const rows = wallets.map((wallet, i) => `${wallet},${i + 1},0.01`);
+      const { root, proofs } = await buildTask({}, rows);
+      const info = await collection.getInfo();
+      await collection
+        .connect(owner)
+        .updateConfig({ ...info.runtimeConfig, presaleMerkleRoot: root });
+
+      const { failures } = await buildTask(
+        { collection: collection.address },
+        rows
+      );
+
+      expect(failures).to.deep.equal([]);
+      expect(proofs[wallets[1]]).to.include({
+        allocation: "2",
+        price: ethers.utils.parseEther("0.01").toString(),
+      });
+    });
+
+    it("Should convert prices with the decimals of the collection's payment token", async () => {
+      const { owner } = await signers();
+      const token = await deploy("MockERC20");
+      await token.setDecimals(6);
+      await collection.connect(owner).setPaymentToken(token.address);
+      const rows = wallets.map((wallet) => `${wallet},1,25`);
+
+      const { proofs } = await buildTask(
+        { collection: collection.address },
+        rows
+      );
+      const { proofs: overridden } = await buildTask(
+        { collection: collection.address, decimals: 2 },
+        rows
+      );
+
+      expect(proofs[wallets[0]].price).to.equal("25000000");
+      expect(overridden[wallets[0]].price).to.equal("2500");
+    });
+
+    it("Should report proofs that fail on-chain", async () => {
+      const { failures } = await buildTask({ collection: collection.address });
+
+      expect(failures).to.deep.equal(
+        wallets.map((wallet) => ({ wallet, reason: "invalid proof" }))
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+
+const { safeTransaction, checksum } = require("../scripts/gnosis");
+
+describe("Gnosis batches", () => {
+  let factory;
+  let factoryOwner;
+  let externalUser;
+  let tmpDir;
+
+  async function exportBatch(actions) {
+    const actionsFile = path.join(tmpDir, "actions.json");
+    fs.writeFileSync(actionsFile, JSON.stringify(actions));
+
+    return run("gnosis:batch", {
+      actions: actionsFile,
+      output: path.join(tmpDir, "batch.json"),
+    });
+  }
+
+  beforeEach(async () => {
+    await deployments.fixture(["Factory", "NFTCollection"]);
+    [, factoryOwner, , externalUser] = await ethers.getSigners();
+    factory = await ethers.getContract("Factory");
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gnosis-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  it("Should write a batch file for the Factory owner Safe", async () => {
+    const batch = await exportBatch([
+      { action: "setWhitelisted", instance: externalUser.address },
+    ]);
+
+    expect(
+      JSON.parse(fs.readFileSync(path.join(tmpDir, "batch.json")))
+    ).to.deep.equal(batch);
+    expect(batch.chainId).to.equal(
+      `${(await ethers.provider.getNetwork()).chainId}`
+    );
+    expect(batch.meta.createdFromSafeAddress).to.equal(factoryOwner.address);
+  });
+
+  it("Should include a checksum of the batch", async () => {
+    const batch = await exportBatch([
+      { action: "setWhitelisted", instance: externalUser.address },
+    ]);
+    const { checksum: batchChecksum, ...meta } = batch.meta;
+
+    expect(batchChecksum).to.equal(checksum({ ...batch, meta }));
+  });
+
+  it("Should describe the called methods", async () => {
+    const template = await ethers.getContract("NFTCollection");
+    const implementation = await deployments.get("Factory_Implementation");
+
+    const batch = await exportBatch([
+      { action: "registerTemplate", template: "NFTCollection" },
+      {
+        action: "grantRole",
+        role: "SIGNER_ROLE",
+        account: externalUser.address,
+      },
+      { action: "upgradeFactory" },
+    ]);
+    const [register, grant, upgrade] = batch.transactions;
+
+    expect(register.to).to.equal(factory.address);
+    expect(register.contractMethod).to.deep.equal({
+      inputs: [
+        {
+          internalType: "address",
+          name: "implementationAddress",
+          type: "address",
+        },
+      ],
+      name: "registerTemplate",
+      payable: false,
+    });
+    expect(register.contractInputsValues).to.deep.equal({
+      implementationAddress: template.address,
+    });
+
+    expect(grant.contractInputsValues).to.deep.equal({
+      role: await factory.SIGNER_ROLE(),
+      account: externalUser.address,
+    });
+
+    expect(upgrade.to).to.equal(
+      (await deployments.get("Factory_Proxy")).address
+    );
+    expect(upgrade.contractMethod.name).to.equal("upgradeToAndCall");
+    expect(upgrade.contractInputsValues).to.deep.equal({
+      newImplementation: implementation.address,
+      data: factory.interface.encodeFunctionData("upgrade"),
+    });
+  });
+
+  it("Should support calling any Factory method", async () => {
+    const batch = await exportBatch([
+      { action: "call", method: "setDeploymentFee", args: ["1000"] },
+    ]);
+
+    expect(batch.transactions[0].contractMethod.name).to.equal(
+      "setDeploymentFee"
+    );
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+      newFee: "1000",
+    });
+  });
+
+  it("Should encode arrays and tuples as JSON", () => {
+    const abi = [
+      {
+        type: "function",
+        name: "batch",
+        stateMutability: "nonpayable",
+        inputs: [{ internalType: "uint256[]", name: "ids", type: "uint256[]" }],
+        outputs: [],
+      },
+    ];
+
+    const transaction = safeTransaction(factory.address, abi, "batch", [
+      ["1", "2"],
+    ]);
+
+    expect(transaction.contractInputsValues).to.deep.equal({
+      ids: '["1","2"]',
+    });
+  });
+
+  it("Should require signatures for overloaded methods", async () => {
+    const { abi } = await deployments.get("Factory");
+
+    expect(() => safeTransaction(factory.address, abi, "call", [])).to.throw(
+      "call is overloaded, use its signature instead"
+    );
+    expect(
+      safeTransaction(factory.address, abi, "call(address,bytes)", [
+        externalUser.address,
+        "0x",
+      ]).contractMethod.name
+    ).to.equal("call");
+  });
+});
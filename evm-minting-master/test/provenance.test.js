@@ -0,0 +1,86 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { run } = require("hardhat");
+
+const { computeProvenance } = require("../scripts/provenance");
+
+describe("Provenance", () => {
+  let tmpDir;
+  let imagesDir;
+  let images;
+
+  function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "provenance-"));
+    imagesDir = path.join(tmpDir, "images");
+    fs.mkdirSync(imagesDir);
+
+    images = [];
+    for (let i = 0; i < 12; i++) {
+      images.push(crypto.randomBytes(64));
+      fs.writeFileSync(path.join(imagesDir, `${i}.png`), images[i]);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  it("Should hash the image hashes in metadata ID order", () => {
+    const expected = sha256(images.map(sha256).join(""));
+
+    const { provenanceHash, images: hashes } = computeProvenance(imagesDir);
+
+    expect(provenanceHash).to.equal(`0x${expected}`);
+    expect(hashes.map(({ file }) => file).slice(0, 3)).to.deep.equal([
+      "0.png",
+      "1.png",
+      "2.png",
+    ]);
+    expect(hashes[10]).to.deep.equal({
+      file: "10.png",
+      hash: sha256(images[10]),
+    });
+  });
+
+  it("Should ignore hidden files and directories", () => {
+    const { provenanceHash } = computeProvenance(imagesDir);
+    fs.writeFileSync(path.join(imagesDir, ".DS_Store"), "");
+    fs.mkdirSync(path.join(imagesDir, "thumbnails"));
+
+    expect(computeProvenance(imagesDir).provenanceHash).to.equal(
+      provenanceHash
+    );
+  });
+
+  it("Should change when images are reordered", () => {
+    const { provenanceHash } = computeProvenance(imagesDir);
+    fs.writeFileSync(path.join(imagesDir, "0.png"), images[1]);
+    fs.writeFileSync(path.join(imagesDir, "1.png"), images[0]);
+
+    expect(computeProvenance(imagesDir).provenanceHash).not.to.equal(
+      provenanceHash
+    );
+  });
+
+  it("Should write the image hashes with the task", async () => {
+    const output = path.join(tmpDir, "provenance.json");
+
+    const provenance = await run("provenance:hash", {
+      images: imagesDir,
+      output,
+    });
+
+    expect(JSON.parse(fs.readFileSync(output))).to.deep.equal(provenance);
+  });
+
+  it("Should reject directories without images", () => {
+    expect(() => computeProvenance(tmpDir)).to.throw("No images in");
+  });
+});
@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+const Web3 = require("web3");
+const { expect } = require("chai");
+const { artifacts, ethers, network } = require("hardhat");
+
+const {
+  Factory,
+  signWith,
+  nftCollectionConfig,
+  erc721NFTProductConfig,
+  erc1155NFTProductConfig,
+} = require("../sdk");
+const { SDK_ABI_DIR, SDK_CONTRACTS } = require("../tasks/sdk");
+
+describe("SDK", () => {
+  let factoryAddress;
+  let factorySigner;
+  let collectionDeployer;
+  let externalUser;
+
+  function collectionConfig(options = {}) {
+    return nftCollectionConfig({
+      name: "SDK collection",
+      symbol: "SDK",
+      owner: collectionDeployer.address,
+      maxSupply: 100,
+      reservedSupply: 10,
+      ...options,
+    });
+  }
+
+  beforeEach(async () => {
+    await deployments.fixture(["Factory", "Templates"]);
+    [, , factorySigner, externalUser, collectionDeployer] =
+      await ethers.getSigners();
+    factoryAddress = (await ethers.getContract("Factory")).address;
+  });
+
+  describe("With an ethers signer", () => {
+    let factory;
+
+    beforeEach(() => {
+      factory = new Factory(factoryAddress, collectionDeployer, {
+        authorize: signWith(factorySigner),
+      });
+    });
+
+    it("Should deploy instances with authorized requests", async () => {
+      const collection = await factory.deploy(
+        "NFTCollection",
+        collectionConfig()
+      );
+
+      expect(await collection.contract.name()).to.equal("SDK collection");
+      expect((await collection.info()).deployer).to.equal(
+        collectionDeployer.address
+      );
+    });
+
+    it("Should deploy upgradeable instances to deterministic addresses", async () => {
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+      const collection = await factory.deploy(
+        "NFTCollection",
+        collectionConfig(),
+        { salt, upgradeable: true }
+      );
+
+      expect(collection.address).to.equal(
+        await factory.contract.predictUpgradeableInstanceAddress(
+          "NFTCollection",
+          collectionDeployer.address,
+          salt
+        )
+      );
+    });
+
+    it("Should deploy instances for a fee without an authorizer", async () => {
+      const unauthorizedFactory = new Factory(
+        factoryAddress,
+        collectionDeployer
+      );
+
+      const collection = await unauthorizedFactory.deploy(
+        "NFTCollection",
+        collectionConfig()
+      );
+
+      expect(await collection.contract.symbol()).to.equal("SDK");
+    });
+
+    it("Should only deploy specific versions with an authorizer", async () => {
+      const unauthorizedFactory = new Factory(
+        factoryAddress,
+        collectionDeployer
+      );
+
+      try {
+        await unauthorizedFactory.deploy("NFTCollection", collectionConfig(), {
+          version: 1_04_00,
+        });
+        expect.fail("Deployment should have failed");
+      } catch (e) {
+        expect(e.message).to.equal(
+          "Versions, salts and upgradeable instances require an authorized deployment"
+        );
+      }
+    });
+
+    it("Should call instances through the Factory", async () => {
+      const collection = await factory.deploy(
+        "NFTCollection",
+        collectionConfig()
+      );
+
+      await collection.call("reserveMint", [externalUser.address, 2]);
+
+      expect(
+        await collection.contract.balanceOf(externalUser.address)
+      ).to.equal(2);
+    });
+
+    it("Should look up instances in the Factory registry", async () => {
+      const { address } = await factory.deploy(
+        "ERC721NFTProduct",
+        erc721NFTProductConfig({
+          name: "Product",
+          symbol: "PRD",
+          owner: collectionDeployer.address,
+        })
+      );
+
+      const product = await factory.instance(address);
+
+      expect(product.templateName).to.equal("ERC721NFTProduct");
+      expect(await product.contract.name()).to.equal("Product");
+    });
+
+    it("Should assign roles to NFT products", async () => {
+      const product = await factory.deploy(
+        "ERC1155NFTProduct",
+        erc1155NFTProductConfig({
+          name: "Product",
+          symbol: "PRD",
+          owner: collectionDeployer.address,
+          roles: [{ role: "MINT_ROLE", addresses: [externalUser.address] }],
+        })
+      );
+
+      expect(
+        await product.contract.hasRole(
+          await product.contract.MINT_ROLE(),
+          externalUser.address
+        )
+      ).to.be.true;
+    });
+  });
+
+  describe("With web3 providers", () => {
+    it("Should deploy instances with a web3 instance", async () => {
+      const factory = new Factory(factoryAddress, new Web3(network.provider), {
+        account: collectionDeployer.address,
+        authorize: signWith(factorySigner),
+      });
+
+      const collection = await factory.deploy(
+        "NFTCollection",
+        collectionConfig()
+      );
+
+      expect((await collection.info()).deployer).to.equal(
+        collectionDeployer.address
+      );
+    });
+
+    it("Should deploy instances with an EIP-1193 provider", async () => {
+      const factory = new Factory(factoryAddress, network.provider, {
+        account: collectionDeployer.address,
+        authorize: signWith(factorySigner),
+      });
+
+      const collection = await factory.deploy(
+        "NFTCollection",
+        collectionConfig()
+      );
+      await collection.call("reserveMint", [externalUser.address, 1]);
+
+      expect(
+        await collection.contract.balanceOf(externalUser.address)
+      ).to.equal(1);
+    });
+  });
+
+  describe("Config builders", () => {
+    it("Should fill in defaults", () => {
+      const [deploymentConfig, runtimeConfig, dropConfig] = collectionConfig();
+
+      expect(deploymentConfig.treasuryAddress).to.equal(
+        collectionDeployer.address
+      );
+      expect(runtimeConfig.royaltiesAddress).to.equal(
+        collectionDeployer.address
+      );
+      expect(runtimeConfig.metadataUpdatable).to.be.true;
+      expect(dropConfig.payees).to.deep.equal([]);
+    });
+
+    it("Should require options without defaults", () => {
+      expect(() => nftCollectionConfig({ name: "Collection" })).to.throw(
+        "Missing config options: symbol, owner, maxSupply"
+      );
+    });
+  });
+
+  it("Should ship ABIs of the compiled contracts", async () => {
+    for (const contractName of SDK_CONTRACTS) {
+      const { abi } = await artifacts.readArtifact(contractName);
+      const shippedABI = JSON.parse(
+        fs.readFileSync(path.join(SDK_ABI_DIR, `${contractName}.json`))
+      );
+
+      expect(shippedABI).to.deep.equal(
+        abi,
+        `${contractName} ABI is outdated, run npx hardhat sdk:abi`
+      );
+    }
+  });
+});
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  Factory,
+  nftCollectionConfig,
+  erc721NFTProductConfig,
+} = require("../sdk");
+const { AuditLog, createSigningService } = require("../signer");
+
+const API_KEY = "test-key";
+
+function post(port, endpoint, body, apiKey = API_KEY) {
+  return new Promise((resolve, reject) => {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const req = http.request(
+      { port, path: endpoint, method: "POST", headers },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(data) })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+}
+
+describe("Signing service", () => {
+  let factory;
+  let collectionDeployer;
+  let server;
+  let port;
+  let auditLogPath;
+
+  // Authorizer sending requests to the signing service
+  const authorize = async ({ type, caller, request }) => {
+    const endpoint = type === "DeployRequest" ? "/sign/deploy" : "/sign/call";
+    const { status, body } = await post(port, endpoint, { caller, request });
+    if (status !== 200) {
+      throw new Error(`${status}: ${body.error}`);
+    }
+
+    return body.signature;
+  };
+
+  function collectionConfig() {
+    return nftCollectionConfig({
+      name: "Signed collection",
+      symbol: "SIG",
+      owner: collectionDeployer.address,
+      maxSupply: 100,
+      reservedSupply: 10,
+    });
+  }
+
+  function auditLog() {
+    return fs
+      .readFileSync(auditLogPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  }
+
+  async function expectRejected(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error && error.message).to.equal(message);
+  }
+
+  async function startService(provider = ethers.provider, options = {}) {
+    const [, , factorySigner] = await ethers.getSigners();
+    const factoryContract = await ethers.getContract("Factory");
+    const collectionVersion = await factoryContract.latestVersion(
+      "NFTCollection"
+    );
+
+    server = createSigningService({
+      config: {
+        factory: factoryContract.address,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        maxValidity: 3600,
+        rateLimit: { requests: 3, window: 3600 },
+        clientRateLimit: { requests: 5, window: 3600 },
+        clients: {
+          test: crypto.createHash("sha256").update(API_KEY).digest("hex"),
+        },
+        templates: {
+          NFTCollection: {
+            versions: [collectionVersion.toNumber()],
+            methods: ["reserveMint"],
+          },
+        },
+      },
+      wallet: factorySigner,
+      provider,
+      auditLog: new AuditLog(auditLogPath),
+      ...options,
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  }
+
+  beforeEach(async () => {
+    await deployments.fixture(["Factory", "Templates"]);
+    const [, , , , deployer] = await ethers.getSigners();
+    collectionDeployer = deployer;
+
+    auditLogPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "signer-")),
+      "audit.log"
+    );
+    await startService();
+    const factoryContract = await ethers.getContract("Factory");
+
+    factory = new Factory(factoryContract.address, collectionDeployer, {
+      authorize,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(path.dirname(auditLogPath), { recursive: true });
+  });
+
+  it("Should sign allowed deployments and calls", async () => {
+    const collection = await factory.deploy(
+      "NFTCollection",
+      collectionConfig()
+    );
+    await collection.call("reserveMint", [collectionDeployer.address, 2]);
+
+    expect(
+      await collection.contract.balanceOf(collectionDeployer.address)
+    ).to.equal(2);
+    const [deployEntry, callEntry] = auditLog();
+    expect(deployEntry).to.include({
+      endpoint: "/sign/deploy",
+      client: "test",
+      caller: collectionDeployer.address,
+      templateName: "NFTCollection",
+      decision: "signed",
+    });
+    expect(callEntry).to.include({
+      endpoint: "/sign/call",
+      caller: collectionDeployer.address,
+      instance: collection.address,
+      method: "reserveMint",
+      decision: "signed",
+    });
+  });
+
+  it("Should reject templates that are not allowed", async () => {
+    await expectRejected(
+      factory.deploy(
+        "ERC721NFTProduct",
+        erc721NFTProductConfig({
+          name: "Product",
+          symbol: "PRD",
+          owner: collectionDeployer.address,
+        })
+      ),
+      "403: Template ERC721NFTProduct is not allowed"
+    );
+  });
+
+  it("Should reject versions that are not allowed", async () => {
+    await expectRejected(
+      factory.deploy("NFTCollection", collectionConfig(), { version: 1 }),
+      "403: Version 1 of NFTCollection is not allowed"
+    );
+  });
+
+  it("Should reject upgradeable deployments that are not allowed", async () => {
+    await expectRejected(
+      factory.deploy("NFTCollection", collectionConfig(), {
+        upgradeable: true,
+      }),
+      "403: Upgradeable NFTCollection instances are not allowed"
+    );
+  });
+
+  it("Should reject methods that are not allowed", async () => {
+    const collection = await factory.deploy(
+      "NFTCollection",
+      collectionConfig()
+    );
+
+    await expectRejected(
+      collection.call("transferOwnership", [collectionDeployer.address]),
+      "403: Method transferOwnership of NFTCollection is not allowed"
+    );
+    expect(auditLog()[1]).to.include({
+      endpoint: "/sign/call",
+      decision: "rejected",
+      reason: "Method transferOwnership of NFTCollection is not allowed",
+    });
+  });
+
+  it("Should reject calls to unknown instances", async () => {
+    await expectRejected(
+      factory.call(collectionDeployer.address, "0x"),
+      `403: ${collectionDeployer.address} is not a Factory instance`
+    );
+  });
+
+  it("Should reject deadlines beyond the maximum validity", async () => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const { status, body } = await post(port, "/sign/deploy", {
+      caller: collectionDeployer.address,
+      request: { deadline: timestamp + 7200 },
+    });
+
+    expect(status).to.equal(403);
+    expect(body.error).to.equal("Deadline is more than 3600 seconds away");
+  });
+
+  async function restartService(provider, options) {
+    await new Promise((resolve) => server.close(resolve));
+    await startService(provider, options);
+  }
+
+  it("Should rate limit callers", async () => {
+    await factory.deploy("NFTCollection", collectionConfig());
+    await factory.deploy("NFTCollection", collectionConfig());
+    await factory.deploy("NFTCollection", collectionConfig());
+
+    await expectRejected(
+      factory.deploy("NFTCollection", collectionConfig()),
+      "429: Rate limit exceeded"
+    );
+    expect(auditLog()[3]).to.include({
+      decision: "rejected",
+      reason: "Rate limit exceeded",
+    });
+  });
+
+  it("Should rate limit clients signing for different callers", async () => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const request = { deadline: timestamp + 60 };
+
+    for (let i = 0; i < 5; i++) {
+      await post(port, "/sign/deploy", {
+        caller: ethers.Wallet.createRandom().address,
+        request,
+      });
+    }
+
+    expect(
+      await post(port, "/sign/deploy", {
+        caller: ethers.Wallet.createRandom().address,
+        request,
+      })
+    ).to.deep.equal({ status: 429, body: { error: "Rate limit exceeded" } });
+  });
+
+  it("Should rate limit with the wall clock", async () => {
+    let time = 1000;
+    await restartService(ethers.provider, { clock: () => time });
+
+    for (let i = 0; i < 3; i++) {
+      await factory.deploy("NFTCollection", collectionConfig());
+    }
+    await expectRejected(
+      factory.deploy("NFTCollection", collectionConfig()),
+      "429: Rate limit exceeded"
+    );
+
+    time += 3600;
+    await factory.deploy("NFTCollection", collectionConfig());
+  });
+
+  it("Should reject requests without a valid API key", async () => {
+    const body = { caller: collectionDeployer.address, request: {} };
+
+    expect(await post(port, "/sign/deploy", body, null)).to.deep.equal({
+      status: 401,
+      body: { error: "Invalid API key" },
+    });
+    expect(await post(port, "/sign/call", body, "other-key")).to.deep.equal({
+      status: 401,
+      body: { error: "Invalid API key" },
+    });
+  });
+
+  it("Should reject bodies that are too large", async () => {
+    const { status, body } = await post(port, "/sign/deploy", {
+      caller: collectionDeployer.address,
+      request: { data: "0".repeat(256 * 1024) },
+    });
+
+    expect(status).to.equal(413);
+    expect(body.error).to.equal("Body too large");
+  });
+
+  it("Should respond with internal errors when the provider fails", async () => {
+    await restartService(
+      new ethers.providers.StaticJsonRpcProvider("http://127.0.0.1:1", {
+        chainId: 31337,
+        name: "unavailable",
+      })
+    );
+
+    expect(
+      await post(port, "/sign/deploy", {
+        caller: collectionDeployer.address,
+        request: {},
+      })
+    ).to.deep.equal({ status: 500, body: { error: "Internal error" } });
+    expect(auditLog()[0]).to.include({ decision: "rejected" });
+  });
+
+  it("Should keep serving after unexpected failures", async () => {
+    const failingLog = {
+      record() {
+        throw new Error("Disk full");
+      },
+    };
+    await restartService(ethers.provider, { auditLog: failingLog });
+    const body = { caller: collectionDeployer.address, request: {} };
+
+    expect(await post(port, "/sign/deploy", body)).to.deep.equal({
+      status: 500,
+      body: { error: "Internal error" },
+    });
+    expect((await post(port, "/sign/deploy", {})).status).to.equal(400);
+  });
+
+  it("Should reject malformed requests", async () => {
+    expect(await post(port, "/sign/deploy", "{")).to.deep.equal({
+      status: 400,
+      body: { error: "Invalid JSON body" },
+    });
+    for (const body of [
+      { caller: "0x1234", request: {} },
+      { caller: collectionDeployer.address, request: null },
+      null,
+      [],
+      "1",
+    ]) {
+      expect(
+        await post(
+          port,
+          "/sign/deploy",
+          typeof body === "string" ? body : JSON.stringify(body)
+        )
+      ).to.deep.equal({
+        status: 400,
+        body: { error: "Missing caller or request" },
+      });
+    }
+    expect(
+      (
+        await post(port, "/sign/deploy", {
+          caller: collectionDeployer.address,
+          request: { deadline: "soon" },
+        })
+      ).status
+    ).to.equal(400);
+    expect((await post(port, "/sign/other", {})).status).to.equal(404);
+  });
+});
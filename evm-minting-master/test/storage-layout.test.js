@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+
+const {
+  UPGRADEABLE_CONTRACTS,
+  getStorageLayout,
+  findIncompatibilities,
+  readSnapshot,
+} = require("../scripts/storage-layout");
+
+function variable(label, slot, type, offset = 0) {
+  return { label, slot: `${slot}`, offset, type };
+}
+
+function type(label, numberOfBytes = 32, details = {}) {
+  return { label, numberOfBytes: `${numberOfBytes}`, ...details };
+}
+
+describe("Storage layout", () => {
+  for (const [contractName, fullyQualifiedName] of Object.entries(
+    UPGRADEABLE_CONTRACTS
+  )) {
+    it(`Should keep ${contractName} compatible with the last released version`, async () => {
+      const snapshot = readSnapshot(contractName);
+      const layout = await getStorageLayout(artifacts, fullyQualifiedName);
+
+      expect(findIncompatibilities(snapshot.storage, layout)).to.deep.equal([]);
+    });
+  }
+
+  describe("Compatibility checks", () => {
+    const info = (members) =>
+      type("struct Test.Info", 32 * members.length, {
+        members: members.map((label, i) => variable(label, i, type("uint256"))),
+      });
+
+    const previous = [
+      variable("owner", 0, type("address", 20)),
+      variable("paused", 0, type("bool", 1), 20),
+      variable("supply", 1, type("uint256")),
+      variable(
+        "infos",
+        2,
+        type("mapping(address => struct Test.Info)", 32, {
+          key: type("address", 20),
+          value: info(["price"]),
+        })
+      ),
+    ];
+
+    it("Should accept identical layouts", () => {
+      expect(findIncompatibilities(previous, previous)).to.deep.equal([]);
+    });
+
+    it("Should accept appended variables", () => {
+      const current = [...previous, variable("extra", 3, type("uint256"))];
+
+      expect(findIncompatibilities(previous, current)).to.deep.equal([]);
+    });
+
+    it("Should accept appended members of structs in mappings", () => {
+      const current = [...previous];
+      current[3] = variable(
+        "infos",
+        2,
+        type("mapping(address => struct Test.Info)", 32, {
+          key: type("address", 20),
+          value: info(["price", "amount"]),
+        })
+      );
+
+      expect(findIncompatibilities(previous, current)).to.deep.equal([]);
+    });
+
+    it("Should reject inserted variables", () => {
+      const current = [
+        previous[0],
+        previous[1],
+        variable("inserted", 1, type("uint256")),
+        variable("supply", 2, type("uint256")),
+        variable("infos", 3, previous[3].type),
+      ];
+
+      expect(findIncompatibilities(previous, current)).not.to.be.empty;
+    });
+
+    it("Should reject changed types", () => {
+      const current = [...previous];
+      current[2] = variable("supply", 1, type("int256"));
+
+      expect(findIncompatibilities(previous, current)).to.deep.equal([
+        "supply: type changed from uint256 to int256",
+      ]);
+    });
+
+    it("Should reject removed variables", () => {
+      expect(
+        findIncompatibilities(previous, previous.slice(0, 3))
+      ).to.deep.equal(["infos: removed"]);
+    });
+  });
+});
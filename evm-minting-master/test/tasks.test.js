@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+
+const CONFIG_FILE = "tasks/examples/NFTCollection.json";
+
+describe("Factory tasks", () => {
+  let factory;
+  let deployer;
+  let externalUser;
+
+  async function deployInstance(args = {}) {
+    return run("factory:deploy-instance", {
+      template: "NFTCollection",
+      configFile: CONFIG_FILE,
+      ...args,
+    });
+  }
+
+  beforeEach(async () => {
+    await deployments.fixture(["Factory", "NFTCollection"]);
+    [deployer, , , externalUser] = await ethers.getSigners();
+    factory = await ethers.getContract("Factory");
+  });
+
+  it("Should print Factory info with instances", async () => {
+    await deployInstance();
+
+    await run("factory:info", { instances: true });
+  });
+
+  it("Should deploy an instance from a config file", async () => {
+    const instance = await deployInstance();
+
+    const info = await factory.instanceInfo(instance);
+    expect(info.templateName).to.equal("NFTCollection");
+    expect(info.deployer).to.equal(deployer.address);
+    expect(await factory.isOperator(instance, deployer.address)).to.be.true;
+  });
+
+  it("Should deploy upgradeable instances to deterministic addresses", async () => {
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const predicted = await factory.predictUpgradeableInstanceAddress(
+      "NFTCollection",
+      deployer.address,
+      salt
+    );
+
+    const instance = await deployInstance({ salt, upgradeable: true });
+
+    expect(instance).to.equal(predicted);
+    expect((await factory.instanceInfo(instance)).upgradeable).to.be.true;
+  });
+
+  it("Should call instance methods through the Factory", async () => {
+    const instance = await deployInstance();
+
+    await run("factory:call", {
+      instance,
+      method: "reserveMint",
+      args: JSON.stringify([externalUser.address, 2]),
+    });
+
+    const collection = await ethers.getContractAt("NFTCollection", instance);
+    expect(await collection.balanceOf(externalUser.address)).to.equal(2);
+  });
+
+  it("Should query read-only instance methods directly", async () => {
+    const instance = await deployInstance();
+
+    expect(await run("factory:call", { instance, method: "symbol" })).to.equal(
+      "NFT"
+    );
+  });
+
+  it("Should update instance operators", async () => {
+    const instance = await deployInstance();
+
+    await run("factory:set-operator", {
+      instance,
+      operator: externalUser.address,
+    });
+    expect(await factory.isOperator(instance, externalUser.address)).to.be.true;
+
+    await run("factory:set-operator", {
+      instance,
+      operator: externalUser.address,
+      allowed: false,
+    });
+    expect(await factory.isOperator(instance, externalUser.address)).to.be
+      .false;
+  });
+
+  it("Should prepare whitelist updates for admins", async () => {
+    const instance = await deployInstance();
+
+    const txn = await run("factory:whitelist", { instance, status: false });
+
+    expect(txn.to).to.equal(factory.address);
+    expect(txn.data).to.equal(
+      factory.interface.encodeFunctionData("setWhitelisted", [instance, false])
+    );
+  });
+});
@@ -1,4 +1,4 @@
-const { ethers } = require("hardhat");
+const { artifacts, ethers } = require("hardhat");
 
 module.exports = {
   itSlow,
@@ -6,6 +6,7 @@ module.exports = {
   capitalize,
   random,
   randomChoice,
+  decodeDataURI,
   signers,
   deploy,
   deployInstance,
@@ -32,7 +33,16 @@ function xitSlow(...args) {
  */
 
 async function deploy(contractName, ...args) {
-  const Contract = await ethers.getContractFactory(contractName);
+  // Deploy the external libraries of the contract for linking
+  const { linkReferences } = await artifacts.readArtifact(contractName);
+  const libraries = {};
+  for (const library of Object.values(linkReferences).flatMap(Object.keys)) {
+    libraries[library] = (await deploy(library)).address;
+  }
+
+  const Contract = await ethers.getContractFactory(contractName, {
+    libraries,
+  });
   const contract = await Contract.deploy(...args);
   await contract.deployed();
   return contract;
@@ -85,6 +95,16 @@ function randomChoice(items) {
   return items[random(items.length) - 1];
 }
 
+// Parse the JSON of a base64 encoded data URI, like the ones returned by `contractURI`
+function decodeDataURI(uri) {
+  return JSON.parse(
+    Buffer.from(
+      uri.replace("data:application/json;base64,", ""),
+      "base64"
+    ).toString("utf8")
+  );
+}
+
 async function signers() {
   const [deployer, user, owner, external, admin] = await ethers.getSigners();
   return { deployer, user, owner, external, admin };